@@ -1,6 +1,16 @@
-// seo-requirements.js - Prioritized list of SEO components to check
+// seo-requirements.js - Prioritized list of SEO components to check.
+// The tier of a requirement decides the severity of the issues its rule
+// reports (see src/rules/rule-engine.js).
 const SEO_REQUIREMENTS = {
   critical: [
+    {
+      id: 'client-rendering',
+      name: 'Server-Rendered Content',
+      description:
+        'Content and meta tags should be present in the HTML sent by the server',
+      impact:
+        'Search engines may index an empty shell when content is rendered client-side',
+    },
     {
       id: 'title',
       name: 'Page Title',
@@ -57,6 +67,28 @@ const SEO_REQUIREMENTS = {
         'Appropriate use of index/noindex and follow/nofollow directives',
       impact: 'Controls how search engines crawl and index pages',
     },
+    {
+      id: 'rich-results',
+      name: 'Rich Result Eligibility',
+      description:
+        'Structured data includes the properties each Google rich result needs',
+      impact: 'Qualifies pages for enhanced search result features',
+    },
+    {
+      id: 'hreflang',
+      name: 'Language Targeting',
+      description:
+        'Valid lang attribute and reciprocal hreflang annotations between language versions',
+      impact: 'Shows users the version of the page in their language',
+    },
+    {
+      id: 'broken-links',
+      name: 'Broken Links',
+      description:
+        'Internal links, assets and #fragments that point at existing files and elements',
+      impact:
+        'Dead links waste crawl budget and lose the authority they would pass on',
+    },
   ],
   recommended: [
     {
@@ -90,7 +122,14 @@ const SEO_REQUIREMENTS = {
       description: 'Responsive design and appropriate viewport settings',
       impact: 'Critical for mobile search rankings',
     },
+    {
+      id: 'image-optimization',
+      name: 'Image Optimization',
+      description:
+        'Explicit dimensions, lazy loading, responsive sources and modern formats',
+      impact: 'Improves page speed and Core Web Vitals',
+    },
   ],
 };
 
-module.exports = SEO_REQUIREMENTS;
+export default SEO_REQUIREMENTS;
@@ -0,0 +1,167 @@
+// src/analyzers/broken-link-analyzer.js - Internal links, assets and
+// #fragments of a static build that point at files or elements that do not
+// exist.
+import fs from 'fs/promises';
+import path from 'path';
+import { createRuleIssue } from '../rules/rule-engine.js';
+import { resolveLocalFile, staticHostCandidates } from '../utils/file-utils.js';
+
+const KIND_LABELS = {
+  page: 'link',
+  frame: 'iframe',
+  image: 'image',
+  media: 'media file',
+  script: 'script',
+  stylesheet: 'stylesheet',
+  asset: 'linked file',
+  fragment: 'fragment',
+};
+
+// Fragments browsers handle without a matching element
+const BUILT_IN_FRAGMENTS = ['', 'top'];
+
+// Pages may be served the way static hosts do (see staticHostCandidates);
+// assets only match the file itself
+function candidateFiles(resolved, kind) {
+  if (kind !== 'page' && kind !== 'frame') return [resolved];
+  return staticHostCandidates(resolved).map((candidate) =>
+    path.normalize(candidate)
+  );
+}
+
+function splitFragment(url) {
+  const index = url.indexOf('#');
+  if (index === -1) return { target: url, fragment: null };
+  let fragment = url.slice(index + 1);
+  try {
+    fragment = decodeURIComponent(fragment);
+  } catch (e) {
+    // Keep the fragment as written
+  }
+  return { target: url.slice(0, index), fragment };
+}
+
+// Check the references of every result (see extractReferences in
+// src/analyzers/link-analyzer.js) against the files under rootDir and the
+// ids of the analyzed pages. Absolute URLs are only checked when siteUrl is
+// given and they are on its origin. Adds a broken-links issue at the line of
+// each broken reference and returns them as
+// [{ page, line, column, url, kind, reason }].
+export async function checkBrokenLinks(results, options) {
+  const { siteUrl } = options;
+  const rootDir = path.resolve(options.rootDir);
+  const siteOrigin = siteUrl ? new URL(siteUrl).origin : null;
+  const pagesByFile = new Map(
+    results.map((result) => [
+      path.resolve(rootDir, result.pageIdentifier),
+      result,
+    ])
+  );
+
+  const fileCache = new Map();
+  const isFile = async (filePath) => {
+    if (!fileCache.has(filePath)) {
+      fileCache.set(
+        filePath,
+        fs.stat(filePath).then(
+          (stats) => stats.isFile(),
+          () => false
+        )
+      );
+    }
+    return fileCache.get(filePath);
+  };
+
+  const broken = [];
+  for (const result of results) {
+    if (!result.references) continue;
+    const filePath = path.resolve(rootDir, result.pageIdentifier);
+    const ids = new Set(result.references.ids);
+
+    for (const reference of result.references.items) {
+      const { target, fragment } = splitFragment(reference.url);
+      if (/^[a-z][a-z0-9+.-]*:/i.test(target) && !/^https?:/i.test(target)) {
+        continue;
+      }
+      if (/^(https?:)?\/\//i.test(target)) {
+        if (!siteOrigin) continue;
+        let origin;
+        try {
+          origin = new URL(target, siteOrigin).origin;
+        } catch (e) {
+          continue;
+        }
+        if (origin !== siteOrigin) continue;
+      }
+
+      let reason = null;
+      let kind = reference.kind;
+      if (target === '') {
+        // A fragment on this page
+        if (
+          fragment &&
+          !BUILT_IN_FRAGMENTS.includes(fragment) &&
+          !ids.has(fragment)
+        ) {
+          reason = `no element with id="${fragment}" on this page`;
+          kind = 'fragment';
+        }
+      } else {
+        const resolved = resolveLocalFile(target, {
+          rootDir,
+          filePath,
+          siteUrl,
+        });
+        if (!resolved) continue;
+
+        let found = null;
+        for (const candidate of candidateFiles(resolved, reference.kind)) {
+          if (await isFile(candidate)) {
+            found = candidate;
+            break;
+          }
+        }
+        const relative = path.relative(rootDir, found || resolved);
+        if (!found) {
+          reason =
+            reference.kind === 'page' || reference.kind === 'frame'
+              ? 'no such page in the build'
+              : `${relative} does not exist`;
+        } else if (
+          fragment &&
+          !BUILT_IN_FRAGMENTS.includes(fragment) &&
+          pagesByFile.has(found) &&
+          !pagesByFile.get(found).references.ids.includes(fragment)
+        ) {
+          reason = `${relative} has no element with id="${fragment}"`;
+          kind = 'fragment';
+        }
+      }
+      if (!reason) continue;
+
+      broken.push({
+        page: result.pageIdentifier,
+        line: reference.line,
+        column: reference.column,
+        url: reference.url,
+        kind,
+        reason,
+      });
+      result.issues.push(
+        createRuleIssue('broken-links', {
+          level: kind === 'fragment' ? 'warning' : 'error',
+          message: `Broken ${KIND_LABELS[kind]}: ${reference.url} - ${reason}`,
+          impact: kind === 'fragment' ? 45 : 70,
+          area: 'Broken Links',
+          line: reference.line,
+          column: reference.column,
+        })
+      );
+    }
+  }
+
+  results.forEach((result) => {
+    result.issues.sort((a, b) => b.impact - a.impact);
+  });
+  return broken;
+}
@@ -0,0 +1,198 @@
+// src/analyzers/duplicate-analyzer.js - Site-wide duplicates: pages sharing a
+// title, meta description or H1, and pages pointing their canonical at the
+// same URL.
+import { createRuleIssue } from '../rules/rule-engine.js';
+import { PLACEHOLDER_ORIGIN, normalizeUrl } from '../utils/url-utils.js';
+
+// Word overlap (Jaccard index) from which two texts count as near-identical
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+
+const TEXT_FIELDS = [
+  {
+    field: 'title',
+    rule: 'title',
+    label: 'title',
+    level: 'warning',
+    impact: 70,
+    value: (result) => result.title,
+  },
+  {
+    field: 'metaDescription',
+    rule: 'meta-description',
+    label: 'meta description',
+    level: 'warning',
+    impact: 55,
+    value: (result) => result.metaDescription,
+  },
+  {
+    field: 'h1',
+    rule: 'h1',
+    label: 'H1',
+    level: 'notice',
+    impact: 45,
+    value: (result) => firstH1(result.headingOutline),
+  },
+];
+
+// Line, column and excerpt of the element holding `field` (see analyzeHtml)
+function locationOf(result, field) {
+  return (result.locations && result.locations[field]) || {};
+}
+
+function firstH1(nodes) {
+  for (const node of nodes) {
+    if (node.level === 1 && node.text) return node.text;
+    const nested = firstH1(node.children);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Case, punctuation and spacing do not make two texts different
+function normalizeText(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  a.forEach((word) => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function listPreview(pages) {
+  return `${pages.slice(0, 5).join(', ')}${
+    pages.length > 5 ? `, +${pages.length - 5} more` : ''
+  }`;
+}
+
+// Group results whose text is the same after normalization, then merge
+// groups whose words overlap by NEAR_DUPLICATE_SIMILARITY or more
+function clusterTexts(results, getValue) {
+  const groups = new Map();
+  results.forEach((result) => {
+    const value = (getValue(result) || '').trim();
+    if (!value) return;
+    const key = normalizeText(value);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, { words: new Set(key.split(' ')), entries: [] });
+    }
+    groups.get(key).entries.push({ result, value });
+  });
+
+  const clusters = [];
+  groups.forEach((group) => {
+    const similar = clusters.find(
+      (cluster) =>
+        similarity(cluster.words, group.words) >= NEAR_DUPLICATE_SIMILARITY
+    );
+    if (similar) {
+      similar.entries.push(...group.entries);
+    } else {
+      clusters.push({ words: group.words, entries: [...group.entries] });
+    }
+  });
+
+  return clusters
+    .filter((cluster) => cluster.entries.length > 1)
+    .map((cluster) => cluster.entries);
+}
+
+// Find the duplicate clusters across `results` and add an issue to every
+// page in one, at the element holding the duplicate. Pages marked noindex
+// are left out of the title, description and H1 clusters: sharing a
+// template is fine for pages that stay out of the index. Returns the
+// clusters as { field, rule, kind: 'identical' | 'near-identical', values,
+// pages }.
+export function checkDuplicateContent(results) {
+  const clusters = [];
+  const indexable = results.filter(
+    (result) => !(result.robotsDirectives && result.robotsDirectives.noindex)
+  );
+
+  TEXT_FIELDS.forEach((definition) => {
+    clusterTexts(indexable, definition.value).forEach((entries) => {
+      const values = [...new Set(entries.map((entry) => entry.value))];
+      const pages = entries.map((entry) => entry.result.pageIdentifier);
+      const kind = values.length === 1 ? 'identical' : 'near-identical';
+      clusters.push({
+        field: definition.field,
+        rule: definition.rule,
+        kind,
+        values,
+        pages,
+      });
+
+      entries.forEach((entry) => {
+        const others = pages.filter(
+          (page) => page !== entry.result.pageIdentifier
+        );
+        entry.result.issues.push(
+          createRuleIssue(definition.rule, {
+            level: definition.level,
+            message: `${
+              kind === 'identical' ? 'Duplicate' : 'Near-duplicate'
+            } ${definition.label} "${entry.value}" shared with ${
+              others.length
+            } other page${others.length === 1 ? '' : 's'}: ${listPreview(
+              others
+            )}`,
+            impact: definition.impact,
+            area: 'Duplicate Content',
+            ...locationOf(entry.result, definition.field),
+          })
+        );
+      });
+    });
+  });
+
+  // Several pages handing their ranking to one URL is usually a template
+  // that hardcodes the canonical, e.g. every page pointing at the home page
+  const byCanonical = new Map();
+  results.forEach((result) => {
+    if (!result.canonicalUrl) return;
+    const base =
+      result.pageUrl ||
+      `${PLACEHOLDER_ORIGIN}/${result.pageIdentifier.split('\\').join('/')}`;
+    const target = normalizeUrl(result.canonicalUrl, base);
+    if (!target) return;
+    // Pages that are the canonical target themselves are not the problem
+    if (result.pageUrl && normalizeUrl(result.pageUrl) === target) return;
+    if (!byCanonical.has(target)) byCanonical.set(target, []);
+    byCanonical.get(target).push(result);
+  });
+
+  byCanonical.forEach((pointing, target) => {
+    if (pointing.length < 2) return;
+    const pages = pointing.map((result) => result.pageIdentifier);
+    clusters.push({
+      field: 'canonical',
+      rule: 'canonical',
+      kind: 'identical',
+      values: [target],
+      pages,
+    });
+    pointing.forEach((result) => {
+      result.issues.push(
+        createRuleIssue('canonical', {
+          level: 'warning',
+          message: `Canonical points to ${target}, like ${
+            pages.length - 1
+          } other page${
+            pages.length === 2 ? '' : 's'
+          } - unless they are copies of that page, they will be dropped from the index`,
+          impact: 65,
+          area: 'Duplicate Content',
+          ...locationOf(result, 'canonical'),
+        })
+      );
+    });
+  });
+
+  return clusters;
+}
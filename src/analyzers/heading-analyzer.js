@@ -0,0 +1,167 @@
+// src/analyzers/heading-analyzer.js
+const MAX_HEADING_LENGTH = 70;
+
+function getHeadingText($, el) {
+  const text = $(el).text().replace(/\s+/g, ' ').trim();
+  if (text) return text;
+
+  // Image-only headings take their text from the alt attribute
+  return $(el)
+    .find('img[alt]')
+    .map((i, img) => $(img).attr('alt').trim())
+    .get()
+    .filter(Boolean)
+    .join(' ');
+}
+
+function isHidden($, el) {
+  return (
+    $(el)
+      .parents()
+      .addBack()
+      .filter((i, node) => {
+        const $node = $(node);
+        const style = ($node.attr('style') || '').replace(/\s+/g, '');
+        return (
+          $node.attr('hidden') !== undefined ||
+          $node.attr('aria-hidden') === 'true' ||
+          /display:none/i.test(style) ||
+          /visibility:hidden/i.test(style)
+        );
+      }).length > 0
+  );
+}
+
+// Nest headings under the closest preceding heading of a higher level
+function buildOutline(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  headings.forEach((heading) => {
+    const node = {
+      level: heading.level,
+      text: heading.text,
+      order: heading.order,
+      children: [],
+    };
+    while (stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+
+  return root.children;
+}
+
+export function analyzeHeadings($) {
+  const issues = [];
+  const recommendations = [];
+
+  const headings = $('h1, h2, h3, h4, h5, h6')
+    .map((i, el) => ({
+      level: parseInt(el.tagName.substring(1), 10),
+      text: getHeadingText($, el),
+      order: i + 1,
+      hidden: isHidden($, el),
+      element: el,
+    }))
+    .get();
+
+  const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  headings.forEach((heading) => {
+    counts[`h${heading.level}`]++;
+  });
+
+  // Skipped levels, e.g. an H4 directly after an H2
+  let previousLevel = 0;
+  const skipped = [];
+  headings.forEach((heading) => {
+    if (previousLevel > 0 && heading.level > previousLevel + 1) {
+      skipped.push(heading);
+      issues.push({
+        level: 'notice',
+        message: `Heading level skipped: H${previousLevel} followed by H${heading.level} "${heading.text}"`,
+        element: heading.element,
+        impact: 45,
+        area: 'Content Structure',
+      });
+    }
+    previousLevel = heading.level;
+  });
+
+  if (skipped.length > 0) {
+    recommendations.push({
+      text: 'Do not skip heading levels',
+      impact: 45,
+      reason:
+        'A continuous H1-H6 hierarchy helps search engines and screen readers understand how sections relate',
+      implementation:
+        'Change the skipped headings to the next level down, e.g. use H3 under an H2 instead of H4',
+    });
+  }
+
+  headings
+    .filter((heading) => !heading.text)
+    .forEach((heading) => {
+      issues.push({
+        level: 'warning',
+        message: `Empty H${heading.level} heading (heading #${heading.order})`,
+        element: heading.element,
+        impact: 55,
+        area: 'Content Structure',
+      });
+    });
+
+  headings
+    .filter((heading) => heading.hidden && heading.text)
+    .forEach((heading) => {
+      issues.push({
+        level: 'warning',
+        message: `Hidden H${heading.level} heading "${heading.text}" - hidden headings may be treated as hidden text`,
+        element: heading.element,
+        impact: 55,
+        area: 'Content Structure',
+      });
+    });
+
+  const seen = new Map();
+  headings
+    .filter((heading) => heading.text)
+    .forEach((heading) => {
+      const key = heading.text.toLowerCase();
+      seen.set(key, [...(seen.get(key) || []), heading]);
+    });
+  seen.forEach((duplicates) => {
+    if (duplicates.length < 2) return;
+    issues.push({
+      level: 'notice',
+      message: `Duplicate heading text "${duplicates[0].text}" used ${
+        duplicates.length
+      } times (${duplicates.map((h) => `H${h.level}`).join(', ')})`,
+      element: duplicates[1].element,
+      impact: 40,
+      area: 'Content Structure',
+    });
+  });
+
+  headings
+    .filter((heading) => heading.text.length > MAX_HEADING_LENGTH)
+    .forEach((heading) => {
+      issues.push({
+        level: 'notice',
+        message: `H${heading.level} heading is too long (${heading.text.length} chars) - keep headings under ${MAX_HEADING_LENGTH} characters`,
+        element: heading.element,
+        impact: 35,
+        area: 'Content Structure',
+      });
+    });
+
+  return {
+    counts,
+    headings: headings.map(({ element, ...heading }) => heading),
+    outline: buildOutline(headings),
+    issues,
+    recommendations,
+  };
+}
@@ -0,0 +1,277 @@
+// src/analyzers/hreflang-analyzer.js
+import { normalizeUrl } from '../utils/url-utils.js';
+import { createRuleIssue } from '../rules/rule-engine.js';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+// Region codes people often use that are not ISO 3166-1
+const REGION_CORRECTIONS = { UK: 'GB' };
+
+// Validate an hreflang value: an ISO 639-1 language, optionally followed by
+// an ISO 15924 script and/or an ISO 3166-1 alpha-2 region, or "x-default".
+// Returns null when valid, otherwise a description of the problem.
+export function validateLanguageCode(code) {
+  if (code.toLowerCase() === 'x-default') return null;
+
+  const parts = code.split('-');
+  const language = parts[0].toLowerCase();
+  if (!/^[a-z]{2}$/.test(language) || languageNames.of(language) === language) {
+    return `"${parts[0]}" is not an ISO 639-1 language code`;
+  }
+
+  let rest = parts.slice(1);
+  if (rest.length > 0 && /^[a-z]{4}$/i.test(rest[0])) {
+    rest = rest.slice(1);
+  }
+  if (rest.length > 1) {
+    return `"${code}" has too many subtags - use language-REGION`;
+  }
+  if (rest.length === 1) {
+    const region = rest[0].toUpperCase();
+    if (REGION_CORRECTIONS[region]) {
+      return `"${rest[0]}" is not an ISO 3166-1 region code - use "${REGION_CORRECTIONS[region]}"`;
+    }
+    if (!/^[A-Z]{2}$/.test(region) || regionNames.of(region) === region) {
+      return `"${rest[0]}" is not an ISO 3166-1 alpha-2 region code`;
+    }
+  }
+  return null;
+}
+
+function primaryLanguage(code) {
+  return (code || '').split('-')[0].toLowerCase();
+}
+
+// options.pageUrl is the public URL of the page when it is known; otherwise
+// the canonical URL is used to find the self-referencing entry
+export function analyzeHreflang($, options = {}) {
+  const issues = [];
+  const recommendations = [];
+
+  const lang = ($('html').attr('lang') || '').trim();
+  const canonical = $('link[rel="canonical"]').attr('href');
+  const pageUrls = [options.pageUrl, canonical]
+    .filter(Boolean)
+    .map((url) => normalizeUrl(url))
+    .filter(Boolean);
+
+  const alternates = $('link[rel="alternate"][hreflang]')
+    .map((i, el) => ({
+      hreflang: ($(el).attr('hreflang') || '').trim(),
+      href: ($(el).attr('href') || '').trim(),
+      element: el,
+    }))
+    .get();
+
+  if (!lang) {
+    issues.push({
+      level: 'notice',
+      message: 'Missing lang attribute on <html>',
+      element: $('html').get(0),
+      impact: 40,
+      area: 'International',
+    });
+    recommendations.push({
+      text: 'Declare the page language on the <html> element',
+      impact: 40,
+      reason:
+        'The lang attribute tells browsers, screen readers and search engines which language the page is in',
+      implementation: '<html lang="en">',
+    });
+  } else {
+    const langError = validateLanguageCode(lang);
+    if (langError) {
+      issues.push({
+        level: 'notice',
+        message: `Invalid <html lang="${lang}">: ${langError}`,
+        element: $('html').get(0),
+        impact: 40,
+        area: 'International',
+      });
+    }
+  }
+
+  if (alternates.length === 0) {
+    return {
+      hreflang: {
+        lang,
+        pageUrls,
+        alternates: [],
+        hasXDefault: false,
+        selfReference: null,
+      },
+      issues,
+      recommendations,
+    };
+  }
+
+  alternates.forEach((alternate) => {
+    const error = validateLanguageCode(alternate.hreflang);
+    if (error) {
+      issues.push({
+        level: 'error',
+        message: `Invalid hreflang "${alternate.hreflang}": ${error}`,
+        element: alternate.element,
+        impact: 70,
+        area: 'International',
+      });
+    }
+    if (!/^https?:\/\//i.test(alternate.href)) {
+      issues.push({
+        level: 'warning',
+        message: `hreflang "${alternate.hreflang}" uses a relative or empty URL "${alternate.href}" - hreflang URLs must be absolute`,
+        element: alternate.element,
+        impact: 60,
+        area: 'International',
+      });
+    }
+  });
+
+  // The same code pointing at different URLs makes the whole set ambiguous
+  const byCode = new Map();
+  alternates.forEach((alternate) => {
+    const code = alternate.hreflang.toLowerCase();
+    byCode.set(code, [...(byCode.get(code) || []), alternate]);
+  });
+  byCode.forEach((entries, code) => {
+    const hrefs = entries.map((alternate) => alternate.href);
+    if (new Set(hrefs).size > 1) {
+      issues.push({
+        level: 'warning',
+        message: `hreflang "${code}" is declared ${hrefs.length} times with different URLs`,
+        element: entries[1].element,
+        impact: 60,
+        area: 'International',
+      });
+    }
+  });
+
+  const hasXDefault = byCode.has('x-default');
+  if (!hasXDefault) {
+    issues.push({
+      level: 'notice',
+      message: 'hreflang set has no x-default entry',
+      element: alternates[0].element,
+      impact: 40,
+      area: 'International',
+    });
+    recommendations.push({
+      text: 'Add an x-default hreflang entry',
+      impact: 40,
+      reason:
+        'x-default tells search engines which page to show users whose language does not match any alternate',
+      implementation:
+        '<link rel="alternate" hreflang="x-default" href="https://example.com/">',
+    });
+  }
+
+  const selfReference =
+    pageUrls.length > 0
+      ? alternates.find(
+          (alternate) =>
+            alternate.hreflang.toLowerCase() !== 'x-default' &&
+            pageUrls.includes(normalizeUrl(alternate.href))
+        ) || null
+      : null;
+
+  if (pageUrls.length > 0 && !selfReference) {
+    issues.push({
+      level: 'warning',
+      message:
+        'hreflang set does not include a self-referencing entry for this page',
+      element: alternates[0].element,
+      impact: 60,
+      area: 'International',
+    });
+    recommendations.push({
+      text: 'Include the page itself in its hreflang set',
+      impact: 60,
+      reason:
+        'Each language version must list itself as well as every alternate, otherwise search engines may ignore the annotations',
+      implementation: `<link rel="alternate" hreflang="${lang || 'en'}" href="${
+        pageUrls[0]
+      }">`,
+    });
+  }
+
+  if (
+    lang &&
+    selfReference &&
+    primaryLanguage(lang) !== primaryLanguage(selfReference.hreflang)
+  ) {
+    issues.push({
+      level: 'warning',
+      message: `<html lang="${lang}"> does not match this page's hreflang "${selfReference.hreflang}"`,
+      element: $('html').get(0),
+      impact: 55,
+      area: 'International',
+    });
+  }
+
+  return {
+    hreflang: {
+      lang,
+      pageUrls,
+      alternates: alternates.map(({ element, ...alternate }) => ({
+        ...alternate,
+        line: element.sourceCodeLocation
+          ? element.sourceCodeLocation.startLine
+          : null,
+      })),
+      hasXDefault,
+      selfReference: selfReference ? selfReference.hreflang : null,
+    },
+    issues,
+    recommendations,
+  };
+}
+
+// Check return links between analyzed pages: if page A lists page B as an
+// alternate, B must list A. Issues are added to the results of the pages
+// missing the return link. Pages are identified by `hreflang.pageUrls`.
+export function checkHreflangReciprocity(results) {
+  const byUrl = new Map();
+  const pageUrlsOf = (result) =>
+    result.hreflang ? result.hreflang.pageUrls : [];
+  results.forEach((result) => {
+    pageUrlsOf(result).forEach((url) => byUrl.set(url, result));
+  });
+
+  results.forEach((result) => {
+    const alternates = result.hreflang ? result.hreflang.alternates : [];
+    alternates.forEach((alternate) => {
+      if (alternate.hreflang.toLowerCase() === 'x-default') return;
+
+      const target = byUrl.get(normalizeUrl(alternate.href));
+      if (!target || target === result) return;
+
+      const linksBack = (
+        target.hreflang ? target.hreflang.alternates : []
+      ).some(
+        (candidate) =>
+          candidate.hreflang.toLowerCase() !== 'x-default' &&
+          pageUrlsOf(result).includes(normalizeUrl(candidate.href))
+      );
+      if (!linksBack) {
+        // Point at the target's hreflang set, where the return link belongs
+        const firstAlternate = target.hreflang.alternates[0];
+        target.issues.push(
+          createRuleIssue('hreflang', {
+            level: 'error',
+            message: `Missing hreflang return link: ${result.pageIdentifier} lists this page as "${alternate.hreflang}" but this page does not link back to it`,
+            ...(firstAlternate && firstAlternate.line
+              ? { line: firstAlternate.line }
+              : {}),
+            impact: 70,
+            area: 'International',
+          })
+        );
+      }
+    });
+  });
+
+  results.forEach((result) => {
+    result.issues.sort((a, b) => b.impact - a.impact);
+  });
+}
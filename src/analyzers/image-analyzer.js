@@ -0,0 +1,324 @@
+// src/analyzers/image-analyzer.js
+import path from 'path';
+import { readImageInfo } from '../utils/image-utils.js';
+import { resolveLocalFile } from '../utils/file-utils.js';
+import { createRuleIssue } from '../rules/rule-engine.js';
+
+// Images after this many in document order are treated as below the fold
+const ABOVE_THE_FOLD_IMAGES = 2;
+const LEGACY_FORMATS = /\.(jpe?g|png|gif|bmp)(\?.*)?$/i;
+const MODERN_TYPES = /image\/(webp|avif)/i;
+const FILENAME_ALT =
+  /(\.(jpe?g|png|gif|webp|avif|svg|bmp)$)|^(img|image|dsc|photo|pic|screenshot)[-_ ]?\d*$/i;
+// Local files larger than this are flagged as oversized
+const MAX_IMAGE_BYTES = 200 * 1024;
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function listPreview(items) {
+  const names = items.slice(0, 5).map((item) => item.src);
+  return `${names.join(', ')}${
+    items.length > 5 ? `, +${items.length - 5} more` : ''
+  }`;
+}
+
+export function analyzeImages($) {
+  const issues = [];
+  const recommendations = [];
+  const items = [];
+
+  $('img').each((i, img) => {
+    const $img = $(img);
+    const picture = $img.parent('picture');
+    const sources = picture.length ? picture.find('source') : $();
+    const role = $img.attr('role');
+
+    items.push({
+      src: $img.attr('src') || $img.attr('data-src') || 'unknown image',
+      alt: $img.attr('alt') === undefined ? null : $img.attr('alt').trim(),
+      decorative:
+        $img.attr('alt') === '' || role === 'presentation' || role === 'none',
+      width: $img.attr('width') || null,
+      height: $img.attr('height') || null,
+      loading: $img.attr('loading') || null,
+      srcset: $img.attr('srcset') || sources.attr('srcset') || null,
+      sizes: $img.attr('sizes') || sources.attr('sizes') || null,
+      hasModernSource: sources
+        .toArray()
+        .some(
+          (source) =>
+            MODERN_TYPES.test($(source).attr('type') || '') ||
+            /\.(webp|avif)/i.test($(source).attr('srcset') || '')
+        ),
+      neighbourText: normalizeText(
+        $img.closest('figure').find('figcaption').text() || $img.parent().text()
+      ),
+      order: i + 1,
+      line: img.sourceCodeLocation ? img.sourceCodeLocation.startLine : null,
+      column: img.sourceCodeLocation ? img.sourceCodeLocation.startCol : null,
+      element: img,
+    });
+  });
+
+  const missingAlt = items.filter(
+    (item) => item.alt === null && !item.decorative
+  );
+  missingAlt.forEach((item) => {
+    issues.push({
+      rule: 'img-alt',
+      level: 'warning',
+      message: `Image missing alt text: ${item.src}`,
+      element: item.element,
+      impact: 60,
+      area: 'Accessibility',
+    });
+  });
+
+  const filenameAlt = items.filter(
+    (item) =>
+      item.alt &&
+      (FILENAME_ALT.test(item.alt) ||
+        item.alt.toLowerCase() ===
+          path.basename(item.src.split('?')[0]).toLowerCase())
+  );
+  filenameAlt.forEach((item) => {
+    issues.push({
+      rule: 'img-alt',
+      level: 'warning',
+      message: `Image alt text looks like a file name ("${item.alt}"): ${item.src}`,
+      element: item.element,
+      impact: 55,
+      area: 'Accessibility',
+    });
+  });
+
+  const redundantAlt = items.filter(
+    (item) => item.alt && item.neighbourText === normalizeText(item.alt)
+  );
+  redundantAlt.forEach((item) => {
+    issues.push({
+      rule: 'img-alt',
+      level: 'notice',
+      message: `Image alt text duplicates the surrounding text ("${item.alt}") - use alt="" or describe the image: ${item.src}`,
+      element: item.element,
+      impact: 30,
+      area: 'Accessibility',
+    });
+  });
+
+  if (missingAlt.length > 0 || filenameAlt.length > 0) {
+    recommendations.push({
+      rule: 'img-alt',
+      text: 'Add alt text to all images',
+      impact: 60,
+      reason:
+        'Alt text improves accessibility and helps search engines understand image content',
+      implementation:
+        '<img src="image.jpg" alt="Descriptive text about the image">\nUse alt="" for purely decorative images',
+    });
+  }
+
+  const missingDimensions = items.filter((item) => !item.width || !item.height);
+  missingDimensions.forEach((item) => {
+    issues.push({
+      rule: 'image-optimization',
+      level: 'warning',
+      message: `Image missing width/height attributes (layout shift risk): ${item.src}`,
+      element: item.element,
+      impact: 50,
+      area: 'Images',
+    });
+  });
+  if (missingDimensions.length > 0) {
+    recommendations.push({
+      rule: 'image-optimization',
+      text: 'Set width and height on images',
+      impact: 50,
+      reason:
+        'Browsers reserve space for images with known dimensions, preventing Cumulative Layout Shift (a Core Web Vital)',
+      implementation:
+        '<img src="photo.jpg" width="800" height="600" alt="...">',
+    });
+  }
+
+  const notLazy = items.filter(
+    (item) => item.order > ABOVE_THE_FOLD_IMAGES && item.loading !== 'lazy'
+  );
+  if (notLazy.length > 0) {
+    issues.push({
+      rule: 'image-optimization',
+      level: 'notice',
+      message: `${
+        notLazy.length
+      } image(s) likely below the fold without loading="lazy": ${listPreview(
+        notLazy
+      )}`,
+      element: notLazy[0].element,
+      impact: 40,
+      area: 'Images',
+    });
+    recommendations.push({
+      rule: 'image-optimization',
+      text: 'Lazy-load images below the fold',
+      impact: 40,
+      reason:
+        'Deferring offscreen images speeds up the initial page load and Largest Contentful Paint',
+      implementation: '<img src="photo.jpg" loading="lazy" alt="...">',
+    });
+  }
+
+  const raster = items.filter((item) => !/\.svg(\?.*)?$/i.test(item.src));
+  const noSrcset = raster.filter((item) => !item.srcset);
+  if (noSrcset.length > 0) {
+    issues.push({
+      rule: 'image-optimization',
+      level: 'notice',
+      message: `${
+        noSrcset.length
+      } image(s) without srcset for responsive sizes: ${listPreview(noSrcset)}`,
+      element: noSrcset[0].element,
+      impact: 35,
+      area: 'Images',
+    });
+  }
+  const noSizes = raster.filter(
+    (item) => item.srcset && /\d+w(\s*,|\s*$)/.test(item.srcset) && !item.sizes
+  );
+  if (noSizes.length > 0) {
+    issues.push({
+      rule: 'image-optimization',
+      level: 'notice',
+      message: `${
+        noSizes.length
+      } image(s) use width descriptors in srcset without a sizes attribute: ${listPreview(
+        noSizes
+      )}`,
+      element: noSizes[0].element,
+      impact: 35,
+      area: 'Images',
+    });
+  }
+  if (noSrcset.length > 0 || noSizes.length > 0) {
+    recommendations.push({
+      rule: 'image-optimization',
+      text: 'Serve responsive images with srcset and sizes',
+      impact: 35,
+      reason: 'Without srcset, mobile devices download desktop-sized images',
+      implementation:
+        '<img src="photo-800.jpg" srcset="photo-400.jpg 400w, photo-800.jpg 800w" sizes="(max-width: 600px) 400px, 800px" alt="...">',
+    });
+  }
+
+  const legacy = items.filter(
+    (item) => LEGACY_FORMATS.test(item.src) && !item.hasModernSource
+  );
+  if (legacy.length > 0) {
+    issues.push({
+      rule: 'image-optimization',
+      level: 'notice',
+      message: `${
+        legacy.length
+      } image(s) in JPEG/PNG/GIF without a WebP or AVIF alternative: ${listPreview(
+        legacy
+      )}`,
+      element: legacy[0].element,
+      impact: 35,
+      area: 'Images',
+    });
+    recommendations.push({
+      rule: 'image-optimization',
+      text: 'Serve modern image formats',
+      impact: 35,
+      reason: 'WebP and AVIF are typically 25-50% smaller than JPEG and PNG',
+      implementation:
+        '<picture>\n  <source srcset="photo.avif" type="image/avif">\n  <source srcset="photo.webp" type="image/webp">\n  <img src="photo.jpg" alt="..." width="800" height="600">\n</picture>',
+    });
+  }
+
+  return {
+    images: {
+      total: items.length,
+      missingAlt: missingAlt.length,
+      decorative: items.filter((item) => item.decorative).length,
+      missingDimensions: missingDimensions.length,
+      items: items.map(({ neighbourText, element, ...item }) => item),
+    },
+    issues,
+    recommendations,
+  };
+}
+
+// For images that are files inside the analyzed directory, check byte size
+// and compare intrinsic with declared dimensions
+export async function inspectLocalImages(
+  result,
+  { rootDir, filePath, siteUrl }
+) {
+  if (!result.images) return;
+
+  for (const item of result.images.items) {
+    const localPath = resolveLocalFile(item.src, {
+      rootDir,
+      filePath,
+      siteUrl,
+    });
+    if (!localPath) continue;
+
+    const info = await readImageInfo(localPath);
+    if (!info) continue;
+    item.file = info;
+
+    if (info.bytes > MAX_IMAGE_BYTES) {
+      result.issues.push(
+        createRuleIssue('image-optimization', {
+          level: 'warning',
+          message: `Image ${item.src} is ${Math.round(
+            info.bytes / 1024
+          )}KB - compress it or serve a smaller version (aim for under ${
+            MAX_IMAGE_BYTES / 1024
+          }KB)`,
+          impact: 50,
+          area: 'Images',
+          line: item.line,
+          column: item.column,
+        })
+      );
+    }
+
+    const declaredWidth = parseInt(item.width, 10);
+    const declaredHeight = parseInt(item.height, 10);
+    if (!info.width || !info.height || !declaredWidth || !declaredHeight) {
+      continue;
+    }
+
+    const intrinsicRatio = info.width / info.height;
+    const declaredRatio = declaredWidth / declaredHeight;
+    if (Math.abs(intrinsicRatio - declaredRatio) / intrinsicRatio > 0.05) {
+      result.issues.push(
+        createRuleIssue('image-optimization', {
+          level: 'warning',
+          message: `Image ${item.src} is ${info.width}×${info.height} but declared as ${declaredWidth}×${declaredHeight} - the aspect ratio does not match and the image will be distorted`,
+          impact: 45,
+          area: 'Images',
+          line: item.line,
+          column: item.column,
+        })
+      );
+    } else if (info.width > declaredWidth * 2 && info.format !== 'svg') {
+      result.issues.push(
+        createRuleIssue('image-optimization', {
+          level: 'notice',
+          message: `Image ${item.src} is ${info.width}×${info.height} but displayed at ${declaredWidth}×${declaredHeight} - serve a smaller file`,
+          impact: 40,
+          area: 'Images',
+          line: item.line,
+          column: item.column,
+        })
+      );
+    }
+  }
+
+  result.issues.sort((a, b) => b.impact - a.impact);
+}
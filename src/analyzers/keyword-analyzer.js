@@ -292,12 +292,16 @@ export function detectTargetKeywords(html, title, metaDescription) {
         }
       : null;
 
-  if (!placementAnalysis.inTitle) placementAnalysis.missingFrom.push('title');
-  if (!placementAnalysis.inMetaDescription)
-    placementAnalysis.missingFrom.push('meta description');
-  if (!placementAnalysis.inH1) placementAnalysis.missingFrom.push('H1 heading');
-  if (!placementAnalysis.inH2)
-    placementAnalysis.missingFrom.push('H2 headings');
+  // Pages with too little text, such as client-rendered shells, have no phrase
+  if (placementAnalysis) {
+    if (!placementAnalysis.inTitle) placementAnalysis.missingFrom.push('title');
+    if (!placementAnalysis.inMetaDescription)
+      placementAnalysis.missingFrom.push('meta description');
+    if (!placementAnalysis.inH1)
+      placementAnalysis.missingFrom.push('H1 heading');
+    if (!placementAnalysis.inH2)
+      placementAnalysis.missingFrom.push('H2 headings');
+  }
 
   return {
     singleWords: topWords,
@@ -0,0 +1,327 @@
+// src/analyzers/link-analyzer.js
+import { PLACEHOLDER_ORIGIN } from '../utils/url-utils.js';
+
+const GENERIC_ANCHORS = [
+  'click here',
+  'click',
+  'here',
+  'read more',
+  'more',
+  'learn more',
+  'more info',
+  'see more',
+  'details',
+  'continue',
+  'this',
+  'this link',
+  'link',
+  'go',
+];
+
+function normalizeHost(host) {
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+// Work out the origin links are compared against: the configured site URL,
+// else the canonical URL, else none (all absolute links count as external)
+export function resolveSiteOrigin($, siteUrl) {
+  const candidates = [siteUrl, $('link[rel="canonical"]').attr('href')];
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      const url = new URL(candidate);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return url.origin;
+      }
+    } catch (e) {
+      // Not an absolute URL, try the next candidate
+    }
+  }
+  return null;
+}
+
+export function classifyHref(href, siteOrigin) {
+  const value = href.trim();
+  if (value === '' || value.startsWith('#')) return 'fragment';
+  if (/^mailto:/i.test(value)) return 'mailto';
+  if (/^tel:/i.test(value)) return 'tel';
+  if (/^javascript:/i.test(value)) return 'javascript';
+
+  let url;
+  try {
+    url = new URL(value, siteOrigin || PLACEHOLDER_ORIGIN);
+  } catch (e) {
+    return 'invalid';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'other';
+
+  const base = new URL(siteOrigin || PLACEHOLDER_ORIGIN);
+  return normalizeHost(url.host) === normalizeHost(base.host)
+    ? 'internal'
+    : 'external';
+}
+
+function getAnchorText($, el) {
+  const text = $(el).text().replace(/\s+/g, ' ').trim();
+  if (text) return text;
+  return ($(el).attr('aria-label') || $(el).attr('title') || '').trim();
+}
+
+export function analyzeLinks($, options = {}) {
+  const issues = [];
+  const recommendations = [];
+  const siteOrigin = resolveSiteOrigin($, options.siteUrl);
+
+  const counts = {
+    total: 0,
+    internal: 0,
+    external: 0,
+    fragment: 0,
+    mailto: 0,
+    tel: 0,
+    other: 0,
+    missingHref: 0,
+    nofollow: 0,
+    sponsored: 0,
+    ugc: 0,
+  };
+  const items = [];
+  const genericAnchors = new Map();
+  let emptyAnchors = 0;
+  let imageLinksWithoutAlt = 0;
+  let firstMissingHref = null;
+
+  $('a').each((i, el) => {
+    const $el = $(el);
+    const href = $el.attr('href');
+    counts.total++;
+
+    if (href === undefined) {
+      counts.missingHref++;
+      firstMissingHref = firstMissingHref || el;
+      return;
+    }
+
+    const type = classifyHref(href, siteOrigin);
+    if (type in counts) {
+      counts[type]++;
+    } else {
+      counts.other++;
+    }
+
+    const rel = ($el.attr('rel') || '').toLowerCase().split(/\s+/);
+    const relFlags = ['nofollow', 'sponsored', 'ugc'].filter((flag) =>
+      rel.includes(flag)
+    );
+    if (type === 'external') {
+      relFlags.forEach((flag) => counts[flag]++);
+    }
+
+    const text = getAnchorText($, el);
+    const images = $el.find('img');
+    const imageAlt = images
+      .map((j, img) => ($(img).attr('alt') || '').trim())
+      .get()
+      .filter(Boolean)
+      .join(' ');
+
+    items.push({
+      href,
+      type,
+      text: text || imageAlt,
+      rel: relFlags,
+    });
+
+    if (type === 'fragment' || type === 'javascript') return;
+
+    if (!text && images.length > 0 && !imageAlt) {
+      imageLinksWithoutAlt++;
+      issues.push({
+        level: 'warning',
+        message: `Image link without alt text: ${href}`,
+        element: el,
+        impact: 55,
+        area: 'Links',
+      });
+    } else if (!text && !imageAlt) {
+      emptyAnchors++;
+      issues.push({
+        level: 'warning',
+        message: `Link has no anchor text: ${href}`,
+        element: el,
+        impact: 55,
+        area: 'Links',
+      });
+    } else {
+      const normalized = text
+        .toLowerCase()
+        .replace(/[.…!>»\s]+$/, '')
+        .trim();
+      if (GENERIC_ANCHORS.includes(normalized)) {
+        const entry = genericAnchors.get(normalized) || {
+          count: 0,
+          element: el,
+        };
+        entry.count++;
+        genericAnchors.set(normalized, entry);
+      }
+    }
+
+    if (type === 'internal' && rel.includes('nofollow')) {
+      issues.push({
+        level: 'notice',
+        message: `Internal link uses rel="nofollow": ${href}`,
+        element: el,
+        impact: 35,
+        area: 'Links',
+      });
+    }
+  });
+
+  genericAnchors.forEach(({ count, element }, text) => {
+    issues.push({
+      level: 'notice',
+      message: `Generic anchor text "${text}" used ${count} time${
+        count === 1 ? '' : 's'
+      } - describe the link target instead`,
+      element,
+      impact: 45,
+      area: 'Links',
+    });
+  });
+
+  if (counts.missingHref > 0) {
+    issues.push({
+      level: 'notice',
+      message: `${counts.missingHref} <a> element${
+        counts.missingHref === 1 ? ' has' : 's have'
+      } no href attribute and cannot be crawled`,
+      element: firstMissingHref,
+      impact: 40,
+      area: 'Links',
+    });
+  }
+
+  if (genericAnchors.size > 0 || emptyAnchors > 0 || imageLinksWithoutAlt > 0) {
+    recommendations.push({
+      text: 'Use descriptive anchor text for links',
+      impact: 50,
+      reason:
+        'Anchor text tells search engines what the linked page is about and helps distribute relevance',
+      implementation:
+        '<a href="/pricing">Compare pricing plans</a> instead of <a href="/pricing">click here</a>; give image links an alt attribute',
+    });
+  }
+
+  if (counts.missingHref > 0) {
+    recommendations.push({
+      text: 'Give every link a crawlable href',
+      impact: 40,
+      reason:
+        'Search engines only follow <a> elements with an href; click handlers alone are not crawled',
+      implementation: '<a href="/destination">Destination</a>',
+    });
+  }
+
+  return {
+    links: {
+      siteOrigin,
+      ...counts,
+      genericAnchors: Array.from(genericAnchors.values()).reduce(
+        (sum, entry) => sum + entry.count,
+        0
+      ),
+      emptyAnchors,
+      imageLinksWithoutAlt,
+      items,
+    },
+    issues,
+    recommendations,
+  };
+}
+
+// Attributes that reference another file, and what the file is. <a> and
+// <area> point at pages; the rest are assets the page needs.
+const REFERENCE_ATTRIBUTES = [
+  { selector: 'a[href], area[href]', attribute: 'href', kind: 'page' },
+  { selector: 'iframe[src]', attribute: 'src', kind: 'frame' },
+  {
+    selector: 'img[src], source[src], input[src]',
+    attribute: 'src',
+    kind: 'image',
+  },
+  {
+    selector: 'img[srcset], source[srcset]',
+    attribute: 'srcset',
+    kind: 'image',
+  },
+  { selector: 'video[poster]', attribute: 'poster', kind: 'image' },
+  {
+    selector: 'video[src], audio[src], track[src], embed[src]',
+    attribute: 'src',
+    kind: 'media',
+  },
+  { selector: 'script[src]', attribute: 'src', kind: 'script' },
+  { selector: 'link[href]', attribute: 'href', kind: 'link' },
+];
+
+// rel values of <link> elements that load a file; canonical, alternate,
+// preconnect and the like name URLs rather than files
+const FILE_LINK_RELS = [
+  'stylesheet',
+  'icon',
+  'apple-touch-icon',
+  'manifest',
+  'preload',
+  'modulepreload',
+  'prefetch',
+];
+
+function srcsetUrls(srcset) {
+  if (/^\s*data:/i.test(srcset)) return [];
+  return srcset
+    .split(',')
+    .map((candidate) => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+// Every URL the page references with the line and column of the attribute,
+// and the ids (plus <a name>) that #fragments can point at
+export function extractReferences($) {
+  const items = [];
+  REFERENCE_ATTRIBUTES.forEach(({ selector, attribute, kind }) => {
+    $(selector).each((i, el) => {
+      let itemKind = kind;
+      if (el.tagName === 'link') {
+        const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+        const fileRel = FILE_LINK_RELS.find((value) => rel.includes(value));
+        if (!fileRel) return;
+        itemKind = fileRel === 'stylesheet' ? 'stylesheet' : 'asset';
+      }
+
+      const value = $(el).attr(attribute).trim();
+      const location = el.sourceCodeLocation
+        ? (el.sourceCodeLocation.attrs &&
+            el.sourceCodeLocation.attrs[attribute]) ||
+          el.sourceCodeLocation
+        : null;
+      const urls = attribute === 'srcset' ? srcsetUrls(value) : [value];
+      urls.filter(Boolean).forEach((url) => {
+        items.push({
+          url,
+          kind: itemKind,
+          tag: el.tagName,
+          attribute,
+          line: location ? location.startLine : null,
+          column: location ? location.startCol : null,
+        });
+      });
+    });
+  });
+
+  const ids = new Set();
+  $('[id]').each((i, el) => ids.add($(el).attr('id')));
+  $('a[name]').each((i, el) => ids.add($(el).attr('name')));
+
+  return { items, ids: [...ids] };
+}
@@ -0,0 +1,172 @@
+// src/analyzers/link-graph-analyzer.js - Internal link graph of a static
+// build: which pages link to which, how many clicks each page is from the
+// home page, and the pages nothing links to.
+import path from 'path';
+import { createRuleIssue, getRuleSettings } from '../rules/rule-engine.js';
+import { staticHostCandidates } from '../utils/file-utils.js';
+import {
+  filePathToUrl,
+  PLACEHOLDER_ORIGIN,
+  sitePathname,
+} from '../utils/url-utils.js';
+
+// Pages listed as hubs in the report
+const MAX_HUBS = 5;
+
+// URL path a file is served at, e.g. blog\post.html -> /blog/post.html
+function fileUrlPath(relativePath) {
+  return `/${relativePath.split(path.sep).join('/')}`;
+}
+
+// Breadth-first click depth of every page reachable from `home`
+function clickDepths(home, outbound) {
+  const depths = new Map([[home, 0]]);
+  const queue = [home];
+  while (queue.length > 0) {
+    const page = queue.shift();
+    outbound.get(page).forEach((target) => {
+      if (depths.has(target)) return;
+      depths.set(target, depths.get(page) + 1);
+      queue.push(target);
+    });
+  }
+  return depths;
+}
+
+// Build the link graph between `results` (analyses of files, identified by
+// their path relative to the analyzed directory) and add an internal-links
+// issue to orphan, unreachable, deep and weakly linked pages.
+// options.ruleConfigs maps each result to its rule config, for the
+// maxClickDepth, minInboundLinks and minHubLinks settings, and
+// options.siteUrl is the URL the directory is served from.
+// Returns { homePage, edges, pages, orphans, unreachable, deepPages,
+// weaklyLinked, hubs }; each result also gets its entry as `linkGraph`.
+export function analyzeLinkGraph(results, options = {}) {
+  const ruleConfigs = options.ruleConfigs || new Map();
+  const siteRoot = options.siteUrl || `${PLACEHOLDER_ORIGIN}/`;
+  const byPath = new Map();
+  results.forEach((result) => {
+    byPath.set(fileUrlPath(result.pageIdentifier), result);
+  });
+
+  const findPage = (pathname) => {
+    const match = staticHostCandidates(pathname).find((candidate) =>
+      byPath.has(candidate)
+    );
+    return match ? byPath.get(match) : null;
+  };
+
+  const outbound = new Map(results.map((result) => [result, new Set()]));
+  const inbound = new Map(results.map((result) => [result, new Set()]));
+  results.forEach((result) => {
+    const base = filePathToUrl(siteRoot, result.pageIdentifier);
+    result.links.items
+      // Crawlers do not pass through nofollow links
+      .filter(
+        (link) => link.type === 'internal' && !link.rel.includes('nofollow')
+      )
+      .forEach((link) => {
+        let pathname;
+        try {
+          pathname = sitePathname(new URL(link.href, base).pathname, siteRoot);
+          if (pathname === null) return;
+          pathname = decodeURIComponent(pathname);
+        } catch (e) {
+          return;
+        }
+        const target = findPage(pathname);
+        if (!target || target === result) return;
+        outbound.get(result).add(target);
+        inbound.get(target).add(result);
+      });
+  });
+
+  const home = findPage('/');
+  const depths = home ? clickDepths(home, outbound) : new Map();
+
+  const pages = results.map((result) => {
+    const entry = {
+      page: result.pageIdentifier,
+      inbound: inbound.get(result).size,
+      outbound: outbound.get(result).size,
+      clickDepth: depths.has(result) ? depths.get(result) : null,
+      linkedFrom: [...inbound.get(result)].map((page) => page.pageIdentifier),
+    };
+    result.linkGraph = entry;
+    return entry;
+  });
+
+  const graph = {
+    homePage: home ? home.pageIdentifier : null,
+    edges: pages.reduce((sum, entry) => sum + entry.outbound, 0),
+    pages,
+    orphans: [],
+    unreachable: [],
+    deepPages: [],
+    weaklyLinked: [],
+    // Only pages linking to at least minHubLinks others, so a page with a
+    // single link back home is not reported as a hub
+    hubs: results
+      .filter(
+        (result) =>
+          result.linkGraph.outbound >=
+          getRuleSettings('internal-links', ruleConfigs.get(result)).minHubLinks
+      )
+      .map((result) => result.linkGraph)
+      .sort((a, b) => b.outbound - a.outbound)
+      .slice(0, MAX_HUBS),
+  };
+
+  results.forEach((result) => {
+    if (result === home) return;
+    const entry = result.linkGraph;
+    const settings = getRuleSettings('internal-links', ruleConfigs.get(result));
+    const addIssue = (issue) =>
+      result.issues.push(
+        createRuleIssue('internal-links', { ...issue, area: 'Site Structure' })
+      );
+
+    if (entry.inbound === 0) {
+      graph.orphans.push(entry.page);
+      addIssue({
+        level: 'warning',
+        message:
+          'Orphan page - no other page links to it, so crawlers can only find it through a sitemap',
+        impact: 65,
+      });
+      return;
+    }
+    if (home && entry.clickDepth === null) {
+      graph.unreachable.push(entry.page);
+      addIssue({
+        level: 'warning',
+        message: `Not reachable from the home page (${home.pageIdentifier}) by following links`,
+        impact: 60,
+      });
+    } else if (entry.clickDepth > settings.maxClickDepth) {
+      graph.deepPages.push(entry);
+      addIssue({
+        level: 'notice',
+        message: `Page is ${entry.clickDepth} clicks from the home page - link to it from higher up (at most ${settings.maxClickDepth})`,
+        impact: 45,
+      });
+    }
+    if (entry.inbound < settings.minInboundLinks) {
+      graph.weaklyLinked.push(entry);
+      addIssue({
+        level: 'notice',
+        message: `Only ${entry.inbound} page${
+          entry.inbound === 1 ? ' links' : 's link'
+        } here - link to it from related pages (at least ${
+          settings.minInboundLinks
+        })`,
+        impact: 35,
+      });
+    }
+  });
+
+  results.forEach((result) => {
+    result.issues.sort((a, b) => b.impact - a.impact);
+  });
+  return graph;
+}
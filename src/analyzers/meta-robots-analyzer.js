@@ -0,0 +1,186 @@
+// src/analyzers/meta-robots-analyzer.js
+import {
+  isRobotsMetaName,
+  resolveRobotsDirectives,
+} from '../robots/robots-meta.js';
+
+function describeFound(item) {
+  return `${item.name}${item.value === null ? '' : `:${item.value}`} (line ${
+    item.line
+  })`;
+}
+
+// Robots meta tags of the page, merged per crawler (see
+// src/robots/robots-meta.js), with the issues of the meta-robots rule
+export function analyzeRobotsMeta($) {
+  const issues = [];
+  const recommendations = [];
+
+  const elements = $('meta[name]')
+    .filter((i, el) =>
+      isRobotsMetaName($(el).attr('name').trim().toLowerCase())
+    )
+    .get();
+  const tags = elements.map((el) => ({
+    name: $(el).attr('name').trim().toLowerCase(),
+    content: $(el).attr('content') || '',
+    line: el.sourceCodeLocation ? el.sourceCodeLocation.startLine : null,
+    element: el,
+  }));
+  const robotsDirectives = resolveRobotsDirectives(tags);
+  const { crawlers } = robotsDirectives;
+  const google = crawlers.googlebot;
+
+  // The first tag read by one of the crawlers `names` that mentions one of
+  // `directives`
+  const elementFor = (names, directives) => {
+    const tag = tags.find(
+      (candidate) =>
+        (candidate.name === 'robots' || names.includes(candidate.name)) &&
+        directives.some((directive) =>
+          candidate.content.toLowerCase().includes(directive)
+        )
+    );
+    return tag ? tag.element : elements[0];
+  };
+  const othersWith = (flag) =>
+    Object.keys(crawlers).filter(
+      (crawler) => crawler !== 'googlebot' && crawlers[crawler][flag]
+    );
+
+  if (google.noindex) {
+    issues.push({
+      level: 'error',
+      message:
+        'Page has noindex directive - it will not appear in search results',
+      element: elementFor(['googlebot'], ['noindex', 'none']),
+      impact: 100,
+      area: 'Indexability',
+    });
+    recommendations.push({
+      text: 'Remove noindex directive if you want this page to be indexed',
+      impact: 100,
+      reason:
+        'The noindex directive explicitly tells search engines not to include this page in search results',
+      implementation:
+        'Change to <meta name="robots" content="index,follow"> or remove the tag entirely',
+    });
+  } else if (othersWith('noindex').length > 0) {
+    const names = othersWith('noindex');
+    issues.push({
+      level: 'warning',
+      message: `Page has noindex for ${names.join(
+        ', '
+      )} - it will not appear in their search results`,
+      element: elementFor(names, ['noindex', 'none']),
+      impact: 70,
+      area: 'Indexability',
+    });
+  }
+
+  if (google.nofollow) {
+    issues.push({
+      level: 'warning',
+      message:
+        'Page has nofollow directive - search engines will not follow links',
+      element: elementFor(['googlebot'], ['nofollow', 'none']),
+      impact: 85,
+      area: 'Indexability',
+    });
+    recommendations.push({
+      text: 'Remove nofollow directive if you want link equity to flow through this page',
+      impact: 85,
+      reason:
+        'The nofollow directive prevents search engines from following links on this page',
+      implementation:
+        'Change to <meta name="robots" content="index,follow"> or remove the tag entirely',
+    });
+  } else if (othersWith('nofollow').length > 0) {
+    const names = othersWith('nofollow');
+    issues.push({
+      level: 'notice',
+      message: `Page has nofollow for ${names.join(
+        ', '
+      )} - they will not follow its links`,
+      element: elementFor(names, ['nofollow', 'none']),
+      impact: 50,
+      area: 'Indexability',
+    });
+  }
+
+  robotsDirectives.conflicts.forEach((conflict) => {
+    const crawlerNames = conflict.crawlers.includes('*')
+      ? 'every crawler'
+      : conflict.crawlers.join(', ');
+    const applied =
+      conflict.applied === `no${conflict.directive}`
+        ? conflict.applied
+        : `${conflict.directive}:${conflict.applied}`;
+    issues.push({
+      level: 'warning',
+      message: `Conflicting robots directives for ${crawlerNames}: ${conflict.found
+        .map(describeFound)
+        .join(' and ')} - the most restrictive, ${applied}, applies`,
+      element: tags.find((tag) => tag.line === conflict.found[0].line).element,
+      impact: 60,
+      area: 'Indexability',
+    });
+  });
+
+  robotsDirectives.invalid.forEach((item) => {
+    issues.push({
+      level: 'warning',
+      message: `Invalid robots directive "${item.token}" in <meta name="${item.name}">: ${item.reason}`,
+      element: tags.find((tag) => tag.line === item.line).element,
+      impact: 50,
+      area: 'Indexability',
+    });
+  });
+
+  if (google.unavailableAfter) {
+    const expired = Date.parse(google.unavailableAfter) <= Date.now();
+    issues.push({
+      level: expired ? 'error' : 'notice',
+      message: expired
+        ? `unavailable_after date ${google.unavailableAfter} has passed - Google no longer shows this page`
+        : `Page leaves Google's results after ${google.unavailableAfter} (unavailable_after)`,
+      element: elementFor(['googlebot'], ['unavailable_after']),
+      impact: expired ? 90 : 30,
+      area: 'Indexability',
+    });
+  }
+
+  if (google.nosnippet || google.maxSnippet === 0) {
+    issues.push({
+      level: 'warning',
+      message: `Snippets are disabled (${
+        google.nosnippet ? 'nosnippet' : 'max-snippet:0'
+      }) - search results show no text preview of this page`,
+      element: elementFor(['googlebot'], ['nosnippet', 'max-snippet']),
+      impact: 50,
+      area: 'Indexability',
+    });
+    recommendations.push({
+      text: 'Allow a text snippet in search results',
+      impact: 50,
+      reason:
+        'Results without a description get fewer clicks; use data-nosnippet on the parts of the page that must not be quoted instead',
+      implementation: '<meta name="robots" content="max-snippet:-1">',
+    });
+  }
+
+  if (
+    google.maxImagePreview === 'none' ||
+    google.maxImagePreview === 'standard'
+  ) {
+    issues.push({
+      level: 'notice',
+      message: `Image previews are limited (max-image-preview:${google.maxImagePreview}) - large images are needed for Discover and rich results`,
+      element: elementFor(['googlebot'], ['max-image-preview']),
+      impact: 25,
+      area: 'Indexability',
+    });
+  }
+
+  return { robotsDirectives, issues, recommendations };
+}
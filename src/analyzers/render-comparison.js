@@ -0,0 +1,191 @@
+// src/analyzers/render-comparison.js - What changes between the HTML a server
+// sends and the DOM after JavaScript has run. Crawlers that do not execute
+// JavaScript, and every crawler before its render queue gets to the page,
+// only see the first.
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { analyzeHtml } from './html-analyzer.js';
+import {
+  DEFAULT_TIMEOUT,
+  renderPage,
+  resolveRenderTarget,
+} from './rendered-analyzer.js';
+
+// Most items listed per side for headings, links and structured data
+const MAX_LISTED = 20;
+
+// The HTML as served, without running any script. Gives up after `timeout`
+// milliseconds, like the rendering does.
+async function loadRawHtml(url, timeout) {
+  if (url.startsWith('file:')) {
+    return fs.readFile(fileURLToPath(url), 'utf8');
+  }
+  try {
+    const signal = AbortSignal.timeout(timeout);
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`${url} returned HTTP ${response.status}`);
+    }
+    return await response.text();
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`Could not load ${url}: no response within ${timeout}ms`);
+    }
+    throw error;
+  }
+}
+
+function flattenOutline(nodes, list = []) {
+  nodes.forEach((node) => {
+    list.push(`H${node.level}: ${node.text}`);
+    flattenOutline(node.children, list);
+  });
+  return list;
+}
+
+// Items in `a` that are not in `b`, counting repeats
+function subtract(a, b) {
+  const remaining = new Map();
+  b.forEach((item) => remaining.set(item, (remaining.get(item) || 0) + 1));
+  return a.filter((item) => {
+    const count = remaining.get(item) || 0;
+    if (count === 0) return true;
+    remaining.set(item, count - 1);
+    return false;
+  });
+}
+
+function statusOf(hasRaw, hasRendered, changed) {
+  if (!hasRaw && hasRendered) return 'rendered-only';
+  if (hasRaw && !hasRendered) return 'raw-only';
+  return changed ? 'changed' : 'unchanged';
+}
+
+function compareValue(area, raw, rendered) {
+  const rawValue = raw === undefined || raw === '' ? null : raw;
+  const renderedValue =
+    rendered === undefined || rendered === '' ? null : rendered;
+  return {
+    area,
+    status: statusOf(
+      rawValue !== null,
+      renderedValue !== null,
+      rawValue !== renderedValue
+    ),
+    raw: rawValue,
+    rendered: renderedValue,
+  };
+}
+
+function compareList(area, raw, rendered) {
+  const added = subtract(rendered, raw);
+  const removed = subtract(raw, rendered);
+  return {
+    area,
+    status: statusOf(
+      raw.length > 0,
+      rendered.length > 0,
+      added.length > 0 || removed.length > 0
+    ),
+    raw: raw.length,
+    rendered: rendered.length,
+    added: added.slice(0, MAX_LISTED),
+    removed: removed.slice(0, MAX_LISTED),
+    addedCount: added.length,
+    removedCount: removed.length,
+  };
+}
+
+function robotsValue(result) {
+  const { noindex, nofollow } = result.robotsDirectives;
+  return `${noindex ? 'noindex' : 'index'}, ${
+    nofollow ? 'nofollow' : 'follow'
+  }`;
+}
+
+function crawlableLinks(result) {
+  return result.links.items
+    .filter((link) => link.type === 'internal' || link.type === 'external')
+    .map((link) => link.href);
+}
+
+function structuredDataTypes(result) {
+  return result.structuredData.entities
+    .filter((entity) => !entity.nested)
+    .map((entity) => `${entity.type || 'Untyped entity'} (${entity.source})`);
+}
+
+// Compare two analyzeHtml results, the static HTML first. Returns
+// { differences, renderedOnly } where each difference has an area, a
+// status (unchanged, changed, rendered-only or raw-only), the raw and
+// rendered values and, for lists, the added and removed items.
+export function compareAnalyses(raw, rendered) {
+  const differences = [
+    compareValue('Title', raw.title.trim(), rendered.title.trim()),
+    compareValue(
+      'Meta description',
+      (raw.metaDescription || '').trim(),
+      (rendered.metaDescription || '').trim()
+    ),
+    compareValue('Canonical', raw.canonicalUrl, rendered.canonicalUrl),
+    compareValue('Robots', robotsValue(raw), robotsValue(rendered)),
+    compareList(
+      'Headings',
+      flattenOutline(raw.headingOutline),
+      flattenOutline(rendered.headingOutline)
+    ),
+    compareList('Links', crawlableLinks(raw), crawlableLinks(rendered)),
+    compareList(
+      'Structured data',
+      structuredDataTypes(raw),
+      structuredDataTypes(rendered)
+    ),
+    compareValue('Visible words', raw.wordCount, rendered.wordCount),
+  ];
+
+  // Word counts are always present, so call it rendered-only when most of
+  // the text comes from JavaScript
+  const words = differences[differences.length - 1];
+  if (words.rendered > 0 && words.raw < words.rendered / 2) {
+    words.status = 'rendered-only';
+  }
+
+  // What a crawler that does not run JavaScript misses
+  const renderedOnly = [];
+  differences.forEach((difference) => {
+    if (difference.added) {
+      difference.added.forEach((item) =>
+        renderedOnly.push(`${difference.area}: ${item}`)
+      );
+      if (difference.addedCount > difference.added.length) {
+        renderedOnly.push(
+          `${difference.area}: ${
+            difference.addedCount - difference.added.length
+          } more`
+        );
+      }
+    } else if (difference.status === 'rendered-only') {
+      renderedOnly.push(`${difference.area}: ${difference.rendered}`);
+    }
+  });
+
+  return { differences, renderedOnly };
+}
+
+// Analyze a local file or localhost URL twice, as served and as rendered
+// in headless Chromium, and compare the results. Takes the options of
+// analyzeRenderedPage.
+export async function analyzeRenderComparison(target, options = {}) {
+  const url = await resolveRenderTarget(target);
+  const rawHtml = await loadRawHtml(url, options.timeout || DEFAULT_TIMEOUT);
+  const { html, rendering } = await renderPage(url, options);
+
+  const raw = analyzeHtml(rawHtml, target, options);
+  const rendered = analyzeHtml(html, target, { ...options, rendering });
+  return {
+    target,
+    raw,
+    rendered,
+    ...compareAnalyses(raw, rendered),
+  };
+}
@@ -0,0 +1,100 @@
+// src/analyzers/rendered-analyzer.js - Analyzes the DOM a page ends up with
+// after its JavaScript has run, for client-rendered apps whose static HTML
+// is little more than an empty mount point.
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import puppeteer from 'puppeteer';
+import { analyzeHtml } from './html-analyzer.js';
+import { isLocalhostUrl } from '../utils/url-utils.js';
+
+export const DEFAULT_TIMEOUT = 30000;
+
+// file:// URL for a local path, or the URL itself for localhost. Other hosts
+// are refused: this mode is for checking a project while it is developed.
+export async function resolveRenderTarget(target) {
+  if (/^https?:\/\//i.test(target)) {
+    const url = new URL(target);
+    if (!isLocalhostUrl(url.href)) {
+      throw new Error(
+        `Only local files and localhost URLs can be rendered, got ${url.host}`
+      );
+    }
+    return url.href;
+  }
+  if (/^file:\/\//i.test(target)) return target;
+
+  const filePath = path.resolve(target);
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  return pathToFileURL(filePath).href;
+}
+
+// Load the target in headless Chromium and serialize the final DOM.
+// options.waitUntil is a puppeteer load event (default networkidle0),
+// options.waitForSelector waits for an element the app renders last and
+// options.timeout bounds both waits in milliseconds.
+export async function renderPage(target, options = {}) {
+  const url = await resolveRenderTarget(target);
+  const waitUntil = options.waitUntil || 'networkidle0';
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({ headless: 'new' });
+  } catch (error) {
+    throw new Error(
+      `Could not start headless Chromium: ${error.message}\nReinstall puppeteer (npm install puppeteer) to download Chromium, or set PUPPETEER_EXECUTABLE_PATH to an installed Chrome.`
+    );
+  }
+
+  try {
+    const page = await browser.newPage();
+    const pageErrors = [];
+    page.on('pageerror', (error) => {
+      pageErrors.push({ type: 'exception', message: error.message });
+    });
+    page.on('console', (message) => {
+      if (message.type() === 'error') {
+        pageErrors.push({ type: 'console', message: message.text() });
+      }
+    });
+    page.on('requestfailed', (request) => {
+      pageErrors.push({
+        type: 'request',
+        message: `${request.url()} - ${request.failure()?.errorText}`,
+      });
+    });
+
+    const start = Date.now();
+    const response = await page.goto(url, { waitUntil, timeout });
+    if (options.waitForSelector) {
+      await page.waitForSelector(options.waitForSelector, { timeout });
+    }
+    const renderTime = Date.now() - start;
+
+    return {
+      html: await page.content(),
+      rendering: {
+        url,
+        status: response ? response.status() : null,
+        waitUntil,
+        waitForSelector: options.waitForSelector || null,
+        renderTime,
+        pageErrors,
+      },
+    };
+  } finally {
+    await browser.close();
+  }
+}
+
+// Same analysis as analyzeHtml, run on the rendered DOM. Takes the
+// analyzeHtml options plus the renderPage ones.
+export async function analyzeRenderedPage(target, options = {}) {
+  const { html, rendering } = await renderPage(target, options);
+  return analyzeHtml(html, target, { ...options, rendering });
+}
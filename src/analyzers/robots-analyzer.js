@@ -0,0 +1,43 @@
+// src/analyzers/robots-analyzer.js - Pages of a build that its robots.txt
+// keeps crawlers away from
+import { isAllowedByRobots } from '../robots/robots-txt.js';
+import { createRuleIssue } from '../rules/rule-engine.js';
+import { filePathToUrl } from '../utils/url-utils.js';
+
+// Checked as Google's crawler, which falls back to the * groups
+const USER_AGENT = 'googlebot';
+
+// Add a meta-robots issue to every result whose URL robots.txt disallows.
+// `robots` is parsed by parseRobotsTxt and options.siteUrl maps file paths to
+// URLs (only the path, including siteUrl's own, matters for matching).
+// Returns the blocked pages as [{ page, url, rule }].
+export function checkRobotsTxtBlocking(results, robots, options = {}) {
+  const blocked = [];
+  results.forEach((result) => {
+    const url = filePathToUrl(
+      options.siteUrl || 'http://localhost',
+      result.pageIdentifier
+    );
+    const verdict = isAllowedByRobots(robots, url, USER_AGENT);
+    if (verdict.allowed) return;
+
+    blocked.push({ page: result.pageIdentifier, url, rule: verdict.rule });
+    const directive = `Disallow: ${verdict.rule.path}`;
+    result.issues.push(
+      createRuleIssue('meta-robots', {
+        level: 'error',
+        message:
+          result.robotsDirectives && result.robotsDirectives.noindex
+            ? `Blocked by robots.txt (line ${verdict.rule.line}, ${directive}) - crawlers never see this page's noindex, so its URL can still be indexed`
+            : `Blocked by robots.txt (line ${verdict.rule.line}, ${directive}) - search engines cannot crawl this page`,
+        impact: 85,
+        area: 'Crawlability',
+      })
+    );
+  });
+
+  results.forEach((result) => {
+    result.issues.sort((a, b) => b.impact - a.impact);
+  });
+  return blocked;
+}
@@ -0,0 +1,364 @@
+// src/analyzers/social-analyzer.js
+import { readImageInfo } from '../utils/image-utils.js';
+import { resolveLocalFile } from '../utils/file-utils.js';
+import { createRuleIssue } from '../rules/rule-engine.js';
+
+const OG_TYPES = [
+  'website',
+  'article',
+  'book',
+  'profile',
+  'product',
+  'music.song',
+  'music.album',
+  'music.playlist',
+  'music.radio_station',
+  'video.movie',
+  'video.episode',
+  'video.tv_show',
+  'video.other',
+];
+const TWITTER_CARDS = ['summary', 'summary_large_image', 'app', 'player'];
+
+// Recommended size for large share images on Facebook, LinkedIn and X
+const MIN_IMAGE_WIDTH = 1200;
+const MIN_IMAGE_HEIGHT = 630;
+// Platform limits: X rejects images over 5MB or 4096px per side
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_IMAGE_SIDE = 4096;
+
+function isAbsoluteUrl(value) {
+  return /^https?:\/\//i.test(value || '');
+}
+
+export function analyzeSocialTags($) {
+  const issues = [];
+  const recommendations = [];
+
+  const og = (property) =>
+    ($(`meta[property="og:${property}"]`).attr('content') || '').trim();
+  // The tag an issue points at, falling back to <head> for missing tags
+  const ogTag = (property) =>
+    $(`meta[property="og:${property}"]`).get(0) || $('head').get(0);
+  const twitterTag = (name) =>
+    $(`meta[name="twitter:${name}"], meta[property="twitter:${name}"]`).get(
+      0
+    ) || $('head').get(0);
+  const twitter = (name) =>
+    (
+      $(`meta[name="twitter:${name}"]`).attr('content') ||
+      // Some sites use property= for Twitter tags, which X also accepts
+      $(`meta[property="twitter:${name}"]`).attr('content') ||
+      ''
+    ).trim();
+
+  const openGraph = {
+    title: og('title'),
+    description: og('description'),
+    type: og('type'),
+    url: og('url'),
+    image: og('image') || og('image:url'),
+    imageWidth: og('image:width'),
+    imageHeight: og('image:height'),
+    imageAlt: og('image:alt'),
+    siteName: og('site_name'),
+  };
+  const twitterCard = {
+    card: twitter('card'),
+    site: twitter('site'),
+    creator: twitter('creator'),
+    title: twitter('title'),
+    description: twitter('description'),
+    image: twitter('image') || twitter('image:src'),
+  };
+
+  const hasOpenGraph = Object.values(openGraph).some(Boolean);
+  const hasTwitterCards = Object.values(twitterCard).some(Boolean);
+
+  if (!openGraph.title && !twitterCard.title) {
+    issues.push({
+      rule: 'open-graph',
+      level: 'warning',
+      message: 'Missing social media title tags (Open Graph and Twitter)',
+      element: $('head').get(0),
+      impact: 60,
+      area: 'Social Sharing',
+    });
+    recommendations.push({
+      rule: 'open-graph',
+      text: 'Add Open Graph and Twitter Card meta tags',
+      impact: 60,
+      reason:
+        'Social media tags improve how your content appears when shared on social platforms',
+      implementation: `<meta property="og:title" content="${
+        $('title').text() || 'Your Title'
+      }">
+<meta name="twitter:title" content="${$('title').text() || 'Your Title'}">`,
+    });
+  }
+
+  if (!openGraph.image && !twitterCard.image) {
+    issues.push({
+      rule: 'open-graph',
+      level: 'warning',
+      message: 'Missing social media image tags',
+      element: $('head').get(0),
+      impact: 55,
+      area: 'Social Sharing',
+    });
+    recommendations.push({
+      rule: 'open-graph',
+      text: 'Add social media image tags',
+      impact: 55,
+      reason:
+        'Images make your content more appealing when shared on social media',
+      implementation: `<meta property="og:image" content="https://yourdomain.com/path/to/image.jpg">
+<meta name="twitter:image" content="https://yourdomain.com/path/to/image.jpg">`,
+    });
+  }
+
+  // The remaining Open Graph properties only matter once OG is in use
+  if (hasOpenGraph) {
+    const missing = ['type', 'url', 'description', 'site_name'].filter(
+      (property) => !og(property)
+    );
+    if (missing.length > 0) {
+      issues.push({
+        rule: 'open-graph',
+        level: 'notice',
+        message: `Open Graph tags incomplete - missing ${missing
+          .map((property) => `og:${property}`)
+          .join(', ')}`,
+        element: $('meta[property^="og:"]').get(0),
+        impact: 45,
+        area: 'Social Sharing',
+      });
+      recommendations.push({
+        rule: 'open-graph',
+        text: 'Complete the Open Graph tag set',
+        impact: 45,
+        reason:
+          'og:type and og:url are required by the Open Graph protocol; og:description and og:site_name control the share card text',
+        implementation: missing
+          .map((property) => `<meta property="og:${property}" content="...">`)
+          .join('\n'),
+      });
+    }
+
+    if (openGraph.type && !OG_TYPES.includes(openGraph.type)) {
+      issues.push({
+        rule: 'open-graph',
+        level: 'notice',
+        message: `Unknown og:type "${openGraph.type}" - use website, article, profile or another Open Graph type`,
+        element: ogTag('type'),
+        impact: 35,
+        area: 'Social Sharing',
+      });
+    }
+
+    if (openGraph.url && !isAbsoluteUrl(openGraph.url)) {
+      issues.push({
+        rule: 'open-graph',
+        level: 'warning',
+        message: `og:url "${openGraph.url}" must be an absolute URL`,
+        element: ogTag('url'),
+        impact: 50,
+        area: 'Social Sharing',
+      });
+    }
+
+    const declaredWidth = parseInt(openGraph.imageWidth, 10);
+    const declaredHeight = parseInt(openGraph.imageHeight, 10);
+    if (
+      declaredWidth &&
+      declaredHeight &&
+      (declaredWidth < MIN_IMAGE_WIDTH || declaredHeight < MIN_IMAGE_HEIGHT)
+    ) {
+      issues.push({
+        rule: 'open-graph',
+        level: 'notice',
+        message: `og:image is declared as ${declaredWidth}×${declaredHeight} - use at least ${MIN_IMAGE_WIDTH}×${MIN_IMAGE_HEIGHT} for large previews`,
+        element: ogTag('image:width'),
+        impact: 40,
+        area: 'Social Sharing',
+      });
+    }
+  }
+
+  if (hasTwitterCards || hasOpenGraph) {
+    if (!twitterCard.card) {
+      issues.push({
+        rule: 'twitter-cards',
+        level: 'notice',
+        message:
+          'Missing twitter:card - X falls back to a small summary card or no card at all',
+        element: $('head').get(0),
+        impact: 45,
+        area: 'Social Sharing',
+      });
+      recommendations.push({
+        rule: 'twitter-cards',
+        text: 'Declare a Twitter card type',
+        impact: 45,
+        reason:
+          'twitter:card is required for X to render a rich preview; other Twitter tags fall back to Open Graph',
+        implementation:
+          '<meta name="twitter:card" content="summary_large_image">\n<meta name="twitter:site" content="@yourhandle">',
+      });
+    } else if (!TWITTER_CARDS.includes(twitterCard.card)) {
+      issues.push({
+        rule: 'twitter-cards',
+        level: 'warning',
+        message: `Invalid twitter:card "${
+          twitterCard.card
+        }" - use one of ${TWITTER_CARDS.join(', ')}`,
+        element: twitterTag('card'),
+        impact: 50,
+        area: 'Social Sharing',
+      });
+    }
+
+    if (twitterCard.card && !twitterCard.site) {
+      issues.push({
+        rule: 'twitter-cards',
+        level: 'notice',
+        message:
+          'Missing twitter:site - the card will not be attributed to your account',
+        element: twitterTag('card'),
+        impact: 30,
+        area: 'Social Sharing',
+      });
+    } else if (twitterCard.site && !twitterCard.site.startsWith('@')) {
+      issues.push({
+        rule: 'twitter-cards',
+        level: 'notice',
+        message: `twitter:site "${twitterCard.site}" should be an @username`,
+        element: twitterTag('site'),
+        impact: 30,
+        area: 'Social Sharing',
+      });
+    }
+  }
+
+  [
+    ['og:image', openGraph.image, 'open-graph', ogTag('image')],
+    ['twitter:image', twitterCard.image, 'twitter-cards', twitterTag('image')],
+  ].forEach(([tag, value, rule, element]) => {
+    if (value && !isAbsoluteUrl(value)) {
+      issues.push({
+        rule,
+        level: 'warning',
+        message: `${tag} "${value}" must be an absolute URL - social platforms cannot resolve relative image paths`,
+        element,
+        impact: 55,
+        area: 'Social Sharing',
+      });
+    }
+  });
+
+  // What a share card would show, with Twitter values falling back to OG and
+  // OG falling back to the regular page tags like the platforms do
+  const imageTag = openGraph.image
+    ? $('meta[property="og:image"], meta[property="og:image:url"]').get(0)
+    : twitterCard.image && twitterTag('image');
+  const sharePreview = {
+    title: openGraph.title || twitterCard.title || $('title').text() || null,
+    description:
+      openGraph.description ||
+      twitterCard.description ||
+      $('meta[name="description"]').attr('content') ||
+      null,
+    image: openGraph.image || twitterCard.image || null,
+    imageAlt: openGraph.imageAlt || null,
+    imageLine:
+      imageTag && imageTag.sourceCodeLocation
+        ? imageTag.sourceCodeLocation.startLine
+        : null,
+    url: openGraph.url || $('link[rel="canonical"]').attr('href') || null,
+    siteName: openGraph.siteName || null,
+    type: openGraph.type || null,
+    twitterCard: twitterCard.card || null,
+    twitterSite: twitterCard.site || null,
+  };
+
+  return {
+    socialTags: {
+      hasOpenGraph,
+      hasTwitterCards,
+      openGraph,
+      twitter: twitterCard,
+    },
+    sharePreview,
+    issues,
+    recommendations,
+  };
+}
+
+// When the share image is a file inside the analyzed directory, read its
+// dimensions and size and add warnings to the page result
+export async function inspectSocialImage(
+  result,
+  { rootDir, filePath, siteUrl }
+) {
+  const image = result.sharePreview && result.sharePreview.image;
+  const localPath = resolveLocalFile(image, { rootDir, filePath, siteUrl });
+  if (!localPath) return;
+
+  const info = await readImageInfo(localPath);
+  if (!info) return;
+
+  result.sharePreview.imageInfo = info;
+
+  if (
+    info.width &&
+    info.height &&
+    (info.width < MIN_IMAGE_WIDTH || info.height < MIN_IMAGE_HEIGHT)
+  ) {
+    result.issues.push(
+      createRuleIssue('open-graph', {
+        level: 'warning',
+        message: `Share image ${image} is ${info.width}×${info.height} - use at least ${MIN_IMAGE_WIDTH}×${MIN_IMAGE_HEIGHT} for large previews`,
+        impact: 50,
+        area: 'Social Sharing',
+        line: result.sharePreview.imageLine,
+      })
+    );
+  }
+  if (info.width > MAX_IMAGE_SIDE || info.height > MAX_IMAGE_SIDE) {
+    result.issues.push(
+      createRuleIssue('open-graph', {
+        level: 'warning',
+        message: `Share image ${image} is ${info.width}×${info.height} - X rejects images larger than ${MAX_IMAGE_SIDE}px per side`,
+        impact: 50,
+        area: 'Social Sharing',
+        line: result.sharePreview.imageLine,
+      })
+    );
+  }
+  if (info.bytes > MAX_IMAGE_BYTES) {
+    result.issues.push(
+      createRuleIssue('open-graph', {
+        level: 'warning',
+        message: `Share image ${image} is ${(info.bytes / 1024 / 1024).toFixed(
+          1
+        )}MB - keep it under 5MB so every platform accepts it`,
+        impact: 50,
+        area: 'Social Sharing',
+        line: result.sharePreview.imageLine,
+      })
+    );
+  }
+  if (info.format === 'svg') {
+    result.issues.push(
+      createRuleIssue('open-graph', {
+        level: 'warning',
+        message: `Share image ${image} is an SVG - social platforms only accept JPEG, PNG, GIF or WebP`,
+        impact: 50,
+        area: 'Social Sharing',
+        line: result.sharePreview.imageLine,
+      })
+    );
+  }
+
+  result.issues.sort((a, b) => b.impact - a.impact);
+}
@@ -0,0 +1,311 @@
+// src/config/project-config.js - Discovers and validates the project config
+// (.seoinspectorrc.json or the "seoInspector" key in package.json)
+import fs from 'fs/promises';
+import path from 'path';
+import { getRules } from '../rules/index.js';
+
+const CONFIG_FILES = ['.seoinspectorrc.json', '.seoinspectorrc'];
+const PACKAGE_KEY = 'seoInspector';
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const TOP_LEVEL_KEYS = ['rules', 'overrides', 'reportUnusedSuppressions'];
+
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(
+      `Invalid SEO Inspector config in ${source}:\n${problems
+        .map((problem) => `- ${problem}`)
+        .join('\n')}`
+    );
+    this.name = 'ConfigError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+async function readJson(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw new ConfigError(filePath, [`Could not be read: ${error.message}`]);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError(filePath, [`Not valid JSON: ${error.message}`]);
+  }
+}
+
+// Look for a config in `directory`. Returns { source, config } with an empty
+// config when the project has none; throws ConfigError when it is malformed.
+export async function loadProjectConfig(directory) {
+  for (const name of CONFIG_FILES) {
+    const source = path.join(directory, name);
+    const config = await readJson(source);
+    if (config !== undefined) {
+      validateConfig(config, source);
+      return { source, config };
+    }
+  }
+
+  const packagePath = path.join(directory, 'package.json');
+  let pkg;
+  try {
+    pkg = await readJson(packagePath);
+  } catch (error) {
+    // A broken package.json is not ours to report unless it holds our key
+    pkg = undefined;
+  }
+  if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+    const source = `${packagePath} ("${PACKAGE_KEY}")`;
+    validateConfig(pkg[PACKAGE_KEY], source);
+    return { source, config: pkg[PACKAGE_KEY] };
+  }
+
+  return { source: null, config: {} };
+}
+
+// Look for a config in `directory` and then in each parent directory, for a
+// single file somewhere inside the project. Returns loadProjectConfig's
+// result plus the directory the config was found in (null without one), the
+// root that override globs are relative to.
+export async function findProjectConfig(directory) {
+  let current = path.resolve(directory);
+  for (;;) {
+    const found = await loadProjectConfig(current);
+    if (found.source) return { ...found, directory: current };
+    const parent = path.dirname(current);
+    if (parent === current) return { ...found, directory: null };
+    current = parent;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateRuleEntries(rules, where, problems) {
+  if (!isPlainObject(rules)) {
+    problems.push(`${where} must be an object keyed by rule id`);
+    return;
+  }
+
+  const known = new Map(getRules().map((rule) => [rule.id, rule]));
+  Object.entries(rules).forEach(([id, value]) => {
+    const at = `${where}["${id}"]`;
+    const rule = known.get(id);
+    if (!rule) {
+      problems.push(
+        `${at}: unknown rule - use one of ${Array.from(known.keys()).join(
+          ', '
+        )}`
+      );
+      return;
+    }
+
+    if (typeof value === 'boolean' || value === 'on' || value === 'off') {
+      return;
+    }
+    if (typeof value === 'string') {
+      if (!SEVERITIES.includes(value)) {
+        problems.push(
+          `${at}: "${value}" must be "on", "off" or a severity (${SEVERITIES.join(
+            ', '
+          )})`
+        );
+      }
+      return;
+    }
+    if (!isPlainObject(value)) {
+      problems.push(
+        `${at} must be "on", "off", true, false, a severity or an object`
+      );
+      return;
+    }
+
+    Object.entries(value).forEach(([key, setting]) => {
+      if (key === 'enabled') {
+        if (typeof setting !== 'boolean') {
+          problems.push(`${at}.enabled must be true or false`);
+        }
+      } else if (key === 'severity') {
+        if (!SEVERITIES.includes(setting)) {
+          problems.push(
+            `${at}.severity must be one of ${SEVERITIES.join(', ')}`
+          );
+        }
+      } else if (!(key in rule.defaults)) {
+        const options = Object.keys(rule.defaults);
+        problems.push(
+          `${at}.${key}: unknown option - ${
+            options.length > 0
+              ? `"${id}" accepts enabled, severity, ${options.join(', ')}`
+              : `"${id}" only accepts enabled and severity`
+          }`
+        );
+      } else if (typeof setting !== typeof rule.defaults[key]) {
+        problems.push(
+          `${at}.${key} must be a ${typeof rule.defaults[
+            key
+          ]}, got ${JSON.stringify(setting)}`
+        );
+      }
+    });
+
+    const settings = { ...rule.defaults, ...value };
+    if (
+      typeof settings.minLength === 'number' &&
+      typeof settings.maxLength === 'number' &&
+      settings.minLength > settings.maxLength
+    ) {
+      problems.push(`${at}: minLength must not be larger than maxLength`);
+    }
+  });
+}
+
+export function validateConfig(config, source) {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    throw new ConfigError(source, ['The config must be a JSON object']);
+  }
+
+  Object.keys(config).forEach((key) => {
+    if (!TOP_LEVEL_KEYS.includes(key)) {
+      problems.push(
+        `Unknown key "${key}" - expected one of ${TOP_LEVEL_KEYS.join(', ')}`
+      );
+    }
+  });
+
+  if (
+    config.reportUnusedSuppressions !== undefined &&
+    typeof config.reportUnusedSuppressions !== 'boolean'
+  ) {
+    problems.push('reportUnusedSuppressions must be true or false');
+  }
+
+  if (config.rules !== undefined) {
+    validateRuleEntries(config.rules, 'rules', problems);
+  }
+
+  if (config.overrides !== undefined) {
+    if (!Array.isArray(config.overrides)) {
+      problems.push('overrides must be an array');
+    } else {
+      config.overrides.forEach((override, i) => {
+        const at = `overrides[${i}]`;
+        if (!isPlainObject(override)) {
+          problems.push(`${at} must be an object with "files" and "rules"`);
+          return;
+        }
+        const files = [].concat(override.files);
+        if (
+          override.files === undefined ||
+          files.length === 0 ||
+          files.some((pattern) => typeof pattern !== 'string' || !pattern)
+        ) {
+          problems.push(
+            `${at}.files must be a glob or a non-empty array of globs`
+          );
+        }
+        Object.keys(override).forEach((key) => {
+          if (key !== 'files' && key !== 'rules') {
+            problems.push(`${at}: unknown key "${key}"`);
+          }
+        });
+        if (override.rules === undefined) {
+          problems.push(`${at}.rules is missing`);
+        } else {
+          validateRuleEntries(override.rules, `${at}.rules`, problems);
+        }
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+}
+
+// Translate a glob to a regular expression. Supports **, *, ? and {a,b};
+// patterns without a slash match the file name at any depth.
+function globToRegExp(pattern) {
+  let glob = pattern.replace(/^\.\//, '');
+  if (!glob.includes('/')) glob = `**/${glob}`;
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${glob
+          .slice(i + 1, end)
+          .split(',')
+          .map((part) => part.replace(/[.+^$()|[\]\\]/g, '\\$&'))
+          .join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesGlob(filePath, pattern) {
+  return globToRegExp(pattern).test(filePath.split(path.sep).join('/'));
+}
+
+function applyRuleEntries(resolved, rules) {
+  Object.entries(rules || {}).forEach(([id, value]) => {
+    const current = resolved[id] || { enabled: true, settings: {} };
+    if (value === false || value === 'off') {
+      resolved[id] = { ...current, enabled: false };
+    } else if (value === true || value === 'on') {
+      resolved[id] = { ...current, enabled: true };
+    } else if (typeof value === 'string') {
+      resolved[id] = { ...current, enabled: true, severity: value };
+    } else {
+      const { enabled, severity, ...settings } = value;
+      resolved[id] = {
+        enabled: enabled === undefined ? current.enabled : enabled,
+        severity: severity || current.severity,
+        settings: { ...current.settings, ...settings },
+      };
+    }
+  });
+}
+
+// Work out the rule config for one file: the base rules, then every override
+// whose globs match the path relative to the analyzed directory, in order.
+// Returns { [ruleId]: { enabled, severity, settings } } for the rule engine.
+export function resolveRuleConfig(config, relativePath) {
+  const resolved = {};
+  if (!config) return resolved;
+
+  applyRuleEntries(resolved, config.rules);
+  (config.overrides || []).forEach((override) => {
+    const patterns = [].concat(override.files);
+    if (patterns.some((pattern) => matchesGlob(relativePath, pattern))) {
+      applyRuleEntries(resolved, override.rules);
+    }
+  });
+  return resolved;
+}
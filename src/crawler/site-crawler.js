@@ -0,0 +1,219 @@
+// src/crawler/site-crawler.js - Crawls a local development server, for apps
+// whose routes only exist at request time (Next.js, Remix, Express, ...).
+import { analyzeHtml } from '../analyzers/html-analyzer.js';
+import { isAllowedByRobots, parseRobotsTxt } from '../robots/robots-txt.js';
+import { isLocalhostUrl, normalizeUrl } from '../utils/url-utils.js';
+
+const USER_AGENT_TOKEN = 'seo-inspector';
+const USER_AGENT = `${USER_AGENT_TOKEN}/1.0`;
+const MAX_REDIRECTS = 10;
+const DEFAULTS = { maxDepth: 3, maxPages: 50, timeout: 10000 };
+
+async function request(url, timeout) {
+  return fetch(url, {
+    redirect: 'manual',
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(timeout),
+  });
+}
+
+// robots.txt of the origin. RFC 9309: a 4xx response means no restrictions,
+// a 5xx or a network error means the whole site is off limits.
+async function loadRobots(origin, timeout) {
+  const url = `${origin}/robots.txt`;
+  try {
+    const response = await request(url, timeout);
+    if (response.ok) {
+      return {
+        url,
+        status: response.status,
+        robots: parseRobotsTxt(await response.text()),
+      };
+    }
+    if (response.status >= 500) {
+      return {
+        url,
+        status: response.status,
+        robots: parseRobotsTxt('User-agent: *\nDisallow: /'),
+      };
+    }
+    return { url, status: response.status, robots: null };
+  } catch (error) {
+    return {
+      url,
+      status: null,
+      error: error.message,
+      robots: parseRobotsTxt('User-agent: *\nDisallow: /'),
+    };
+  }
+}
+
+// Fetch a URL, following redirects by hand so that every hop is recorded.
+// A hop to another origin than `origin` is recorded but not fetched: the
+// result then has external set, the redirect's status and no body.
+async function fetchPage(url, origin, timeout) {
+  const redirects = [];
+  let current = url;
+
+  for (;;) {
+    const response = await request(current, timeout);
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      const next = new URL(location, current).href;
+      redirects.push({ url: current, status: response.status, location: next });
+      if (new URL(next).origin !== origin) {
+        return {
+          finalUrl: next,
+          status: response.status,
+          headers: Object.fromEntries(response.headers),
+          redirects,
+          external: true,
+          body: null,
+        };
+      }
+      if (redirects.length > MAX_REDIRECTS) {
+        throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+      }
+      current = next;
+      continue;
+    }
+    return {
+      finalUrl: current,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      redirects,
+      external: false,
+      body: await response.text(),
+    };
+  }
+}
+
+// Breadth-first crawl of the same-origin links reachable from startUrl.
+// options: maxDepth (clicks from the start page), maxPages, timeout per
+// request in milliseconds, respectRobots (default true), plus the
+// analyzeHtml options (ruleConfig, reportUnusedSuppressions).
+// Returns { startUrl, origin, robotsTxt, pages, results, notVisited } where
+// pages holds every URL visited or skipped and results the analyses of the
+// HTML pages, each with the page's crawl record as `crawl`.
+export async function crawlSite(startUrl, options = {}) {
+  if (!isLocalhostUrl(startUrl)) {
+    throw new Error(
+      `Only localhost URLs can be crawled, got ${startUrl} - start your development server and pass its URL`
+    );
+  }
+  const maxDepth = options.maxDepth ?? DEFAULTS.maxDepth;
+  const maxPages = options.maxPages ?? DEFAULTS.maxPages;
+  const timeout = options.timeout ?? DEFAULTS.timeout;
+  const { origin } = new URL(startUrl);
+
+  const robotsTxt = await loadRobots(origin, timeout);
+  const respectRobots = options.respectRobots !== false;
+
+  const pages = [];
+  const results = [];
+  // Normalized URLs, so that /about and /about/ are only queued once
+  const seen = new Set([normalizeUrl(startUrl)]);
+  // The exact URLs queued or fetched, which tell a redirect to a page crawled
+  // on its own from one to the page's other spelling (/about -> /about/)
+  const crawled = new Set([new URL(startUrl).href]);
+  const queue = [{ url: new URL(startUrl).href, depth: 0, linkedFrom: null }];
+
+  while (queue.length > 0 && results.length < maxPages) {
+    const { url, depth, linkedFrom } = queue.shift();
+    const page = { url, depth, linkedFrom };
+    pages.push(page);
+
+    if (respectRobots && robotsTxt.robots) {
+      const verdict = isAllowedByRobots(
+        robotsTxt.robots,
+        url,
+        USER_AGENT_TOKEN
+      );
+      if (!verdict.allowed) {
+        page.blockedBy = `robots.txt line ${verdict.rule.line}: Disallow: ${verdict.rule.path}`;
+        continue;
+      }
+    }
+
+    let response;
+    try {
+      response = await fetchPage(url, origin, timeout);
+    } catch (error) {
+      page.error = error.message;
+      continue;
+    }
+    Object.assign(page, {
+      status: response.status,
+      finalUrl: response.finalUrl,
+      redirects: response.redirects,
+      headers: response.headers,
+    });
+
+    const finalUrl = new URL(response.finalUrl);
+    if (response.external) {
+      page.skipped = `redirects to another origin (${finalUrl.origin}, not followed)`;
+      continue;
+    }
+    if (response.finalUrl !== url && crawled.has(finalUrl.href)) {
+      page.skipped = 'redirects to a URL that is crawled on its own';
+      continue;
+    }
+    crawled.add(finalUrl.href);
+    seen.add(normalizeUrl(finalUrl.href));
+    if (response.status < 200 || response.status >= 300) continue;
+    if (!/html/i.test(response.headers['content-type'] || '')) {
+      page.skipped = `not HTML (${
+        response.headers['content-type'] || 'no content type'
+      })`;
+      continue;
+    }
+
+    // Like a file in directory mode, a page that fails to analyze is
+    // reported and the crawl goes on
+    let analysis;
+    try {
+      analysis = analyzeHtml(
+        response.body,
+        `${finalUrl.pathname}${finalUrl.search}`,
+        { ...options, siteUrl: origin, pageUrl: finalUrl.href }
+      );
+    } catch (error) {
+      page.error = `Analysis failed: ${error.message}`;
+      continue;
+    }
+    analysis.crawl = page;
+    results.push(analysis);
+
+    if (depth >= maxDepth) continue;
+    analysis.links.items
+      .filter((link) => link.type === 'internal')
+      .forEach((link) => {
+        const target = new URL(link.href, finalUrl);
+        target.hash = '';
+        const key = normalizeUrl(target.href);
+        if (seen.has(key)) return;
+        seen.add(key);
+        crawled.add(target.href);
+        queue.push({
+          url: target.href,
+          depth: depth + 1,
+          linkedFrom: finalUrl.href,
+        });
+      });
+  }
+
+  return {
+    startUrl,
+    origin,
+    robotsTxt: {
+      url: robotsTxt.url,
+      status: robotsTxt.status,
+      error: robotsTxt.error,
+      found: robotsTxt.status !== null && robotsTxt.status < 300,
+    },
+    pages,
+    results,
+    // Links found but not visited because maxPages was reached
+    notVisited: queue.length,
+  };
+}
@@ -0,0 +1,421 @@
+// src/fixers/html-fixer.js - Applies safe fixes to HTML source text. Fixes
+// are keyed by rule id and edit the original text at parser offsets, so
+// everything outside the changed tags keeps its formatting.
+import * as cheerio from 'cheerio';
+import { getRuleSettings } from '../rules/index.js';
+import { extractStructuredData } from '../schema/structured-data.js';
+
+const PLACEHOLDER_URL = 'https://example.com/TODO';
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+// Cut text at a word boundary so that it fits in maxLength characters
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut)
+    .replace(/[\s,;:|-]+$/, '')
+    .trim()}…`;
+}
+
+function indentOf(html, offset) {
+  const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+  return /^[ \t]*/.exec(html.slice(lineStart))[0];
+}
+
+// Without an end tag (<title>Hi, <title/>) the parser runs the element to
+// the end of the document; its text as written stops at the next tag
+function unclosedEnd(element, html) {
+  const { startTag } = element.sourceCodeLocation;
+  const next = html.indexOf('<', startTag.endOffset);
+  let end = next === -1 ? html.length : next;
+  // Whitespace before the next tag stays where it is
+  while (end > startTag.endOffset && /\s/.test(html[end - 1])) end--;
+  return end;
+}
+
+// The text of an element as the author meant it
+function sourceText($, element, html) {
+  if (!element || !element.sourceCodeLocation) return $(element).text();
+  const location = element.sourceCodeLocation;
+  if (location.endTag) return $(element).text();
+  return html.slice(location.startTag.endOffset, unclosedEnd(element, html));
+}
+
+// An element without an end tag is rewritten whole, closed this time
+function replaceContent(element, text, html) {
+  const location = element.sourceCodeLocation;
+  if (!location.endTag) {
+    return {
+      start: location.startOffset,
+      end: unclosedEnd(element, html),
+      text: `<${element.name}>${text}</${element.name}>`,
+    };
+  }
+  return {
+    start: location.startTag.endOffset,
+    end: location.endTag.startOffset,
+    text,
+  };
+}
+
+// A missing attribute is added right after the tag name
+function replaceAttribute(element, name, value) {
+  const location = element.sourceCodeLocation;
+  const text = `${name}="${escapeAttribute(value)}"`;
+  if (!location.attrs || !location.attrs[name]) {
+    const offset = location.startOffset + 1 + element.name.length;
+    return { start: offset, end: offset, text: ` ${text}` };
+  }
+  return {
+    start: location.attrs[name].startOffset,
+    end: location.attrs[name].endOffset,
+    text,
+  };
+}
+
+// Where new <head> tags go: before </head>, indented like the existing
+// children, or after <head> when </head> is not where the parser sees it.
+// Returns null when the document has no <head> in its source.
+function findHeadInsertion($, html) {
+  const head = $('head').get(0);
+  const location = head && head.sourceCodeLocation;
+  if (!location) return null;
+
+  const firstChild = $(head)
+    .children()
+    .toArray()
+    .find((child) => child.sourceCodeLocation);
+  const indent = firstChild
+    ? indentOf(html, firstChild.sourceCodeLocation.startOffset)
+    : `${indentOf(html, location.startOffset)}  `;
+
+  // An unclosed <title> or the like swallows </head>: add the tags first
+  if (!location.endTag) {
+    return {
+      offset: location.startTag.endOffset,
+      indent,
+      atLineStart: false,
+    };
+  }
+  const offset = location.endTag.startOffset;
+  const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+  const atLineStart = html.slice(lineStart, offset).trim() === '';
+  return { offset: atLineStart ? lineStart : offset, indent, atLineStart };
+}
+
+// Each fixer returns null when there is nothing to fix, or
+// { change, edits?, headTags?, values? }. `values` updates the title,
+// description or url that later fixers (og:*, JSON-LD) copy.
+const FIXERS = {
+  title($, context) {
+    const { minLength, maxLength } = getRuleSettings(
+      'title',
+      context.ruleConfig
+    );
+    const element = $('title').get(0);
+    const { title } = context.values;
+
+    if (!title) {
+      const placeholder = 'TODO: Primary Keyword - Brand Name';
+      return element
+        ? {
+            change: 'Filled in the empty <title> with a placeholder',
+            edits: [replaceContent(element, placeholder, context.html)],
+            values: { title: placeholder },
+          }
+        : {
+            change: 'Added a placeholder <title>',
+            headTags: [`<title>${placeholder}</title>`],
+            values: { title: placeholder },
+          };
+    }
+
+    if (title.length < minLength) {
+      const fixed = `${title} | TODO: add keywords and brand`;
+      return {
+        change: `Extended the ${title.length}-character title with a placeholder`,
+        edits: [replaceContent(element, escapeText(fixed), context.html)],
+        values: { title: fixed },
+      };
+    }
+    if (title.length > maxLength) {
+      const fixed = truncate(title, maxLength);
+      return {
+        change: `Shortened the title to ${maxLength} characters or less`,
+        edits: [replaceContent(element, escapeText(fixed), context.html)],
+        values: { title: fixed },
+      };
+    }
+    return null;
+  },
+
+  'meta-description'($, context) {
+    const { minLength, maxLength } = getRuleSettings(
+      'meta-description',
+      context.ruleConfig
+    );
+    const element = $('meta[name="description"]').get(0);
+    const { description } = context.values;
+
+    if (!element) {
+      const placeholder = `TODO: Summarize this page in ${minLength}-${maxLength} characters, including its main keyword.`;
+      return {
+        change: 'Added a placeholder meta description',
+        headTags: [
+          context.tag(`<meta name="description" content="${placeholder}">`),
+        ],
+        values: { description: placeholder },
+      };
+    }
+
+    if (description.length < minLength) {
+      const fixed =
+        `${description} TODO: expand to ${minLength}-${maxLength} characters.`.trim();
+      return {
+        change: `Extended the ${description.length}-character meta description with a placeholder`,
+        edits: [replaceAttribute(element, 'content', fixed)],
+        values: { description: fixed },
+      };
+    }
+    if (description.length > maxLength) {
+      const fixed = truncate(description, maxLength);
+      return {
+        change: `Shortened the meta description to ${maxLength} characters or less`,
+        edits: [replaceAttribute(element, 'content', fixed)],
+        values: { description: fixed },
+      };
+    }
+    return null;
+  },
+
+  canonical($, context) {
+    if ($('link[rel="canonical"]').length > 0) return null;
+    const url = context.pageUrl || `${PLACEHOLDER_URL}/page-url/`;
+    return {
+      change: context.pageUrl
+        ? `Added a canonical link to ${context.pageUrl}`
+        : 'Added a placeholder canonical link',
+      headTags: [
+        context.tag(`<link rel="canonical" href="${escapeAttribute(url)}">`),
+      ],
+      values: { url },
+    };
+  },
+
+  'mobile-friendly'($, context) {
+    if ($('meta[name="viewport"]').length > 0) return null;
+    return {
+      change: 'Added a viewport meta tag',
+      headTags: [
+        context.tag(
+          '<meta name="viewport" content="width=device-width, initial-scale=1">'
+        ),
+      ],
+    };
+  },
+
+  'open-graph'($, context) {
+    const { title, description, url } = context.values;
+    const properties = {
+      title: title || 'TODO: Share title',
+      description: description || 'TODO: Share description',
+      type: 'website',
+      url: url || `${PLACEHOLDER_URL}/page-url/`,
+      image: `${PLACEHOLDER_URL}/share-image-1200x630.jpg`,
+    };
+    const missing = Object.keys(properties).filter(
+      (property) => $(`meta[property="og:${property}"]`).length === 0
+    );
+    if (missing.length === 0) return null;
+
+    return {
+      change: `Added ${missing.map((property) => `og:${property}`).join(', ')}`,
+      headTags: missing.map((property) =>
+        context.tag(
+          `<meta property="og:${property}" content="${escapeAttribute(
+            properties[property]
+          )}">`
+        )
+      ),
+    };
+  },
+
+  'twitter-cards'($, context) {
+    if (
+      $('meta[name="twitter:card"], meta[property="twitter:card"]').length > 0
+    ) {
+      return null;
+    }
+    return {
+      change: 'Added twitter:card',
+      headTags: [
+        context.tag('<meta name="twitter:card" content="summary_large_image">'),
+      ],
+    };
+  },
+
+  'img-alt'($) {
+    const images = $('img')
+      .toArray()
+      .filter((img) => {
+        const role = $(img).attr('role');
+        return (
+          $(img).attr('alt') === undefined &&
+          role !== 'presentation' &&
+          role !== 'none' &&
+          img.sourceCodeLocation
+        );
+      });
+    if (images.length === 0) return null;
+
+    return {
+      change: `Added alt="" to ${images.length} image(s) - replace it with a description unless the image is decorative`,
+      // Right after "<img" so the other attributes keep their order
+      edits: images.map((img) => {
+        const offset = img.sourceCodeLocation.startOffset + '<img'.length;
+        return { start: offset, end: offset, text: ' alt=""' };
+      }),
+    };
+  },
+
+  schema($, context) {
+    if (extractStructuredData($).blocks.length > 0) return null;
+
+    const { title, description, url } = context.values;
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'WebPage',
+      name: title || 'TODO: Page name',
+      description: description || 'TODO: Page description',
+      url: url || `${PLACEHOLDER_URL}/page-url/`,
+    };
+    const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+    return {
+      change: 'Added a WebPage JSON-LD skeleton',
+      headTags: [`<script type="application/ld+json">\n${json}\n</script>`],
+    };
+  },
+};
+
+export const FIXABLE_RULES = Object.keys(FIXERS);
+
+// Apply the fixes for `rules` (all fixable rules by default) to the HTML.
+// options.pageUrl is used for canonical and og:url when it is known, and
+// options.ruleConfig supplies the same length thresholds as the analysis.
+// Returns { html, applied: [{ rule, change }], skipped: [{ rule, reason }] };
+// throws a TypeError when rules is not an array of strings.
+export function fixHtml(
+  html,
+  { rules = FIXABLE_RULES, pageUrl, ruleConfig = {} } = {}
+) {
+  if (!Array.isArray(rules) || rules.some((rule) => typeof rule !== 'string')) {
+    throw new TypeError(
+      `rules must be an array of rule ids, e.g. ["title"], got ${JSON.stringify(
+        rules
+      )}`
+    );
+  }
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+  const newline = html.includes('\r\n') ? '\r\n' : '\n';
+  // Follow the document's void tag style: <meta ...> or <meta ... />
+  const selfClosing = /<(meta|link)\b[^>]*\/>/i.test(html);
+  const context = {
+    html,
+    pageUrl,
+    ruleConfig,
+    values: {
+      title: sourceText($, $('title').get(0), html).trim(),
+      description: ($('meta[name="description"]').attr('content') || '').trim(),
+      url: $('link[rel="canonical"]').attr('href') || pageUrl,
+    },
+    tag: (markup) => (selfClosing ? markup.replace(/>$/, ' />') : markup),
+  };
+
+  const applied = [];
+  const skipped = [];
+  const edits = [];
+  const headTags = [];
+
+  // Fixers run in FIXABLE_RULES order so that og:* and JSON-LD copy the
+  // fixed title and description whatever order the rules were given in
+  const requested = [...new Set(rules)];
+  requested
+    .filter((rule) => !FIXERS[rule])
+    .forEach((rule) => {
+      skipped.push({
+        rule,
+        reason: `no automatic fix - fixable rules are ${FIXABLE_RULES.join(
+          ', '
+        )}`,
+      });
+    });
+  FIXABLE_RULES.filter((rule) => requested.includes(rule)).forEach((rule) => {
+    const fix = FIXERS[rule]($, context);
+    if (!fix) {
+      skipped.push({ rule, reason: 'nothing to fix' });
+      return;
+    }
+    edits.push(...(fix.edits || []));
+    headTags.push(...(fix.headTags || []));
+    Object.assign(context.values, fix.values);
+    applied.push({ rule, change: fix.change });
+  });
+
+  if (headTags.length > 0) {
+    const insertion = findHeadInsertion($, html);
+    if (insertion) {
+      const lines = headTags
+        .join('\n')
+        .split('\n')
+        .map((line) => `${insertion.indent}${line}`)
+        .join(newline);
+      edits.push({
+        start: insertion.offset,
+        end: insertion.offset,
+        text: insertion.atLineStart
+          ? `${lines}${newline}`
+          : `${newline}${lines}${newline}`,
+      });
+    } else {
+      // No <head> in the source: add one after <html>, or at the top
+      const root = $('html').get(0);
+      const rootLocation = root && root.sourceCodeLocation;
+      const offset = rootLocation ? rootLocation.startTag.endOffset : 0;
+      const block = [
+        '<head>',
+        ...headTags
+          .join('\n')
+          .split('\n')
+          .map((line) => `  ${line}`),
+        '</head>',
+      ].join(newline);
+      edits.push({
+        start: offset,
+        end: offset,
+        text: rootLocation ? `${newline}${block}` : `${block}${newline}`,
+      });
+    }
+  }
+
+  // Apply from the end so earlier offsets stay valid
+  let output = html;
+  edits
+    .sort((a, b) => b.start - a.start)
+    .forEach((edit) => {
+      output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+    });
+
+  return { html: output, applied, skipped };
+}
@@ -1,4 +1,15 @@
 // src/formatters/text-formatter.js
+
+// Where an issue is in the source: "blog/post.html:12:5 <img src=...>", or
+// "line 12:5 ..." when there is no file name. Empty when the line is unknown.
+export function formatIssueLocation(issue, file) {
+  if (!issue.line) return '';
+  const position = issue.column ? `${issue.line}:${issue.column}` : issue.line;
+  return `${file ? `${file}:` : 'line '}${position}${
+    issue.excerpt ? ` ${issue.excerpt}` : ''
+  }`;
+}
+
 export function formatAnalysisResult(result) {
   return `SEO ANALYSIS FOR: ${result.pageIdentifier}
   
@@ -14,7 +25,13 @@ export function formatAnalysisResult(result) {
   }, H3: ${result.headingStructure.h3}
   - Schema Count: ${result.schemaCount}
   ${
-    result.isReactApp ? '- React App: Yes (client-side rendering detected)' : ''
+    result.isReactApp
+      ? `- React App: Yes (${
+          result.rendering
+            ? 'analyzed after rendering'
+            : 'client-side rendering detected'
+        })`
+      : ''
   }
   
   POTENTIAL TARGET KEYWORDS:
@@ -34,10 +51,30 @@ export function formatAnalysisResult(result) {
       (issue) =>
         `- [${issue.severity.toUpperCase()}] [Impact: ${issue.impact}] ${
           issue.message
+        } (${issue.rule})${
+          issue.line
+            ? `\n    at ${formatIssueLocation(issue, result.pageIdentifier)}`
+            : ''
         }`
     )
     .join('\n')}
   
+  ${
+    result.suppressions && result.suppressions.suppressed.length > 0
+      ? `SUPPRESSED: ${result.suppressions.suppressed.length} issue(s) silenced by seo-inspector-disable comments\n  `
+      : ''
+  }${
+    result.suppressions && result.suppressions.unused.length > 0
+      ? `UNUSED SUPPRESSIONS:\n  ${result.suppressions.unused
+          .map(
+            (unused) =>
+              `- ${unused.directive} ${unused.rule || '(all rules)'}${
+                unused.line ? ` (line ${unused.line})` : ''
+              }: ${unused.reason}`
+          )
+          .join('\n  ')}\n  `
+      : ''
+  }
   RECOMMENDATIONS (sorted by impact):
   ${result.recommendations
     .map(
@@ -48,12 +85,760 @@ export function formatAnalysisResult(result) {
     .join('\n\n')}
   
   ${
-    result.isReactApp
+    result.isReactApp && !result.rendering
       ? '\nNOTE: This is a static HTML analysis. For JavaScript-heavy sites like React apps, the rendered content may differ from the static HTML.'
       : ''
   }`;
 }
 
-export function formatDirectoryAnalysisResults(results, directoryPath) {
-  // Implementation...
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+// How much one issue of each severity adds to a page's score
+const SEVERITY_WEIGHTS = { critical: 10, high: 5, medium: 2, low: 1 };
+const TOP_ISSUES = 15;
+const WORST_PAGES = 10;
+
+function countBySeverity(issues) {
+  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+  issues.forEach((issue) => {
+    if (issue.severity in counts) counts[issue.severity]++;
+  });
+  return counts;
+}
+
+function pageScore(result) {
+  return result.issues.reduce(
+    (score, issue) => score + (SEVERITY_WEIGHTS[issue.severity] || 0),
+    0
+  );
+}
+
+function mostSevere(issues) {
+  return [...issues].sort(
+    (a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      b.impact - a.impact
+  )[0];
+}
+
+// Messages differ per page in their numbers, quoted values and the details
+// after a colon (hrefs, page lists), so those are left out when grouping the
+// same issue across pages
+function issueKey(issue) {
+  return `${issue.rule}|${issue.message
+    .split(': ')[0]
+    .replace(/"[^"]*"/g, '""')
+    .replace(/\d+/g, '#')}`;
+}
+
+function groupIssuesAcrossPages(results) {
+  const groups = new Map();
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      const key = issueKey(issue);
+      if (!groups.has(key)) {
+        groups.set(key, { issue, pages: new Set(), count: 0, located: null });
+      }
+      const group = groups.get(key);
+      group.pages.add(result.pageIdentifier);
+      group.count++;
+      if (
+        SEVERITIES.indexOf(issue.severity) <
+        SEVERITIES.indexOf(group.issue.severity)
+      ) {
+        group.issue = issue;
+      }
+      if (!group.located && issue.line) {
+        group.located = { issue, page: result.pageIdentifier };
+      }
+    });
+  });
+  return [...groups.values()].sort(
+    (a, b) =>
+      b.pages.size - a.pages.size ||
+      SEVERITIES.indexOf(a.issue.severity) -
+        SEVERITIES.indexOf(b.issue.severity) ||
+      b.issue.impact - a.issue.impact
+  );
+}
+
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+// Site-level report for several analyzed pages. options.detailPages lists
+// the pages (by identifier, or '*' for all) whose full analysis is appended;
+// options.duplicates are the clusters of src/analyzers/duplicate-analyzer.js
+// options.linkGraph the graph of src/analyzers/link-graph-analyzer.js and
+// options.robotsTxt the result of loadRobotsTxt in src/robots/robots-txt.js
+// with the pages it blocks as `blocked`.
+export function formatDirectoryAnalysisResults(
+  results,
+  directoryPath,
+  options = {}
+) {
+  const detailPages = options.detailPages || [];
+  const allIssues = results.flatMap((result) => result.issues);
+  const totals = countBySeverity(allIssues);
+  const suppressedCount = results.reduce(
+    (sum, result) =>
+      sum + (result.suppressions ? result.suppressions.suppressed.length : 0),
+    0
+  );
+
+  let output = `# SEO ANALYSIS FOR DIRECTORY: ${directoryPath}\n\n`;
+  output += `Analyzed ${results.length} page${
+    results.length === 1 ? '' : 's'
+  }: ${allIssues.length} issue${allIssues.length === 1 ? '' : 's'}${
+    suppressedCount > 0 ? ` (+${suppressedCount} suppressed)` : ''
+  }\n\n`;
+
+  output += `## ISSUE SUMMARY\n`;
+  SEVERITIES.forEach((severity) => {
+    const pages = results.filter((result) =>
+      result.issues.some((issue) => issue.severity === severity)
+    ).length;
+    output += `- ${severity[0].toUpperCase()}${severity.slice(1)}: ${
+      totals[severity]
+    } on ${pages} page${pages === 1 ? '' : 's'}\n`;
+  });
+  output += '\n';
+
+  const reactApps = results.filter(
+    (result) => result.isReactApp && !result.rendering
+  );
+  if (reactApps.length > 0) {
+    output += `⚠️ ${reactApps.length} page${
+      reactApps.length === 1 ? ' looks' : 's look'
+    } client-side rendered - their static HTML says little about the final page. Analyze them with the url option to render them first.\n\n`;
+  }
+
+  if (options.robotsTxt) {
+    output += `${formatRobotsTxt(options.robotsTxt)}\n`;
+  }
+
+  const groups = groupIssuesAcrossPages(results);
+  if (groups.length > 0) {
+    output += `## TOP ISSUES BY PAGES AFFECTED\n`;
+    groups.slice(0, TOP_ISSUES).forEach((group, i) => {
+      const pages = [...group.pages];
+      output += `${i + 1}. [${group.issue.severity.toUpperCase()}] ${
+        group.issue.message
+      } (${group.issue.rule}) - ${pages.length} page${
+        pages.length === 1 ? '' : 's'
+      }${group.count > pages.length ? `, ${group.count} times` : ''}\n`;
+      output += `   Pages: ${pages.slice(0, 5).join(', ')}${
+        pages.length > 5 ? `, +${pages.length - 5} more` : ''
+      }\n`;
+      if (group.located) {
+        output += `   e.g. ${formatIssueLocation(
+          group.located.issue,
+          group.located.page
+        )}\n`;
+      }
+    });
+    if (groups.length > TOP_ISSUES) {
+      output += `...and ${groups.length - TOP_ISSUES} less common issues\n`;
+    }
+    output += '\n';
+  }
+
+  const worst = results
+    .filter((result) => result.issues.length > 0)
+    .sort((a, b) => pageScore(b) - pageScore(a))
+    .slice(0, WORST_PAGES);
+  if (worst.length > 0) {
+    output += `## WORST PAGES\n`;
+    worst.forEach((result, i) => {
+      const counts = countBySeverity(result.issues);
+      const top = mostSevere(result.issues);
+      output += `${i + 1}. ${result.pageIdentifier} - ${SEVERITIES.filter(
+        (severity) => counts[severity] > 0
+      )
+        .map((severity) => `${counts[severity]} ${severity}`)
+        .join(', ')}\n   Worst: ${top.message}\n`;
+    });
+    output += '\n';
+  }
+
+  const areas = new Map();
+  results.forEach((result) => {
+    result.issues.forEach((issue) => {
+      const area = issue.area || 'Other';
+      if (!areas.has(area)) areas.set(area, { issues: [], pages: new Set() });
+      areas.get(area).issues.push(issue);
+      areas.get(area).pages.add(result.pageIdentifier);
+    });
+  });
+  if (areas.size > 0) {
+    output += `## ISSUES BY AREA\n`;
+    [...areas.entries()]
+      .sort((a, b) => b[1].issues.length - a[1].issues.length)
+      .forEach(([area, { issues, pages }]) => {
+        const counts = countBySeverity(issues);
+        output += `- ${area}: ${issues.length} issue${
+          issues.length === 1 ? '' : 's'
+        } on ${pages.size} page${pages.size === 1 ? '' : 's'} (${SEVERITIES.map(
+          (severity) => `${counts[severity]} ${severity}`
+        ).join(', ')})\n`;
+      });
+    output += '\n';
+  }
+
+  if (options.duplicates && options.duplicates.length > 0) {
+    output += `${formatDuplicateClusters(options.duplicates)}\n`;
+  }
+
+  const brokenLinks = formatBrokenLinks(results);
+  if (brokenLinks) {
+    output += `${brokenLinks}\n`;
+  }
+
+  if (options.linkGraph) {
+    output += `${formatLinkGraph(options.linkGraph)}\n`;
+  }
+
+  output += `## PAGES\n`;
+  output += `| Page | Critical | High | Medium | Low | Suppressed | Title |\n`;
+  output += `| --- | --- | --- | --- | --- | --- | --- |\n`;
+  [...results]
+    .sort((a, b) => a.pageIdentifier.localeCompare(b.pageIdentifier))
+    .forEach((result) => {
+      const counts = countBySeverity(result.issues);
+      output += `| ${escapeTableCell(result.pageIdentifier)} | ${SEVERITIES.map(
+        (severity) => counts[severity]
+      ).join(' | ')} | ${
+        result.suppressions ? result.suppressions.suppressed.length : 0
+      } | ${result.title ? `${result.title.length} chars` : 'missing'} |\n`;
+    });
+  output += '\n';
+
+  const detailed = results.filter(
+    (result) =>
+      detailPages.includes('*') || detailPages.includes(result.pageIdentifier)
+  );
+  if (detailed.length > 0) {
+    output += `## PAGE DETAILS\n`;
+    detailed.forEach((result) => {
+      output += `${formatAnalysisResult(result)}\n\n`;
+    });
+  } else {
+    output += `For every issue of a page with its location, run the analysis again with detailPages: ["${
+      results[0] ? results[0].pageIdentifier : 'page.html'
+    }"] (or ["*"] for all pages).\n`;
+  }
+
+  return output;
+}
+
+const COMPARISON_STATUS = {
+  'rendered-only': '⚠️ Only after JavaScript',
+  'raw-only': '⚠️ Removed by JavaScript',
+  changed: '⚠️ Changed by JavaScript',
+  unchanged: '✅ Same',
+};
+
+function formatComparisonValue(value) {
+  if (value === null) return 'none';
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+// Report of src/analyzers/render-comparison.js: raw HTML vs rendered DOM
+export function formatRenderComparison(comparison) {
+  const { raw, rendered } = comparison;
+  let report = `# RAW VS RENDERED HTML: ${comparison.target}\n\n`;
+
+  report += `Rendered in ${rendered.rendering.renderTime}ms with ${rendered.rendering.pageErrors.length} page error(s). Raw HTML: ${raw.issues.length} issue(s), rendered DOM: ${rendered.issues.length} issue(s).\n\n`;
+
+  if (comparison.renderedOnly.length > 0) {
+    report += `## ONLY AFTER JAVASCRIPT\nCrawlers that do not run JavaScript miss these:\n`;
+    comparison.renderedOnly.forEach((item) => {
+      report += `- ${item}\n`;
+    });
+    report += '\n';
+  } else {
+    report += `✅ Everything the rendered page has is already in the raw HTML.\n\n`;
+  }
+
+  report += `## DIFFERENCES\n`;
+  comparison.differences.forEach((difference) => {
+    report += `### ${difference.area}: ${
+      COMPARISON_STATUS[difference.status]
+    }\n`;
+    if (difference.added) {
+      report += `- Raw: ${difference.raw}, rendered: ${difference.rendered}\n`;
+      difference.added.forEach((item) => {
+        report += `  + ${item}\n`;
+      });
+      if (difference.addedCount > difference.added.length) {
+        report += `  + ...and ${
+          difference.addedCount - difference.added.length
+        } more\n`;
+      }
+      difference.removed.forEach((item) => {
+        report += `  - ${item}\n`;
+      });
+      if (difference.removedCount > difference.removed.length) {
+        report += `  - ...and ${
+          difference.removedCount - difference.removed.length
+        } more\n`;
+      }
+    } else {
+      report += `- Raw: ${formatComparisonValue(difference.raw)}\n`;
+      report += `- Rendered: ${formatComparisonValue(difference.rendered)}\n`;
+    }
+  });
+
+  return report;
+}
+
+// Crawl summary of src/crawler/site-crawler.js: statuses, redirects, pages
+// that were blocked or failed, and headers that affect indexing
+export function formatCrawlSummary(crawl) {
+  const { pages } = crawl;
+  const statusCounts = {};
+  pages
+    .filter((page) => page.status)
+    .forEach((page) => {
+      statusCounts[page.status] = (statusCounts[page.status] || 0) + 1;
+    });
+
+  let report = `# CRAWL REPORT: ${crawl.startUrl}\n\n`;
+  report += `- Pages requested: ${
+    pages.filter((page) => page.status || page.error).length
+  }, analyzed: ${crawl.results.length}${
+    crawl.notVisited > 0
+      ? ` (${crawl.notVisited} more link(s) not visited - page limit reached)`
+      : ''
+  }\n`;
+  report += `- Status codes: ${
+    Object.entries(statusCounts)
+      .map(([status, count]) => `${status} × ${count}`)
+      .join(', ') || 'none'
+  }\n`;
+  report += `- robots.txt: ${
+    crawl.robotsTxt.found
+      ? `found at ${crawl.robotsTxt.url}`
+      : crawl.robotsTxt.status
+      ? `HTTP ${crawl.robotsTxt.status}`
+      : `unreachable (${crawl.robotsTxt.error})`
+  }\n\n`;
+
+  const sections = [
+    {
+      title: 'ERRORS',
+      items: pages
+        .filter((page) => page.error || page.status >= 400)
+        .map(
+          (page) =>
+            `- ${page.url}: ${page.error || `HTTP ${page.status}`}${
+              page.linkedFrom ? ` (linked from ${page.linkedFrom})` : ''
+            }`
+        ),
+    },
+    {
+      title: 'REDIRECTS',
+      items: pages
+        .filter((page) => page.redirects && page.redirects.length > 0)
+        .map(
+          (page) =>
+            `- ${[
+              ...page.redirects.map(
+                (redirect) => `${redirect.url} (${redirect.status})`
+              ),
+              page.finalUrl,
+            ].join(' → ')}${
+              page.redirects.length > 1 ? ' - redirect chain' : ''
+            }`
+        ),
+    },
+    {
+      title: 'BLOCKED BY ROBOTS.TXT',
+      items: pages
+        .filter((page) => page.blockedBy)
+        .map((page) => `- ${page.url}: ${page.blockedBy}`),
+    },
+    {
+      title: 'NOT ANALYZED',
+      items: pages
+        .filter((page) => page.skipped)
+        .map((page) => `- ${page.url}: ${page.skipped}`),
+    },
+    {
+      title: 'X-ROBOTS-TAG HEADERS',
+      items: pages
+        .filter(
+          (page) =>
+            !page.skipped && page.headers && page.headers['x-robots-tag']
+        )
+        .map((page) => `- ${page.url}: ${page.headers['x-robots-tag']}`),
+    },
+  ];
+  sections
+    .filter((section) => section.items.length > 0)
+    .forEach((section) => {
+      report += `## ${section.title}\n${section.items.join('\n')}\n\n`;
+    });
+
+  return report;
+}
+
+const DUPLICATE_FIELD_LABELS = {
+  title: 'Title',
+  metaDescription: 'Meta description',
+  h1: 'H1',
+  canonical: 'Canonical target',
+};
+
+// Duplicate clusters of src/analyzers/duplicate-analyzer.js, largest first
+export function formatDuplicateClusters(clusters) {
+  if (clusters.length === 0) return '';
+
+  let report = `## DUPLICATE CONTENT ACROSS PAGES\n`;
+  [...clusters]
+    .sort((a, b) => b.pages.length - a.pages.length)
+    .forEach((cluster) => {
+      report += `### ${DUPLICATE_FIELD_LABELS[cluster.field]} (${
+        cluster.kind
+      }, ${cluster.pages.length} pages): ${cluster.values
+        .slice(0, 3)
+        .map((value) => `"${value}"`)
+        .join(' / ')}\n`;
+      cluster.pages.slice(0, 20).forEach((page) => {
+        report += `- ${page}\n`;
+      });
+      if (cluster.pages.length > 20) {
+        report += `- ...and ${cluster.pages.length - 20} more\n`;
+      }
+    });
+  return report;
+}
+
+// Pages of a link graph section, at most 20 of them
+function listPages(items, describe = (item) => item) {
+  let list = items
+    .slice(0, 20)
+    .map((item) => `- ${describe(item)}\n`)
+    .join('');
+  if (items.length > 20) list += `- ...and ${items.length - 20} more\n`;
+  return list;
+}
+
+// Link graph of src/analyzers/link-graph-analyzer.js
+export function formatLinkGraph(graph) {
+  let report = `## INTERNAL LINK GRAPH\n`;
+  report += `${graph.pages.length} pages, ${graph.edges} links between them. `;
+  report += graph.homePage
+    ? `Click depth is counted from ${graph.homePage}.\n`
+    : `No index.html at the root, so click depth is not known.\n`;
+
+  const depths = graph.pages
+    .map((entry) => entry.clickDepth)
+    .filter((depth) => depth !== null);
+  if (depths.length > 0) {
+    report += `Deepest page: ${Math.max(...depths)} clicks, average ${(
+      depths.reduce((sum, depth) => sum + depth, 0) / depths.length
+    ).toFixed(1)}\n`;
+  }
+  report += '\n';
+
+  if (graph.orphans.length > 0) {
+    report += `### Orphan pages (no inbound links)\n${listPages(
+      graph.orphans
+    )}`;
+  }
+  if (graph.unreachable.length > 0) {
+    report += `### Not reachable from the home page\n${listPages(
+      graph.unreachable
+    )}`;
+  }
+  if (graph.deepPages.length > 0) {
+    report += `### Deep pages\n${listPages(
+      [...graph.deepPages].sort((a, b) => b.clickDepth - a.clickDepth),
+      (entry) => `${entry.page} - ${entry.clickDepth} clicks`
+    )}`;
+  }
+  if (graph.weaklyLinked.length > 0) {
+    report += `### Few inbound links\n${listPages(
+      graph.weaklyLinked,
+      (entry) => `${entry.page} - linked from ${entry.linkedFrom.join(', ')}`
+    )}`;
+  }
+  if (graph.hubs.length > 0) {
+    report += `### Hub pages (most outbound links)\n${listPages(
+      graph.hubs,
+      (entry) =>
+        `${entry.page} - links to ${entry.outbound} page${
+          entry.outbound === 1 ? '' : 's'
+        }, linked from ${entry.inbound}`
+    )}`;
+  }
+  return report;
+}
+
+// broken-links issues of src/analyzers/broken-link-analyzer.js that are left
+// after the config and suppressions, by page and line
+export function formatBrokenLinks(results) {
+  const pages = results
+    .map((result) => ({
+      page: result.pageIdentifier,
+      issues: result.issues
+        .filter((issue) => issue.rule === 'broken-links')
+        .sort((a, b) => (a.line || 0) - (b.line || 0)),
+    }))
+    .filter((entry) => entry.issues.length > 0)
+    .sort((a, b) => a.page.localeCompare(b.page));
+  if (pages.length === 0) return '';
+
+  const count = pages.reduce((sum, entry) => sum + entry.issues.length, 0);
+  let report = `## BROKEN LINKS AND ASSETS\n`;
+  report += `${count} broken reference${count === 1 ? '' : 's'} in ${
+    pages.length
+  } page${pages.length === 1 ? '' : 's'}\n`;
+  pages.forEach((entry) => {
+    report += `### ${entry.page}\n`;
+    entry.issues.forEach((issue) => {
+      report += `- ${
+        issue.line ? `line ${issue.line}:${issue.column}` : 'unknown line'
+      } ${issue.message}\n`;
+    });
+  });
+  return report;
+}
+
+// Largest sitemap file shown in full; bigger ones are only written
+const MAX_SHOWN_SITEMAP_BYTES = 20000;
+
+// Result of generateSitemap in src/sitemap/sitemap-generator.js.
+// options.writtenTo is the directory the files were written to, if any.
+export function formatSitemap(sitemap, options = {}) {
+  const fromDates = sitemap.entries.filter(
+    (entry) => entry.source === 'dateModified'
+  ).length;
+  const images = sitemap.entries.reduce(
+    (sum, entry) => sum + entry.images.length,
+    0
+  );
+
+  let report = `# SITEMAP\n\n`;
+  report += `${sitemap.entries.length} URL${
+    sitemap.entries.length === 1 ? '' : 's'
+  }${images > 0 ? ` with ${images} image${images === 1 ? '' : 's'}` : ''} in ${
+    sitemap.isIndex
+      ? `a sitemap index and ${sitemap.files.length - 1} sitemaps`
+      : 'sitemap.xml'
+  }. lastmod comes from dateModified for ${fromDates} and from the file modification time for ${
+    sitemap.entries.length - fromDates
+  }.\n\n`;
+
+  if (sitemap.excluded.length > 0) {
+    report += `## EXCLUDED PAGES\n`;
+    sitemap.excluded.forEach((item) => {
+      report += `- ${item.page} - ${item.reason}\n`;
+    });
+    report += '\n';
+  }
+  if (sitemap.failed && sitemap.failed.length > 0) {
+    report += `## NOT ANALYZED\n`;
+    sitemap.failed.forEach((item) => {
+      report += `- ${item.page} - ${item.error}\n`;
+    });
+    report += '\n';
+  }
+
+  report += options.writtenTo
+    ? `Written to ${options.writtenTo}: ${sitemap.files
+        .map((file) => file.name)
+        .join(', ')}. Reference it in robots.txt with "Sitemap: ${
+        sitemap.sitemapUrl
+      }".\n\n`
+    : 'Nothing was written. Save the files below, or call generateSitemap again with write: true.\n\n';
+
+  sitemap.files.forEach((file) => {
+    report += `## ${file.name}\n`;
+    report +=
+      file.xml.length > MAX_SHOWN_SITEMAP_BYTES
+        ? `${file.urls} URLs, too large to show here.\n\n`
+        : `\`\`\`xml\n${file.xml}\`\`\`\n\n`;
+  });
+  return report;
+}
+
+// Cross-reference entries listed per section before the rest are counted
+const MAX_LISTED_SITEMAP_ITEMS = 30;
+
+function listSitemapItems(items, describe) {
+  let list = items
+    .slice(0, MAX_LISTED_SITEMAP_ITEMS)
+    .map((item) => `- ${describe(item)}\n`)
+    .join('');
+  if (items.length > MAX_LISTED_SITEMAP_ITEMS) {
+    list += `- ...and ${items.length - MAX_LISTED_SITEMAP_ITEMS} more\n`;
+  }
+  return list;
+}
+
+// Result of validateSitemaps in src/sitemap/sitemap-validator.js
+export function formatSitemapValidation(report, directoryPath) {
+  let output = `# SITEMAP VALIDATION FOR: ${directoryPath}\n\n`;
+  if (report.sitemaps.length === 0) {
+    output += `No sitemap found: robots.txt names none and there is no sitemap.xml, sitemap.xml.gz or sitemap_index.xml in the directory. Pass sitemapPath, or create one with generateSitemap.\n`;
+    return output;
+  }
+
+  const issues = report.sitemaps.flatMap((sitemap) => sitemap.issues);
+  const errors = issues.filter((issue) => issue.level === 'error').length;
+  output += `Checked ${report.sitemaps.length} file${
+    report.sitemaps.length === 1 ? '' : 's'
+  } (found via ${report.source}) listing ${report.urlCount} URL${
+    report.urlCount === 1 ? '' : 's'
+  }: ${errors} error${errors === 1 ? '' : 's'}, ${
+    issues.length - errors
+  } warning${issues.length - errors === 1 ? '' : 's'}\n\n`;
+
+  output += `## FILES\n`;
+  report.sitemaps.forEach((sitemap) => {
+    output += `### ${sitemap.file} (${
+      sitemap.type
+        ? `${sitemap.type}${sitemap.compressed ? ', gzip' : ''}, ${
+            sitemap.urls
+          } entries, ${(sitemap.bytes / 1024).toFixed(1)}KB`
+        : 'unreadable'
+    })\n`;
+    if (sitemap.issues.length === 0) {
+      output += `✅ Valid\n`;
+    }
+    sitemap.issues.forEach((issue) => {
+      output += `- [${issue.level.toUpperCase()}] ${
+        issue.line ? `line ${issue.line}: ` : ''
+      }${issue.message}\n`;
+    });
+  });
+  output += '\n';
+
+  const cross = report.crossReference;
+  if (!cross) {
+    output += `The sitemaps list no URLs, so they could not be compared with the pages.\n`;
+    return output;
+  }
+
+  output += `## COMPARED WITH THE PAGES (${report.siteUrl})\n`;
+  const sections = [
+    {
+      title: 'Listed URLs without a file in the build',
+      items: cross.missingFiles,
+      describe: (item) => `${item.loc} (${item.sitemap}:${item.line})`,
+    },
+    {
+      title: 'Listed pages marked noindex',
+      items: cross.noindex,
+      describe: (item) =>
+        `${item.loc} (${item.sitemap}:${item.line}) - ${item.page}`,
+    },
+    {
+      title: 'Listed URLs that are not canonical',
+      items: cross.nonCanonical,
+      describe: (item) =>
+        `${item.loc} (${item.sitemap}:${item.line}) - list ${item.canonical} instead`,
+    },
+    {
+      title: 'Indexable pages missing from the sitemap',
+      items: cross.missingFromSitemap,
+      describe: (item) => `${item.url} - ${item.page}`,
+    },
+  ];
+  const found = sections.filter((section) => section.items.length > 0);
+  if (found.length === 0) {
+    output += `✅ Every listed URL is an indexable, canonical page and every indexable page is listed.\n`;
+  }
+  found.forEach((section) => {
+    output += `### ${section.title} (${
+      section.items.length
+    })\n${listSitemapItems(section.items, section.describe)}`;
+  });
+  if (report.failed.length > 0) {
+    output += `### Pages that could not be analyzed\n${listSitemapItems(
+      report.failed,
+      (item) => `${item.page} - ${item.error}`
+    )}`;
+  }
+  return output;
+}
+
+function formatRobotsIssue(issue) {
+  return `- [${issue.level.toUpperCase()}] ${
+    issue.line ? `line ${issue.line}: ` : ''
+  }${issue.message}\n`;
+}
+
+// robots.txt of a directory: lint issues, sitemaps and blocked pages
+export function formatRobotsTxt(robotsTxt) {
+  let report = `## ROBOTS.TXT\n`;
+  const blocked = robotsTxt.blocked || [];
+  if (blocked.length > 0) {
+    report += `🚫 ${blocked.length} page${
+      blocked.length === 1 ? ' is' : 's are'
+    } blocked for Googlebot:\n`;
+    blocked.slice(0, 20).forEach((item) => {
+      report += `- ${item.page} - line ${item.rule.line}: Disallow: ${item.rule.path}\n`;
+    });
+    if (blocked.length > 20) {
+      report += `- ...and ${blocked.length - 20} more\n`;
+    }
+  }
+  robotsTxt.issues.forEach((issue) => {
+    report += formatRobotsIssue(issue);
+  });
+  if (robotsTxt.robots.sitemaps.length > 0) {
+    report += `Sitemaps: ${robotsTxt.robots.sitemaps
+      .map((sitemap) => sitemap.url)
+      .join(', ')}\n`;
+  } else {
+    report += `No Sitemap directive - add "Sitemap: https://example.com/sitemap.xml" so crawlers find your sitemap.\n`;
+  }
+  if (blocked.length === 0 && robotsTxt.issues.length === 0) {
+    report += `✅ No problems found, and no page is blocked.\n`;
+  }
+  return report;
+}
+
+// Answer of the testRobotsTxt tool: { url, userAgent, verdict, robots,
+// issues, source } with verdict from isAllowedByRobots
+export function formatRobotsTest(test) {
+  const { verdict } = test;
+  let report = `# ROBOTS.TXT TEST\n\n`;
+  report += `${verdict.allowed ? '✅ Allowed' : '🚫 Blocked'}: ${
+    test.url
+  } for ${test.userAgent} (${test.source})\n`;
+  if (verdict.rule) {
+    report += `Decided by line ${verdict.rule.line}: ${
+      verdict.rule.type === 'allow' ? 'Allow' : 'Disallow'
+    }: ${verdict.rule.path}\n`;
+  } else {
+    report += `No rule matches this URL${
+      verdict.agent ? '' : ' - no group applies to this user agent'
+    }, so it may be crawled.\n`;
+  }
+  if (verdict.agent) {
+    report += `Rules applied: the "User-agent: ${verdict.agent}" group${
+      verdict.agent === '*' && test.userAgent.trim() !== '*'
+        ? ' (no group names this crawler)'
+        : ''
+    }\n`;
+  }
+  report += '\n';
+
+  if (test.issues.length > 0) {
+    report += `## PROBLEMS IN ROBOTS.TXT\n`;
+    test.issues.forEach((issue) => {
+      report += formatRobotsIssue(issue);
+    });
+    report += '\n';
+  }
+  if (test.robots.sitemaps.length > 0) {
+    report += `## SITEMAPS\n`;
+    test.robots.sitemaps.forEach((sitemap) => {
+      report += `- ${sitemap.url} (line ${sitemap.line})\n`;
+    });
+  }
+  return report;
 }
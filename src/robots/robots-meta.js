@@ -0,0 +1,283 @@
+// src/robots/robots-meta.js - Robots meta directives as Google and Bing read
+// them: <meta name="robots"> for every crawler plus tags named after one
+// crawler (name="googlebot"), combined so that the most restrictive
+// directive wins.
+
+// Crawlers whose view is always worked out; tags naming others add them
+export const MAJOR_CRAWLERS = ['googlebot', 'bingbot'];
+
+// Tag names read as crawler-specific robots tags
+const CRAWLER_NAMES = [
+  'googlebot',
+  'googlebot-news',
+  'bingbot',
+  'msnbot',
+  'yandex',
+  'baiduspider',
+  'duckduckbot',
+  'applebot',
+];
+
+const FLAGS = {
+  all: [],
+  index: [],
+  follow: [],
+  none: ['noindex', 'nofollow'],
+  noindex: ['noindex'],
+  nofollow: ['nofollow'],
+  noarchive: ['noarchive'],
+  // Bing's name for noarchive
+  nocache: ['noarchive'],
+  nosnippet: ['nosnippet'],
+  noimageindex: ['noimageindex'],
+  notranslate: ['notranslate'],
+  indexifembedded: ['indexifembedded'],
+  // Retired directory listings, read by no one any more
+  noodp: [],
+  noydir: [],
+};
+const VALUED = [
+  'max-snippet',
+  'max-image-preview',
+  'max-video-preview',
+  'unavailable_after',
+];
+const IMAGE_PREVIEW_SIZES = ['none', 'standard', 'large'];
+
+// Directives that say the opposite of each other; the restrictive one wins
+const OPPOSITES = [
+  {
+    directive: 'index',
+    allows: ['index', 'all'],
+    restricts: ['noindex', 'none'],
+  },
+  {
+    directive: 'follow',
+    allows: ['follow', 'all'],
+    restricts: ['nofollow', 'none'],
+  },
+];
+
+// Split the content of a robots meta tag into [{ name, value }] and the
+// tokens that are not directives, [{ token, reason }]. Dates of
+// unavailable_after may contain commas ("Sunday, 06-Nov-94 08:49:37 GMT").
+export function parseRobotsContent(content) {
+  const directives = [];
+  const invalid = [];
+  (content || '').split(',').forEach((part) => {
+    const token = part.trim();
+    if (!token) return;
+    const separator = token.indexOf(':');
+    const name = (separator === -1 ? token : token.slice(0, separator))
+      .trim()
+      .toLowerCase();
+    const value = separator === -1 ? null : token.slice(separator + 1).trim();
+
+    // Only a date fragment continues the date: a directive or another
+    // name:value token after an unreadable date stands on its own
+    const previous = directives[directives.length - 1];
+    const isDirective =
+      FLAGS[name] ||
+      VALUED.includes(name) ||
+      (value !== null && /^[a-z][a-z_-]*$/.test(name));
+    if (
+      previous &&
+      previous.name === 'unavailable_after' &&
+      Number.isNaN(Date.parse(previous.value)) &&
+      !isDirective
+    ) {
+      previous.value = `${previous.value}, ${token}`;
+      return;
+    }
+
+    if (FLAGS[name] && value === null) {
+      directives.push({ name, value: null });
+    } else if (VALUED.includes(name) && value) {
+      directives.push({ name, value });
+    } else if (VALUED.includes(name)) {
+      invalid.push({ token, reason: `${name} needs a value` });
+    } else {
+      invalid.push({ token, reason: 'unknown directive - crawlers ignore it' });
+    }
+  });
+
+  // Checked once the date parts are joined
+  return {
+    directives: directives.filter((directive) => {
+      const problem = checkValue(directive);
+      if (problem) invalid.push({ token: directive.name, reason: problem });
+      return !problem;
+    }),
+    invalid,
+  };
+}
+
+function checkValue({ name, value }) {
+  if (name === 'max-snippet' || name === 'max-video-preview') {
+    return /^-?\d+$/.test(value) && Number(value) >= -1
+      ? null
+      : `${name} must be a number, 0 or -1 (no limit), got "${value}"`;
+  }
+  if (name === 'max-image-preview') {
+    return IMAGE_PREVIEW_SIZES.includes(value.toLowerCase())
+      ? null
+      : `max-image-preview must be none, standard or large, got "${value}"`;
+  }
+  if (name === 'unavailable_after') {
+    return Number.isNaN(Date.parse(value))
+      ? `unavailable_after date "${value}" cannot be read - use ISO 8601, e.g. 2025-12-31`
+      : null;
+  }
+  return null;
+}
+
+// Lengths where -1 means no limit, so the smallest other value is strictest
+function strictestLength(values) {
+  const limits = values.map(Number).filter((value) => value !== -1);
+  return limits.length > 0 ? Math.min(...limits) : -1;
+}
+
+// The effective directives of one crawler from the tags it reads, and the
+// directives among them that contradict each other
+function resolveCrawler(tags) {
+  const effective = {
+    noindex: false,
+    nofollow: false,
+    noarchive: false,
+    nosnippet: false,
+    noimageindex: false,
+    notranslate: false,
+    indexifembedded: false,
+    maxSnippet: null,
+    maxImagePreview: null,
+    maxVideoPreview: null,
+    unavailableAfter: null,
+  };
+  const found = tags.flatMap((tag) =>
+    tag.directives.map((directive) => ({ ...directive, line: tag.line }))
+  );
+  const conflicts = [];
+
+  found.forEach(({ name }) => {
+    (FLAGS[name] || []).forEach((flag) => {
+      effective[flag] = true;
+    });
+  });
+
+  OPPOSITES.forEach(({ directive, allows, restricts }) => {
+    const allowing = found.filter((item) => allows.includes(item.name));
+    const restricting = found.filter((item) => restricts.includes(item.name));
+    if (allowing.length > 0 && restricting.length > 0) {
+      conflicts.push({
+        directive,
+        found: [...allowing, ...restricting],
+        applied: `no${directive}`,
+      });
+    }
+  });
+
+  const valued = (name, resolve) => {
+    const items = found.filter((item) => item.name === name);
+    if (items.length === 0) return null;
+    const applied = resolve(items.map((item) => item.value));
+    if (new Set(items.map((item) => item.value.toLowerCase())).size > 1) {
+      conflicts.push({ directive: name, found: items, applied });
+    }
+    return applied;
+  };
+  const snippet = valued('max-snippet', strictestLength);
+  effective.maxSnippet = snippet === null ? null : Number(snippet);
+  const video = valued('max-video-preview', strictestLength);
+  effective.maxVideoPreview = video === null ? null : Number(video);
+  effective.maxImagePreview = valued('max-image-preview', (values) =>
+    values
+      .map((value) => value.toLowerCase())
+      .sort(
+        (a, b) =>
+          IMAGE_PREVIEW_SIZES.indexOf(a) - IMAGE_PREVIEW_SIZES.indexOf(b)
+      )
+      .shift()
+  );
+  effective.unavailableAfter = valued('unavailable_after', (values) =>
+    values.sort((a, b) => Date.parse(a) - Date.parse(b)).shift()
+  );
+
+  return { effective, conflicts };
+}
+
+// Read every robots meta tag of the page. `tags` are
+// [{ name, content, line }] with name lower-cased. Returns
+// { noindex, nofollow, tags, crawlers, conflicts, invalid } where noindex
+// and nofollow are Googlebot's view (the one the rest of the analysis
+// uses), crawlers maps '*' (crawlers without a tag of their own),
+// MAJOR_CRAWLERS and any other named crawler to its effective directives,
+// and conflicts are [{ directive, found: [{ name, value, line }], applied,
+// crawlers }].
+export function resolveRobotsDirectives(tags) {
+  const parsed = tags.map((tag) => ({
+    ...tag,
+    ...parseRobotsContent(tag.content),
+  }));
+  const named = parsed
+    .map((tag) => tag.name)
+    .filter((name) => name !== 'robots');
+  const crawlerNames = ['*', ...new Set([...MAJOR_CRAWLERS, ...named])];
+
+  const crawlers = {};
+  const conflicts = new Map();
+  crawlerNames.forEach((crawler) => {
+    const { effective, conflicts: found } = resolveCrawler(
+      parsed.filter((tag) => tag.name === 'robots' || tag.name === crawler)
+    );
+    crawlers[crawler] = effective;
+    // A conflict between generic tags shows up for every crawler; list it once
+    found.forEach((conflict) => {
+      const key = `${conflict.directive}@${conflict.found
+        .map((item) => `${item.line}:${item.name}:${item.value}`)
+        .join(',')}`;
+      if (!conflicts.has(key))
+        conflicts.set(key, { ...conflict, crawlers: [] });
+      conflicts.get(key).crawlers.push(crawler);
+    });
+  });
+
+  return {
+    noindex: crawlers.googlebot.noindex,
+    nofollow: crawlers.googlebot.nofollow,
+    tags: tags.map(({ name, content, line }) => ({ name, content, line })),
+    crawlers,
+    conflicts: [...conflicts.values()],
+    invalid: parsed.flatMap((tag) =>
+      tag.invalid.map((item) => ({ ...item, name: tag.name, line: tag.line }))
+    ),
+  };
+}
+
+// Whether a meta tag name is a robots tag
+export function isRobotsMetaName(name) {
+  return name === 'robots' || CRAWLER_NAMES.includes(name);
+}
+
+// The effective directives of a crawler as a robots meta content value
+export function describeDirectives(effective) {
+  const parts = [
+    effective.noindex ? 'noindex' : 'index',
+    effective.nofollow ? 'nofollow' : 'follow',
+  ];
+  ['noarchive', 'nosnippet', 'noimageindex', 'notranslate', 'indexifembedded']
+    .filter((flag) => effective[flag])
+    .forEach((flag) => parts.push(flag));
+  if (effective.maxSnippet !== null) {
+    parts.push(`max-snippet:${effective.maxSnippet}`);
+  }
+  if (effective.maxImagePreview !== null) {
+    parts.push(`max-image-preview:${effective.maxImagePreview}`);
+  }
+  if (effective.maxVideoPreview !== null) {
+    parts.push(`max-video-preview:${effective.maxVideoPreview}`);
+  }
+  if (effective.unavailableAfter !== null) {
+    parts.push(`unavailable_after:${effective.unavailableAfter}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,285 @@
+// src/robots/robots-txt.js - robots.txt parsing and matching as specified by
+// RFC 9309: user-agent groups, * and $ in paths, and the longest matching
+// rule deciding, with allow winning ties. Also lints the file for mistakes
+// crawlers silently skip over.
+import fs from 'fs/promises';
+import path from 'path';
+
+// Split a robots.txt file into groups. Consecutive user-agent lines share a
+// group; a user-agent line after a rule starts a new one.
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+
+  text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!current || current.rules.length > 0) {
+        current = { userAgents: [], rules: [], line: index + 1 };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+    } else if (key === 'allow' || key === 'disallow') {
+      // Rules before any user-agent line belong to no group
+      if (current) {
+        current.rules.push({ type: key, path: value, line: index + 1 });
+      }
+    } else if (key === 'sitemap') {
+      sitemaps.push({ url: value, line: index + 1 });
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// Percent-encode a path the same way for patterns and URLs, so that
+// /caf%C3%A9 and /café match each other
+function normalizePath(value) {
+  let decoded;
+  try {
+    decoded = decodeURI(value);
+  } catch (e) {
+    decoded = value;
+  }
+  return encodeURI(decoded).replace(/%[0-9a-f]{2}/gi, (escape) =>
+    escape.toUpperCase()
+  );
+}
+
+function matchesPattern(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = normalizePath(anchored ? pattern.slice(0, -1) : pattern);
+  const source = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+// The product token of a user agent: "Googlebot/2.1" -> "googlebot"
+export function productToken(userAgent) {
+  return userAgent.split('/')[0].trim().toLowerCase();
+}
+
+// The groups that apply to a crawler: every group naming its product token,
+// or else every * group. Returns { agent, rules } where agent is the
+// user-agent line that matched, or null when no group applies.
+function selectRules(robots, userAgent) {
+  const token = productToken(userAgent);
+  const named = robots.groups.filter((group) =>
+    group.userAgents.includes(token)
+  );
+  const groups =
+    named.length > 0
+      ? named
+      : robots.groups.filter((group) => group.userAgents.includes('*'));
+  return {
+    agent: groups.length === 0 ? null : named.length > 0 ? token : '*',
+    rules: groups.flatMap((group) => group.rules),
+  };
+}
+
+// Whether `userAgent` (a product token such as "googlebot") may crawl `url`.
+// Returns { allowed, rule, agent } where rule is the deciding rule, if any,
+// and agent the user-agent of the groups that applied (null for none).
+export function isAllowedByRobots(robots, url, userAgent) {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  const { agent, rules } = selectRules(robots, userAgent);
+  if (pathname === '/robots.txt') return { allowed: true, rule: null, agent };
+  const urlPath = normalizePath(`${pathname}${search}`);
+
+  let match = null;
+  rules.forEach((rule) => {
+    // An empty disallow allows everything and never wins over anything
+    if (!rule.path || !matchesPattern(rule.path, urlPath)) return;
+    const length = rule.path.length;
+    if (
+      !match ||
+      length > match.path.length ||
+      (length === match.path.length && rule.type === 'allow')
+    ) {
+      match = rule;
+    }
+  });
+
+  return { allowed: !match || match.type === 'allow', rule: match, agent };
+}
+
+// Directives other crawlers read that the RFC does not define
+const NON_STANDARD_DIRECTIVES = {
+  'crawl-delay': 'Crawl-delay is ignored by Google; Bing and Yandex read it',
+  host: 'Host is only read by Yandex',
+  'clean-param': 'Clean-param is only read by Yandex',
+  noindex:
+    'Noindex in robots.txt is not supported - use a robots meta tag or an X-Robots-Tag header',
+};
+const TYPOS = {
+  useragent: 'user-agent',
+  'user agent': 'user-agent',
+  'user-agents': 'user-agent',
+  dissallow: 'disallow',
+  disalow: 'disallow',
+  dissalow: 'disallow',
+  disallowed: 'disallow',
+  allowed: 'allow',
+  'site-map': 'sitemap',
+  sitemaps: 'sitemap',
+};
+// Google only reads this much of a robots.txt
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// Problems in a robots.txt: syntax errors, unknown directives, rules outside
+// a group and rules that block the whole site. Returns [{ level, message,
+// line }] with level error or warning.
+export function lintRobotsTxt(text) {
+  const issues = [];
+  let inGroup = false;
+  let pendingAgents = null;
+
+  if (Buffer.byteLength(text) > MAX_ROBOTS_BYTES) {
+    issues.push({
+      level: 'warning',
+      message: `Larger than ${
+        MAX_ROBOTS_BYTES / 1024
+      }KB - Google ignores everything after that`,
+      line: null,
+    });
+  }
+
+  text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      issues.push({
+        level: 'error',
+        message: `"${line}" is not a directive - expected "field: value"`,
+        line: lineNumber,
+      });
+      return;
+    }
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!value) {
+        issues.push({
+          level: 'error',
+          message: 'User-agent without a value',
+          line: lineNumber,
+        });
+      } else if (value !== '*' && !/^[a-z_-]+$/i.test(value)) {
+        issues.push({
+          level: 'warning',
+          message: `User-agent "${value}" is not a product token - crawlers only match names such as "Googlebot" (letters, - and _)`,
+          line: lineNumber,
+        });
+      }
+      inGroup = true;
+      pendingAgents = pendingAgents || lineNumber;
+    } else if (key === 'allow' || key === 'disallow') {
+      if (!inGroup) {
+        issues.push({
+          level: 'error',
+          message: `${
+            key === 'allow' ? 'Allow' : 'Disallow'
+          } before any User-agent line - no crawler reads it`,
+          line: lineNumber,
+        });
+      } else if (value && !value.startsWith('/') && !value.startsWith('*')) {
+        issues.push({
+          level: 'warning',
+          message: `Path "${value}" does not start with / - it may not match anything`,
+          line: lineNumber,
+        });
+      }
+      pendingAgents = null;
+    } else if (key === 'sitemap') {
+      if (!/^https?:\/\/[^/]/i.test(value)) {
+        issues.push({
+          level: 'error',
+          message: `Sitemap must be an absolute URL, got "${value}"`,
+          line: lineNumber,
+        });
+      }
+    } else if (NON_STANDARD_DIRECTIVES[key]) {
+      issues.push({
+        level: 'warning',
+        message: NON_STANDARD_DIRECTIVES[key],
+        line: lineNumber,
+      });
+    } else if (TYPOS[key]) {
+      issues.push({
+        level: 'error',
+        message: `Unknown directive "${line
+          .slice(0, separator)
+          .trim()}" - did you mean ${TYPOS[key]}?`,
+        line: lineNumber,
+      });
+    } else {
+      issues.push({
+        level: 'warning',
+        message: `Unknown directive "${line
+          .slice(0, separator)
+          .trim()}" - crawlers ignore it`,
+        line: lineNumber,
+      });
+    }
+  });
+
+  if (pendingAgents) {
+    issues.push({
+      level: 'warning',
+      message: 'User-agent group without any Allow or Disallow rule',
+      line: pendingAgents,
+    });
+  }
+
+  // The incident this is for: a staging robots.txt deployed to production
+  parseRobotsTxt(text)
+    .groups.filter((group) => group.userAgents.includes('*'))
+    .forEach((group) => {
+      const blocking = group.rules.find(
+        (rule) =>
+          rule.type === 'disallow' && (rule.path === '/' || rule.path === '/*')
+      );
+      if (blocking && !group.rules.some((rule) => rule.type === 'allow')) {
+        issues.push({
+          level: 'error',
+          message: `Disallow: ${blocking.path} blocks the whole site for every crawler`,
+          line: blocking.line,
+        });
+      }
+    });
+
+  return issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+// robots.txt at the root of a build directory: { path, text, robots, issues }
+// with the parsed file and its lint issues, or null when there is none
+export async function loadRobotsTxt(directory) {
+  const filePath = path.join(directory, 'robots.txt');
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  return {
+    path: filePath,
+    text,
+    robots: parseRobotsTxt(text),
+    issues: lintRobotsTxt(text),
+  };
+}
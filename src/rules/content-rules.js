@@ -0,0 +1,83 @@
+// src/rules/content-rules.js
+export const h1Rule = {
+  id: 'h1',
+  check({ $, headings }) {
+    const h1Count = headings.counts.h1;
+
+    if (h1Count === 0) {
+      return {
+        issues: [
+          {
+            level: 'error',
+            message: 'No H1 heading found',
+            element: $('body').get(0),
+            impact: 85,
+            area: 'Content Structure',
+          },
+        ],
+        recommendations: [
+          {
+            text: 'Add an H1 heading to your page',
+            impact: 85,
+            reason:
+              'H1 headings help search engines understand the main topic of your page',
+            implementation: '<h1>Your Primary Keyword/Topic</h1>',
+          },
+        ],
+      };
+    }
+
+    if (h1Count > 1) {
+      return {
+        issues: [
+          {
+            level: 'warning',
+            message: `Multiple H1 headings found (${h1Count})`,
+            element: $('h1').get(1),
+            impact: 65,
+            area: 'Content Structure',
+          },
+        ],
+        recommendations: [
+          {
+            text: 'Use only one H1 heading per page',
+            impact: 65,
+            reason:
+              'Multiple H1s can confuse search engines about the main topic of your page',
+            implementation:
+              'Keep the most important H1 and change others to H2',
+          },
+        ],
+      };
+    }
+
+    return {};
+  },
+};
+
+export const headingStructureRule = {
+  id: 'heading-structure',
+  check({ $, headings }) {
+    const issues = [...headings.issues];
+    const recommendations = [...headings.recommendations];
+
+    if (headings.counts.h1 === 0 && headings.counts.h2 > 0) {
+      issues.push({
+        level: 'warning',
+        message: 'H2 headings found without an H1 heading',
+        element: $('h2').get(0),
+        impact: 70,
+        area: 'Content Structure',
+      });
+      recommendations.push({
+        text: 'Add an H1 heading before using H2 headings',
+        impact: 70,
+        reason:
+          'Proper heading hierarchy helps search engines understand your content structure',
+        implementation: 'Add an H1 heading at the top of your content',
+      });
+    }
+
+    return { issues, recommendations };
+  },
+};
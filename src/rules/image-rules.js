@@ -0,0 +1,16 @@
+// src/rules/image-rules.js
+import { selectRuleOutput } from './rule-engine.js';
+
+export const imgAltRule = {
+  id: 'img-alt',
+  check({ images }) {
+    return selectRuleOutput(images, 'img-alt');
+  },
+};
+
+export const imageOptimizationRule = {
+  id: 'image-optimization',
+  check({ images }) {
+    return selectRuleOutput(images, 'image-optimization');
+  },
+};
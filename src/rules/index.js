@@ -0,0 +1,51 @@
+// src/rules/index.js - Registers the built-in rules. To add a check, give it a
+// requirement in seo-requirements.js and register its rule here.
+import { registerRule } from './rule-engine.js';
+import {
+  canonicalRule,
+  metaDescriptionRule,
+  metaRobotsRule,
+  mobileFriendlyRule,
+  titleRule,
+} from './meta-tag-rules.js';
+import { h1Rule, headingStructureRule } from './content-rules.js';
+import { imageOptimizationRule, imgAltRule } from './image-rules.js';
+import { richResultsRule, schemaRule } from './structured-data-rules.js';
+import { openGraphRule, twitterCardsRule } from './social-rules.js';
+import {
+  brokenLinksRule,
+  hreflangRule,
+  internalLinksRule,
+} from './link-rules.js';
+import { clientRenderingRule } from './rendering-rules.js';
+
+[
+  clientRenderingRule,
+  titleRule,
+  metaDescriptionRule,
+  h1Rule,
+  canonicalRule,
+  headingStructureRule,
+  imgAltRule,
+  schemaRule,
+  richResultsRule,
+  metaRobotsRule,
+  hreflangRule,
+  brokenLinksRule,
+  openGraphRule,
+  twitterCardsRule,
+  internalLinksRule,
+  mobileFriendlyRule,
+  imageOptimizationRule,
+].forEach(registerRule);
+
+export {
+  applyRuleConfig,
+  createRuleIssue,
+  getRequirement,
+  getRuleSettings,
+  getRules,
+  runRules,
+  sourceLocation,
+} from './rule-engine.js';
+export { applySuppressions, parseSuppressions } from './suppressions.js';
@@ -0,0 +1,29 @@
+// src/rules/link-rules.js
+export const internalLinksRule = {
+  id: 'internal-links',
+  // Used by the link graph of a directory, see
+  // src/analyzers/link-graph-analyzer.js
+  defaults: { maxClickDepth: 3, minInboundLinks: 2, minHubLinks: 3 },
+  check({ links }) {
+    return { issues: links.issues, recommendations: links.recommendations };
+  },
+};
+
+export const hreflangRule = {
+  id: 'hreflang',
+  check({ hreflang }) {
+    return {
+      issues: hreflang.issues,
+      recommendations: hreflang.recommendations,
+    };
+  },
+};
+
+// Needs the other files of the build, so the check runs across a directory
+// (see src/analyzers/broken-link-analyzer.js); registered for the config
+export const brokenLinksRule = {
+  id: 'broken-links',
+  check() {
+    return {};
+  },
+};
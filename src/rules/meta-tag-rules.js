@@ -0,0 +1,205 @@
+// src/rules/meta-tag-rules.js
+export const titleRule = {
+  id: 'title',
+  defaults: { minLength: 30, maxLength: 60 },
+  check({ $, title }, { minLength, maxLength }) {
+    if (!title) {
+      return {
+        issues: [
+          {
+            level: 'error',
+            message: 'Missing page title',
+            element: $('head').get(0),
+            impact: 90,
+            area: 'Meta Tags',
+          },
+        ],
+        recommendations: [
+          {
+            text: 'Add a descriptive page title',
+            impact: 90,
+            reason:
+              'Title tags are a critical ranking factor and appear in search results',
+            implementation:
+              '<title>Your Primary Keyword - Your Brand Name</title>',
+          },
+        ],
+      };
+    }
+
+    if (title.length < minLength) {
+      return {
+        issues: [
+          {
+            level: 'warning',
+            message: `Title is too short (${title.length} chars) - aim for ${minLength}-${maxLength} characters`,
+            element: $('title').get(0),
+            impact: 75,
+            area: 'Meta Tags',
+          },
+        ],
+        recommendations: [
+          {
+            text: 'Expand your title to be more descriptive',
+            impact: 75,
+            reason:
+              'Short titles miss opportunities to include keywords and attract clicks',
+            implementation: `<title>${title} | Add More Keywords and Brand</title>`,
+          },
+        ],
+      };
+    }
+
+    if (title.length > maxLength) {
+      return {
+        issues: [
+          {
+            level: 'warning',
+            message: `Title length (${title.length} chars) exceeds recommended maximum of ${maxLength} characters`,
+            element: $('title').get(0),
+            impact: 70,
+            area: 'Meta Tags',
+          },
+        ],
+        recommendations: [
+          {
+            text: `Shorten title to under ${maxLength} characters`,
+            impact: 70,
+            reason: 'Long titles get truncated in search results',
+            implementation: `<title>${title.substring(
+              0,
+              maxLength - 3
+            )}...</title>`,
+          },
+        ],
+      };
+    }
+
+    return {};
+  },
+};
+
+export const metaDescriptionRule = {
+  id: 'meta-description',
+  defaults: { minLength: 50, maxLength: 160 },
+  check({ $, metaDescription }, { minLength, maxLength }) {
+    if (!metaDescription) {
+      return {
+        issues: [
+          {
+            level: 'error',
+            message: 'Missing meta description',
+            element: $('head').get(0),
+            impact: 80,
+            area: 'Meta Tags',
+          },
+        ],
+        recommendations: [
+          {
+            text: 'Add a descriptive meta description',
+            impact: 80,
+            reason:
+              'Meta descriptions appear in search results and affect click-through rates',
+            implementation:
+              '<meta name="description" content="A compelling description of your page that includes target keywords and encourages clicks.">',
+          },
+        ],
+      };
+    }
+
+    const { length } = metaDescription;
+    if (length < minLength || length > maxLength) {
+      return {
+        issues: [
+          {
+            level: 'warning',
+            message: `Meta description length (${length} chars) outside recommended range (${minLength}-${maxLength})`,
+            element: $('meta[name="description"]').get(0),
+            impact: 60,
+            area: 'Meta Tags',
+          },
+        ],
+        recommendations: [
+          {
+            text: `Adjust meta description to be between ${minLength}-${maxLength} characters`,
+            impact: 60,
+            reason:
+              'Descriptions outside this range may be truncated or considered thin content',
+            implementation:
+              length < minLength
+                ? 'Expand your meta description to be more descriptive and include target keywords'
+                : 'Shorten your meta description to ensure it displays properly in search results',
+          },
+        ],
+      };
+    }
+
+    return {};
+  },
+};
+
+export const canonicalRule = {
+  id: 'canonical',
+  check({ $, canonicalUrl }) {
+    if (canonicalUrl) return {};
+    return {
+      issues: [
+        {
+          level: 'error',
+          message: 'No canonical URL specified',
+          element: $('head').get(0),
+          impact: 60,
+          area: 'Duplicate Content',
+        },
+      ],
+      recommendations: [
+        {
+          text: 'Add a canonical URL tag',
+          impact: 60,
+          reason: 'Canonical URLs help prevent duplicate content issues',
+          implementation:
+            '<link rel="canonical" href="https://yourdomain.com/current-page/">',
+        },
+      ],
+    };
+  },
+};
+
+// Issues come from src/analyzers/meta-robots-analyzer.js, which merges the
+// generic and crawler-specific tags
+export const metaRobotsRule = {
+  id: 'meta-robots',
+  check({ robotsMeta }) {
+    return {
+      issues: robotsMeta.issues,
+      recommendations: robotsMeta.recommendations,
+    };
+  },
+};
+
+export const mobileFriendlyRule = {
+  id: 'mobile-friendly',
+  check({ $, hasViewport }) {
+    if (hasViewport) return {};
+    return {
+      issues: [
+        {
+          level: 'error',
+          message: 'Missing viewport meta tag for mobile responsiveness',
+          element: $('head').get(0),
+          impact: 80,
+          area: 'Mobile Optimization',
+        },
+      ],
+      recommendations: [
+        {
+          text: 'Add a viewport meta tag',
+          impact: 80,
+          reason: 'Mobile-friendly pages rank better in mobile search results',
+          implementation:
+            '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        },
+      ],
+    };
+  },
+};
@@ -0,0 +1,75 @@
+// src/rules/rendering-rules.js
+export const clientRenderingRule = {
+  id: 'client-rendering',
+  // Confidence (0-100) reported for pages that look client-rendered
+  defaults: { confidenceScore: 40 },
+  check({ $, isReactApp, rendering }) {
+    // A rendered DOM already contains what the app adds on the client
+    if (!isReactApp || rendering) return {};
+    const element =
+      $('#root, #app, [data-reactroot]').get(0) || $('body').get(0);
+
+    return {
+      issues: [
+        {
+          level: 'error',
+          message:
+            '⚠️ WARNING: This is a client-side rendered React app - this analysis is INCOMPLETE',
+          element,
+          impact: 100,
+          area: 'Analysis Limitations',
+        },
+        {
+          level: 'error',
+          message:
+            'Client-side rendered React apps hide content from this analyzer',
+          element,
+          impact: 95,
+          area: 'Framework',
+        },
+      ],
+      recommendations: [
+        {
+          text: 'Switch to server-side rendering for better SEO',
+          impact: 95,
+          reason:
+            'This analysis only sees your initial HTML, not the content rendered by React',
+          implementation:
+            'Migrate to Next.js, Gatsby, or implement server-side rendering in your current setup',
+        },
+        {
+          text: 'For accurate analysis, view your page source and analyze what search engines actually see',
+          impact: 90,
+          reason:
+            'What you see in the browser is different from what search engines see',
+          implementation:
+            'Right-click your page and select "View Page Source" to see what search engines see',
+        },
+        {
+          text: 'Use React Helmet to manage meta tags',
+          impact: 85,
+          reason:
+            'React Helmet allows you to manage all your meta tags within your React components',
+          implementation:
+            'npm install react-helmet, then import and use in your components',
+        },
+        {
+          text: 'Consider pre-rendering or server-side rendering',
+          impact: 90,
+          reason:
+            'Client-side rendered React apps often perform poorly for SEO',
+          implementation:
+            'Migrate to Next.js or use a pre-rendering service like Prerender.io',
+        },
+        {
+          text: 'IMPORTANT: This analysis is incomplete due to client-side rendering',
+          impact: 100,
+          reason:
+            'This tool can only analyze the initial HTML, not the content rendered by React',
+          implementation:
+            'For a complete analysis, you need to analyze the rendered HTML that search engines see',
+        },
+      ],
+    };
+  },
+};
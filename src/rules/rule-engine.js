@@ -0,0 +1,158 @@
+// src/rules/rule-engine.js - Registry of SEO rules keyed by requirement id
+import SEO_REQUIREMENTS from '../../seo-requirements.js';
+
+// Rules report a level; the tier of their requirement turns it into a
+// severity, so a missing canonical outranks a missing Open Graph tag
+const SEVERITY_BY_TIER = {
+  critical: { error: 'critical', warning: 'medium', notice: 'low' },
+  important: { error: 'high', warning: 'medium', notice: 'low' },
+  recommended: { error: 'medium', warning: 'low', notice: 'low' },
+};
+
+const REQUIREMENTS = new Map();
+Object.entries(SEO_REQUIREMENTS).forEach(([tier, requirements]) => {
+  requirements.forEach((requirement) => {
+    REQUIREMENTS.set(requirement.id, { ...requirement, tier });
+  });
+});
+
+const rules = new Map();
+
+export function getRequirement(id) {
+  return REQUIREMENTS.get(id) || null;
+}
+
+// A rule is { id, defaults, check(context, settings) }. The id must be a
+// requirement id from seo-requirements.js; check returns
+// { issues, recommendations } where issues carry a level instead of a severity.
+// `defaults` holds the thresholds a project config may override.
+export function registerRule(rule) {
+  if (!REQUIREMENTS.has(rule.id)) {
+    throw new Error(
+      `Rule "${rule.id}" does not match a requirement in seo-requirements.js`
+    );
+  }
+  if (rules.has(rule.id)) {
+    throw new Error(`Rule "${rule.id}" is already registered`);
+  }
+  rules.set(rule.id, { defaults: {}, ...rule });
+}
+
+export function getRules() {
+  return Array.from(rules.values());
+}
+
+const MAX_EXCERPT_LENGTH = 120;
+
+// Elements the parser inserted (an implied <head> or <body>) have no source
+// location; use the first descendant that does
+function findLocation(element) {
+  if (!element) return null;
+  if (element.sourceCodeLocation) return element.sourceCodeLocation;
+  for (const child of element.children || []) {
+    const location = findLocation(child);
+    if (location) return location;
+  }
+  return null;
+}
+
+// The start tag of the element on one line, shortened to MAX_EXCERPT_LENGTH
+function getExcerpt(location, source) {
+  const range = location.startTag || location;
+  const text = source
+    .slice(range.startOffset, range.endOffset)
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > MAX_EXCERPT_LENGTH
+    ? `${text.slice(0, MAX_EXCERPT_LENGTH - 1)}…`
+    : text;
+}
+
+// The { line, column, excerpt } of an element, for issues added once the
+// document is gone (the site-wide checks); empty without a source location
+export function sourceLocation(element, source) {
+  const location = findLocation(element);
+  if (!location) return {};
+  return {
+    line: location.startLine,
+    column: location.startCol,
+    ...(source ? { excerpt: getExcerpt(location, source) } : {}),
+  };
+}
+
+// Turn an issue reported at a level into a finished issue for `ruleId`.
+// Also used by the checks that run after analyzeHtml (local files, reciprocity).
+// An `element` from a document parsed with sourceCodeLocationInfo becomes the
+// issue's line, column and (when the HTML `source` is given) excerpt.
+export function createRuleIssue(ruleId, { level, element, ...issue }, source) {
+  const requirement = REQUIREMENTS.get(ruleId);
+  if (!requirement) {
+    throw new Error(`Unknown rule "${ruleId}"`);
+  }
+  return {
+    ...issue,
+    ...sourceLocation(element, source),
+    severity: SEVERITY_BY_TIER[requirement.tier][level],
+    rule: ruleId,
+    category: requirement.tier,
+  };
+}
+
+// Pick the issues and recommendations an analyzer tagged for one rule when a
+// single analyzer serves several requirements
+export function selectRuleOutput(analysis, ruleId) {
+  const forRule = (item) => item.rule === ruleId;
+  return {
+    issues: analysis.issues.filter(forRule),
+    recommendations: analysis.recommendations.filter(forRule),
+  };
+}
+
+// The defaults of a rule with any thresholds from the project config
+export function getRuleSettings(ruleId, ruleConfig = {}) {
+  const rule = rules.get(ruleId);
+  const configured = ruleConfig[ruleId] || {};
+  return { ...(rule ? rule.defaults : {}), ...configured.settings };
+}
+
+// Drop issues of disabled rules and apply severity overrides. `ruleConfig` is
+// the per-file config from resolveRuleConfig in src/config/project-config.js.
+export function applyRuleConfig(issues, ruleConfig = {}) {
+  return issues
+    .filter((issue) => {
+      const configured = ruleConfig[issue.rule];
+      return !configured || configured.enabled !== false;
+    })
+    .map((issue) => {
+      const configured = ruleConfig[issue.rule];
+      return configured && configured.severity
+        ? { ...issue, severity: configured.severity }
+        : issue;
+    });
+}
+
+export function runRules(context, ruleConfig = {}) {
+  const issues = [];
+  const recommendations = [];
+
+  rules.forEach((rule) => {
+    const configured = ruleConfig[rule.id];
+    if (configured && configured.enabled === false) return;
+
+    const output =
+      rule.check(context, getRuleSettings(rule.id, ruleConfig)) || {};
+    (output.issues || []).forEach((issue) => {
+      issues.push(createRuleIssue(rule.id, issue, context.html));
+    });
+    (output.recommendations || []).forEach((recommendation) => {
+      recommendations.push({ ...recommendation, rule: rule.id });
+    });
+  });
+
+  return {
+    issues: applyRuleConfig(issues, ruleConfig).sort(
+      (a, b) => b.impact - a.impact
+    ),
+    recommendations: recommendations.sort((a, b) => b.impact - a.impact),
+  };
+}
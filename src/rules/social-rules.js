@@ -0,0 +1,16 @@
+// src/rules/social-rules.js
+import { selectRuleOutput } from './rule-engine.js';
+
+export const openGraphRule = {
+  id: 'open-graph',
+  check({ social }) {
+    return selectRuleOutput(social, 'open-graph');
+  },
+};
+
+export const twitterCardsRule = {
+  id: 'twitter-cards',
+  check({ social }) {
+    return selectRuleOutput(social, 'twitter-cards');
+  },
+};
@@ -0,0 +1,89 @@
+// src/rules/structured-data-rules.js
+export const schemaRule = {
+  id: 'schema',
+  check({ $, structuredData, title, metaDescription }) {
+    const { blocks, parseErrors, validation } = structuredData;
+    const issues = [];
+    const recommendations = [];
+
+    parseErrors.forEach((error) => {
+      issues.push({
+        level: 'error',
+        message: `Invalid JSON-LD schema: ${error.message}`,
+        element: error.element,
+        impact: 70,
+        area: 'Structured Data',
+      });
+    });
+
+    validation.issues.forEach((issue) => {
+      const block = blocks[issue.block];
+      issues.push(block ? { ...issue, element: block.element } : issue);
+    });
+
+    const schemaErrors = validation.issues.filter(
+      (issue) => issue.level === 'error' || issue.level === 'warning'
+    );
+    if (schemaErrors.length > 0) {
+      recommendations.push({
+        text: 'Fix structured data errors so your schema is eligible for rich results',
+        impact: 70,
+        reason:
+          'Search engines ignore entities that are missing required properties or use invalid values',
+        implementation: schemaErrors
+          .slice(0, 5)
+          .map((issue) => `${issue.schemaType}: fix ${issue.path}`)
+          .join('\n'),
+      });
+    }
+
+    if (blocks.length === 0) {
+      issues.push({
+        level: 'warning',
+        message:
+          'No structured data (schema.org) found in JSON-LD, Microdata or RDFa',
+        element: $('head').get(0),
+        impact: 65,
+        area: 'Structured Data',
+      });
+      recommendations.push({
+        text: 'Add structured data using JSON-LD',
+        impact: 65,
+        reason:
+          'Structured data helps search engines understand your content and can enable rich results',
+        implementation: `<script type="application/ld+json">
+{
+  "@context": "https://schema.org",
+  "@type": "WebPage",
+  "name": "${title || 'Page title'}",
+  "description": "${metaDescription || 'Page description'}"
+}
+</script>`,
+      });
+    }
+
+    return { issues, recommendations };
+  },
+};
+
+export const richResultsRule = {
+  id: 'rich-results',
+  check({ structuredData }) {
+    const { blocks } = structuredData;
+    return {
+      issues: structuredData.richResults
+        .filter((result) => result.detected && !result.eligible)
+        .map((result) => ({
+          level: 'warning',
+          message: `${
+            result.name
+          } markup found but not eligible for rich results - missing or invalid: ${result.blocking.join(
+            ', '
+          )}`,
+          element: blocks[result.block] && blocks[result.block].element,
+          impact: 60,
+          area: 'Rich Results',
+        })),
+    };
+  },
+};
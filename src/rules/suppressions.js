@@ -0,0 +1,134 @@
+// src/rules/suppressions.js - Inline suppression comments in HTML:
+//   <!-- seo-inspector-disable canonical, meta-robots -- thank-you page -->
+//   <!-- seo-inspector-disable-next-line img-alt -->
+// "disable" applies to the whole page, "disable-next-line" to issues located
+// on the line after the comment. Without rule ids every rule is suppressed.
+import { getRules } from './rule-engine.js';
+
+const DIRECTIVE =
+  /^\s*seo-inspector-(disable-next-line|disable)(?=\s|$)([\s\S]*)$/;
+
+function collectComments(node, comments) {
+  (node.children || []).forEach((child) => {
+    if (child.type === 'comment') {
+      comments.push(child);
+    } else {
+      collectComments(child, comments);
+    }
+  });
+  return comments;
+}
+
+// Read the directives of a document parsed with sourceCodeLocationInfo
+export function parseSuppressions($) {
+  return collectComments($.root().get(0), [])
+    .map((comment) => {
+      const match = DIRECTIVE.exec(comment.data);
+      if (!match) return null;
+
+      const [ruleText, ...reason] = match[2].split(/\s--\s/);
+      const location = comment.sourceCodeLocation;
+      return {
+        type: match[1],
+        rules: ruleText.split(/[\s,]+/).filter(Boolean),
+        reason: reason.join(' -- ').trim() || null,
+        line: location ? location.startLine : null,
+        targetLine:
+          match[1] === 'disable-next-line' && location
+            ? location.endLine + 1
+            : null,
+      };
+    })
+    .filter(Boolean);
+}
+
+function matches(directive, issue) {
+  if (directive.rules.length > 0 && !directive.rules.includes(issue.rule)) {
+    return false;
+  }
+  return (
+    directive.type === 'disable' ||
+    (issue.line !== undefined && issue.line === directive.targetLine)
+  );
+}
+
+// Directives, or rule ids within them, that suppressed nothing
+function findUnused(directives, suppressed) {
+  const known = new Set(getRules().map((rule) => rule.id));
+  const unused = [];
+
+  directives.forEach((directive) => {
+    const used = suppressed.filter((issue) => matches(directive, issue));
+    if (directive.rules.length === 0) {
+      if (used.length === 0) {
+        unused.push({
+          line: directive.line,
+          directive: directive.type,
+          rule: null,
+          reason: 'no issue was suppressed',
+        });
+      }
+      return;
+    }
+    directive.rules.forEach((rule) => {
+      if (!known.has(rule)) {
+        unused.push({
+          line: directive.line,
+          directive: directive.type,
+          rule,
+          reason: 'unknown rule id',
+        });
+      } else if (!used.some((issue) => issue.rule === rule)) {
+        unused.push({
+          line: directive.line,
+          directive: directive.type,
+          rule,
+          reason: 'no issue was suppressed',
+        });
+      }
+    });
+  });
+
+  return unused;
+}
+
+// Move the issues matched by the page's directives from result.issues to
+// result.suppressions.suppressed. Safe to call again after later checks
+// (local files, cross-page checks) have added issues.
+export function applySuppressions(result) {
+  const { suppressions } = result;
+  if (!suppressions || suppressions.directives.length === 0) return;
+
+  const kept = [];
+  result.issues.forEach((issue) => {
+    const directive = suppressions.directives.find((candidate) =>
+      matches(candidate, issue)
+    );
+    if (directive) {
+      suppressions.suppressed.push({ ...issue, suppressedBy: directive.line });
+    } else {
+      kept.push(issue);
+    }
+  });
+  result.issues = kept;
+
+  // Advice for a rule that is switched off for the whole page is noise
+  const pageWide = suppressions.directives.filter(
+    (directive) => directive.type === 'disable'
+  );
+  result.recommendations = result.recommendations.filter(
+    (recommendation) =>
+      !pageWide.some(
+        (directive) =>
+          directive.rules.length === 0 ||
+          directive.rules.includes(recommendation.rule)
+      )
+  );
+
+  if (suppressions.reportUnused) {
+    suppressions.unused = findUnused(
+      suppressions.directives,
+      suppressions.suppressed
+    );
+  }
+}
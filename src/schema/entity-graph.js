@@ -0,0 +1,148 @@
+// src/schema/entity-graph.js - Flattens @graph containers and links @id references between nodes
+import { getEntityTypes, isReference } from './schema-utils.js';
+
+const MAX_DEPTH = 10;
+
+function createIssue(message, node, path) {
+  return {
+    level: 'warning',
+    message: `${message} (${node.label}, ${path})`,
+    impact: 45,
+    area: 'Structured Data',
+    path,
+    block: node.block,
+    syntax: node.syntax,
+  };
+}
+
+// Split blocks into top-level nodes. A block may hold one entity, an array of
+// entities or a container whose @graph array lists the entities; graph nodes
+// inherit the @context of their container.
+function collectTopLevelNodes(blocks) {
+  const nodes = [];
+
+  blocks.forEach((block, blockIndex) => {
+    const base = {
+      block: blockIndex,
+      syntax: block.syntax,
+      label: block.label,
+      element: block.element,
+    };
+    const items = Array.isArray(block.data) ? block.data : [block.data];
+
+    items.forEach((item, itemIndex) => {
+      const path = Array.isArray(block.data) ? `$[${itemIndex}]` : '$';
+
+      if (item && typeof item === 'object' && Array.isArray(item['@graph'])) {
+        item['@graph'].forEach((graphNode, graphIndex) => {
+          nodes.push({
+            ...base,
+            data: graphNode,
+            context: item['@context'],
+            path: `${path}.@graph[${graphIndex}]`,
+            inGraph: true,
+          });
+        });
+        return;
+      }
+
+      nodes.push({
+        ...base,
+        data: item,
+        context:
+          item && typeof item === 'object' ? item['@context'] : undefined,
+        path,
+        inGraph: false,
+      });
+    });
+  });
+
+  return nodes;
+}
+
+// Walk a node's values, calling `visit` for nested objects and references
+function walk(value, path, depth, visit) {
+  if (depth > MAX_DEPTH || !value || typeof value !== 'object') return;
+
+  if (Array.isArray(value)) {
+    value.forEach((item, index) =>
+      walk(item, `${path}[${index}]`, depth, visit)
+    );
+    return;
+  }
+
+  visit(value, path, depth);
+  if (isReference(value)) return;
+
+  Object.entries(value).forEach(([key, child]) => {
+    if (key.startsWith('@')) return;
+    walk(child, `${path}.${key}`, depth + 1, visit);
+  });
+}
+
+// Build the entity graph for a page. Returns the top-level nodes, a map of
+// @id to the node defining it, the flattened entity list (top-level nodes plus
+// nested entities that carry an @id) and issues for dangling references and
+// duplicate ids.
+export function buildEntityGraph(blocks) {
+  const nodes = collectTopLevelNodes(blocks);
+  const ids = new Map();
+  const entities = [];
+  const references = [];
+  const issues = [];
+
+  nodes.forEach((node) => {
+    walk(node.data, node.path, 0, (value, path, depth) => {
+      if (isReference(value)) {
+        references.push({ id: value['@id'], node, path });
+        return;
+      }
+
+      const id = typeof value['@id'] === 'string' ? value['@id'] : null;
+      if (depth > 0 && !id) return;
+
+      entities.push({
+        type: getEntityTypes(value).join('/') || null,
+        id,
+        block: node.block,
+        source: node.label,
+        syntax: node.syntax,
+        path,
+        nested: depth > 0,
+      });
+
+      if (!id) return;
+      if (ids.has(id)) {
+        const first = ids.get(id);
+        issues.push(
+          createIssue(
+            `Duplicate @id "${id}" is also defined in ${first.node.label} (${first.path})`,
+            node,
+            path
+          )
+        );
+        return;
+      }
+      ids.set(id, { data: value, node, path });
+    });
+  });
+
+  references.forEach((reference) => {
+    if (!ids.has(reference.id)) {
+      issues.push(
+        createIssue(
+          `Reference to "${reference.id}" does not match any @id on the page`,
+          reference.node,
+          reference.path
+        )
+      );
+    }
+  });
+
+  return {
+    nodes,
+    entities,
+    issues,
+    resolve: (id) => (ids.has(id) ? ids.get(id).data : null),
+  };
+}
@@ -0,0 +1,16 @@
+// src/schema/extractors/json-ld.js - Reads application/ld+json script blocks
+
+export function extractJsonLd($) {
+  const items = [];
+  const errors = [];
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    try {
+      items.push({ data: JSON.parse($(script).html()), element: script });
+    } catch (e) {
+      errors.push({ index: i, message: e.message, element: script });
+    }
+  });
+
+  return { items, errors };
+}
@@ -0,0 +1,126 @@
+// src/schema/extractors/microdata.js - Converts itemscope/itemprop markup to JSON-LD shaped objects
+import { normalizeSchemaName } from '../schema-utils.js';
+import { resolveUrl } from '../../utils/url-utils.js';
+
+const SRC_ELEMENTS = [
+  'audio',
+  'embed',
+  'iframe',
+  'img',
+  'source',
+  'track',
+  'video',
+];
+const HREF_ELEMENTS = ['a', 'area', 'link'];
+
+// Value of a non-item property element, following the Microdata spec: URL
+// attributes are resolved against the document's base URL
+function getPropertyValue($, el, baseUrl) {
+  const $el = $(el);
+  const tag = el.tagName ? el.tagName.toLowerCase() : '';
+
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if (SRC_ELEMENTS.includes(tag)) {
+    return resolveUrl($el.attr('src') || '', baseUrl);
+  }
+  if (HREF_ELEMENTS.includes(tag)) {
+    return resolveUrl($el.attr('href') || '', baseUrl);
+  }
+  if (tag === 'object') return resolveUrl($el.attr('data') || '', baseUrl);
+  if (tag === 'data' || tag === 'meter') return $el.attr('value') || '';
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addValue(target, name, value) {
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+// Property elements that belong to `item`: descendants whose nearest
+// itemscope ancestor is the item, plus elements pulled in via itemref
+function getPropertyElements($, item) {
+  const owned = $(item)
+    .find('[itemprop]')
+    .filter((i, el) => $(el).parent().closest('[itemscope]')[0] === item)
+    .toArray();
+
+  const refs = ($(item).attr('itemref') || '').split(/\s+/).filter(Boolean);
+  refs.forEach((id) => {
+    const ref = $(`[id="${id}"]`)[0];
+    if (!ref) return;
+    if ($(ref).is('[itemprop]')) owned.push(ref);
+    $(ref)
+      .find('[itemprop]')
+      .filter((i, el) => {
+        const scope = $(el).parent().closest('[itemscope]')[0];
+        return !scope || !$(ref).find(scope).length;
+      })
+      .each((i, el) => owned.push(el));
+  });
+
+  return owned;
+}
+
+function readItem($, item, seen, baseUrl) {
+  const $item = $(item);
+  const data = {};
+
+  const types = ($item.attr('itemtype') || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(normalizeSchemaName);
+  if (types.length > 0) {
+    data['@type'] = types.length === 1 ? types[0] : types;
+  }
+  if ($item.attr('itemid')) {
+    data['@id'] = $item.attr('itemid');
+  }
+
+  // Guard against itemref cycles
+  seen.add(item);
+
+  getPropertyElements($, item).forEach((el) => {
+    const names = ($(el).attr('itemprop') || '').split(/\s+/).filter(Boolean);
+    let value;
+    if ($(el).is('[itemscope]')) {
+      value = seen.has(el) ? {} : readItem($, el, seen, baseUrl);
+    } else {
+      value = getPropertyValue($, el, baseUrl);
+    }
+    names.forEach((name) => addValue(data, normalizeSchemaName(name), value));
+  });
+
+  return data;
+}
+
+// Top-level items are itemscope elements that are not themselves a property
+// of another item. options.baseUrl resolves URL values when it is known.
+export function extractMicrodata($, options = {}) {
+  const items = [];
+
+  $('[itemscope]').each((i, el) => {
+    const $el = $(el);
+    if ($el.is('[itemprop]') && $el.parent().closest('[itemscope]').length) {
+      return;
+    }
+
+    const itemtype = $el.attr('itemtype') || '';
+    const context =
+      !itemtype || /schema\.org/i.test(itemtype)
+        ? { '@context': 'https://schema.org' }
+        : {};
+    items.push({
+      data: { ...context, ...readItem($, el, new Set(), options.baseUrl) },
+      element: el,
+    });
+  });
+
+  return { items, errors: [] };
+}
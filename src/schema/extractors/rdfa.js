@@ -0,0 +1,103 @@
+// src/schema/extractors/rdfa.js - Converts RDFa (vocab/typeof/property) markup to JSON-LD shaped objects
+import { normalizeSchemaName } from '../schema-utils.js';
+import { resolveUrl } from '../../utils/url-utils.js';
+
+const DEFAULT_VOCAB = 'https://schema.org/';
+
+function getVocab($, el) {
+  const vocabEl = $(el).closest('[vocab]');
+  return vocabEl.length ? vocabEl.attr('vocab') : DEFAULT_VOCAB;
+}
+
+function isSchemaOrg($, el, terms) {
+  return (
+    /schema\.org/i.test(getVocab($, el)) ||
+    terms.some((term) => /^(schema:|https?:\/\/schema\.org\/)/i.test(term))
+  );
+}
+
+// href and src are resolved against the document's base URL, as RDFa does
+function getPropertyValue($, el, baseUrl) {
+  const $el = $(el);
+  const tag = el.tagName ? el.tagName.toLowerCase() : '';
+
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if ($el.attr('resource')) return $el.attr('resource');
+  if ($el.attr('href') && ['a', 'area', 'link'].includes(tag)) {
+    return resolveUrl($el.attr('href'), baseUrl);
+  }
+  if ($el.attr('src')) return resolveUrl($el.attr('src'), baseUrl);
+  if (tag === 'time' && $el.attr('datetime')) return $el.attr('datetime');
+
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+function addValue(target, name, value) {
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+function readNode($, node, baseUrl) {
+  const $node = $(node);
+  const data = {};
+
+  const types = ($node.attr('typeof') || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(normalizeSchemaName);
+  if (types.length > 0) {
+    data['@type'] = types.length === 1 ? types[0] : types;
+  }
+  const id = $node.attr('resource') || $node.attr('about');
+  if (id) {
+    data['@id'] = id;
+  }
+
+  $node
+    .find('[property]')
+    .filter((i, el) => $(el).parent().closest('[typeof]')[0] === node)
+    .each((i, el) => {
+      const names = ($(el).attr('property') || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(normalizeSchemaName);
+      const value = $(el).is('[typeof]')
+        ? readNode($, el, baseUrl)
+        : getPropertyValue($, el, baseUrl);
+      names.forEach((name) => addValue(data, name, value));
+    });
+
+  return data;
+}
+
+// Top-level nodes are typeof elements that are not the value of a property
+// of an enclosing node. Only schema.org vocabularies are extracted.
+// options.baseUrl resolves URL values when it is known.
+export function extractRdfa($, options = {}) {
+  const items = [];
+
+  $('[typeof]').each((i, el) => {
+    const $el = $(el);
+    if ($el.is('[property]') && $el.parent().closest('[typeof]').length) {
+      return;
+    }
+
+    const terms = ($el.attr('typeof') || '').split(/\s+/).filter(Boolean);
+    if (!isSchemaOrg($, el, terms)) return;
+
+    items.push({
+      data: {
+        '@context': 'https://schema.org',
+        ...readNode($, el, options.baseUrl),
+      },
+      element: el,
+    });
+  });
+
+  return { items, errors: [] };
+}
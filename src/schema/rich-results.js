@@ -0,0 +1,398 @@
+// src/schema/rich-results.js - Google rich result eligibility built on the entity graph
+import { isSubtypeOf } from './schema-types.js';
+import { getEntityTypes, isReference } from './schema-utils.js';
+
+const MAX_DEPTH = 10;
+
+// Collect every typed object in the graph, including nested ones, so that a
+// Product under an ItemPage's mainEntity is still considered
+function collectTypedObjects(graph) {
+  const found = [];
+
+  function walk(value, path, depth) {
+    if (depth > MAX_DEPTH || !value || typeof value !== 'object') return;
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${path}[${index}]`, depth));
+      return;
+    }
+    if (isReference(value)) return;
+
+    if (getEntityTypes(value).length > 0) {
+      found.push({ data: value, path });
+    }
+    Object.entries(value).forEach(([key, child]) => {
+      if (!key.startsWith('@')) walk(child, `${path}.${key}`, depth + 1);
+    });
+  }
+
+  graph.nodes.forEach((node) => {
+    const before = found.length;
+    walk(node.data, node.path, 0);
+    found.slice(before).forEach((entry) => {
+      entry.source = node.label;
+      entry.block = node.block;
+    });
+  });
+
+  return found;
+}
+
+function isA(entity, typeName) {
+  return getEntityTypes(entity).some((type) => isSubtypeOf(type, typeName));
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+}
+
+// Read a property, following @id references and returning a list of values
+function values(entity, property, resolve) {
+  if (!entity || typeof entity !== 'object') return [];
+  const raw = entity[property] ?? entity[`schema:${property}`];
+  const list = Array.isArray(raw) ? raw : isEmpty(raw) ? [] : [raw];
+  return list
+    .map((value) => (isReference(value) ? resolve(value['@id']) : value))
+    .filter((value) => !isEmpty(value));
+}
+
+function first(entity, property, resolve) {
+  return values(entity, property, resolve)[0];
+}
+
+function has(entity, property, resolve) {
+  return values(entity, property, resolve).length > 0;
+}
+
+function checkRating(rating, resolve, prefix, gaps) {
+  if (!has(rating, 'ratingValue', resolve)) {
+    gaps.blocking.push(`${prefix}.ratingValue`);
+  }
+  if (!has(rating, 'bestRating', resolve)) {
+    gaps.optional.push(`${prefix}.bestRating (defaults to 5)`);
+  }
+}
+
+// Each feature lists the entity types that can produce it and a check that
+// fills `blocking` (must fix to qualify) and `optional` (enhancements) gaps
+const FEATURES = [
+  {
+    id: 'product',
+    name: 'Product snippets',
+    types: ['Product'],
+    check(entity, resolve, gaps, isInvalid) {
+      if (!has(entity, 'name', resolve)) gaps.blocking.push('name');
+      const offers = values(entity, 'offers', resolve);
+      if (
+        offers.length === 0 &&
+        !has(entity, 'review', resolve) &&
+        !has(entity, 'aggregateRating', resolve)
+      ) {
+        gaps.blocking.push('offers, review or aggregateRating');
+      }
+      offers.forEach((offer, i) => {
+        if (!has(offer, 'price', resolve) && !has(offer, 'lowPrice', resolve)) {
+          gaps.blocking.push(`offers[${i}].price`);
+        }
+        if (!has(offer, 'priceCurrency', resolve)) {
+          gaps.blocking.push(`offers[${i}].priceCurrency`);
+        }
+        ['price', 'lowPrice', 'priceCurrency']
+          .filter((property) => isInvalid(offer, property))
+          .forEach((property) =>
+            gaps.blocking.push(`offers[${i}].${property} (invalid value)`)
+          );
+        if (!has(offer, 'availability', resolve)) {
+          gaps.optional.push(`offers[${i}].availability`);
+        }
+      });
+      ['image', 'description', 'brand', 'sku'].forEach((property) => {
+        if (!has(entity, property, resolve)) gaps.optional.push(property);
+      });
+    },
+  },
+  {
+    id: 'review',
+    name: 'Review stars',
+    types: [
+      'Product',
+      'Recipe',
+      'LocalBusiness',
+      'Event',
+      'Organization',
+      'Review',
+    ],
+    // Only entities carrying rating data are candidates
+    applies(entity, resolve) {
+      return isA(entity, 'Review')
+        ? has(entity, 'reviewRating', resolve)
+        : has(entity, 'aggregateRating', resolve) ||
+            has(entity, 'review', resolve);
+    },
+    check(entity, resolve, gaps) {
+      if (isA(entity, 'Review')) {
+        checkRating(
+          first(entity, 'reviewRating', resolve),
+          resolve,
+          'reviewRating',
+          gaps
+        );
+        if (!has(entity, 'author', resolve)) gaps.blocking.push('author');
+        if (!has(entity, 'itemReviewed', resolve)) {
+          gaps.blocking.push('itemReviewed');
+        }
+        return;
+      }
+
+      const aggregate = first(entity, 'aggregateRating', resolve);
+      if (aggregate) {
+        checkRating(aggregate, resolve, 'aggregateRating', gaps);
+        if (
+          !has(aggregate, 'ratingCount', resolve) &&
+          !has(aggregate, 'reviewCount', resolve)
+        ) {
+          gaps.blocking.push('aggregateRating.ratingCount or reviewCount');
+        }
+      } else {
+        values(entity, 'review', resolve).forEach((review, i) => {
+          checkRating(
+            first(review, 'reviewRating', resolve),
+            resolve,
+            `review[${i}].reviewRating`,
+            gaps
+          );
+          if (!has(review, 'author', resolve)) {
+            gaps.blocking.push(`review[${i}].author`);
+          }
+        });
+      }
+    },
+  },
+  {
+    id: 'faq',
+    name: 'FAQ',
+    types: ['FAQPage'],
+    check(entity, resolve, gaps) {
+      const questions = values(entity, 'mainEntity', resolve);
+      if (questions.length === 0) {
+        gaps.blocking.push('mainEntity (at least one Question)');
+      }
+      questions.forEach((question, i) => {
+        if (!has(question, 'name', resolve)) {
+          gaps.blocking.push(`mainEntity[${i}].name`);
+        }
+        const answer = first(question, 'acceptedAnswer', resolve);
+        if (!answer || !has(answer, 'text', resolve)) {
+          gaps.blocking.push(`mainEntity[${i}].acceptedAnswer.text`);
+        }
+      });
+    },
+  },
+  {
+    id: 'breadcrumb',
+    name: 'Breadcrumb',
+    types: ['BreadcrumbList'],
+    check(entity, resolve, gaps) {
+      const items = values(entity, 'itemListElement', resolve);
+      if (items.length === 0) {
+        gaps.blocking.push('itemListElement (at least one ListItem)');
+      }
+      items.forEach((item, i) => {
+        if (!has(item, 'position', resolve)) {
+          gaps.blocking.push(`itemListElement[${i}].position`);
+        }
+        const target = first(item, 'item', resolve);
+        if (!has(item, 'name', resolve) && !has(target, 'name', resolve)) {
+          gaps.blocking.push(`itemListElement[${i}].name`);
+        }
+        // The last crumb may omit its URL
+        if (!target && i < items.length - 1) {
+          gaps.blocking.push(`itemListElement[${i}].item`);
+        }
+      });
+    },
+  },
+  {
+    id: 'article',
+    name: 'Article',
+    types: ['Article'],
+    check(entity, resolve, gaps) {
+      if (!has(entity, 'headline', resolve)) gaps.blocking.push('headline');
+      ['image', 'datePublished', 'dateModified', 'publisher'].forEach(
+        (property) => {
+          if (!has(entity, property, resolve)) gaps.optional.push(property);
+        }
+      );
+      const authors = values(entity, 'author', resolve);
+      if (authors.length === 0) {
+        gaps.optional.push('author');
+      } else if (authors.some((author) => !has(author, 'name', resolve))) {
+        gaps.optional.push('author.name');
+      }
+    },
+  },
+  {
+    id: 'event',
+    name: 'Event',
+    types: ['Event'],
+    check(entity, resolve, gaps) {
+      ['name', 'startDate'].forEach((property) => {
+        if (!has(entity, property, resolve)) gaps.blocking.push(property);
+      });
+      const location = first(entity, 'location', resolve);
+      if (!location) {
+        gaps.blocking.push('location');
+      } else if (
+        typeof location === 'object' &&
+        isA(location, 'VirtualLocation')
+      ) {
+        if (!has(location, 'url', resolve)) gaps.blocking.push('location.url');
+      } else if (
+        typeof location === 'object' &&
+        !isA(location, 'PostalAddress') &&
+        !has(location, 'address', resolve)
+      ) {
+        gaps.blocking.push('location.address');
+      }
+      [
+        'endDate',
+        'eventStatus',
+        'eventAttendanceMode',
+        'image',
+        'description',
+        'offers',
+        'organizer',
+        'performer',
+      ].forEach((property) => {
+        if (!has(entity, property, resolve)) gaps.optional.push(property);
+      });
+    },
+  },
+  {
+    id: 'recipe',
+    name: 'Recipe',
+    types: ['Recipe'],
+    check(entity, resolve, gaps) {
+      ['name', 'image'].forEach((property) => {
+        if (!has(entity, property, resolve)) gaps.blocking.push(property);
+      });
+      [
+        'author',
+        'datePublished',
+        'description',
+        'prepTime',
+        'cookTime',
+        'totalTime',
+        'recipeYield',
+        'recipeIngredient',
+        'recipeInstructions',
+        'aggregateRating',
+        'nutrition',
+      ].forEach((property) => {
+        if (!has(entity, property, resolve)) gaps.optional.push(property);
+      });
+    },
+  },
+  {
+    id: 'sitelinks-searchbox',
+    name: 'Sitelinks search box',
+    types: ['WebSite'],
+    check(entity, resolve, gaps) {
+      if (!has(entity, 'url', resolve)) gaps.blocking.push('url');
+      const action = values(entity, 'potentialAction', resolve).find(
+        (candidate) => isA(candidate, 'SearchAction')
+      );
+      if (!action) {
+        gaps.blocking.push('potentialAction (SearchAction)');
+        return;
+      }
+
+      const target = first(action, 'target', resolve);
+      const template =
+        typeof target === 'object'
+          ? first(target, 'urlTemplate', resolve)
+          : target;
+      const placeholder = /\{([^}]+)\}/.exec(template || '');
+      if (!placeholder) {
+        gaps.blocking.push(
+          'potentialAction.target with a {search_term_string} placeholder'
+        );
+      }
+      const queryInput = first(action, 'query-input', resolve);
+      const queryInputText =
+        typeof queryInput === 'object'
+          ? `${
+              first(queryInput, 'valueRequired', resolve) ? 'required ' : ''
+            }name=${first(queryInput, 'valueName', resolve)}`
+          : queryInput || '';
+      if (!placeholder || !queryInputText.includes(`name=${placeholder[1]}`)) {
+        gaps.blocking.push(
+          `potentialAction.query-input ("required name=${
+            placeholder ? placeholder[1] : 'search_term_string'
+          }")`
+        );
+      }
+    },
+  },
+];
+
+// Evaluate every rich result feature against the entity graph. Features with
+// candidate entities report whether the best candidate qualifies, along with
+// blocking gaps (required to qualify) and optional gaps (enhancements).
+// invalidProperties comes from validateStructuredData, so that a required
+// value Google cannot read ("$10" as a price) blocks like a missing one.
+export function evaluateRichResults(graph, invalidProperties = new WeakMap()) {
+  const objects = collectTypedObjects(graph);
+  const isInvalid = (entity, property) =>
+    Boolean(
+      entity &&
+        typeof entity === 'object' &&
+        invalidProperties.get(entity)?.has(property)
+    );
+
+  return FEATURES.map((feature) => {
+    const candidates = objects.filter(
+      (object) =>
+        feature.types.some((type) => isA(object.data, type)) &&
+        (!feature.applies || feature.applies(object.data, graph.resolve))
+    );
+
+    if (candidates.length === 0) {
+      return {
+        feature: feature.id,
+        name: feature.name,
+        detected: false,
+        eligible: false,
+        blocking: [],
+        optional: [],
+      };
+    }
+
+    const evaluated = candidates.map((candidate) => {
+      const gaps = { blocking: [], optional: [] };
+      feature.check(candidate.data, graph.resolve, gaps, isInvalid);
+      return { candidate, gaps };
+    });
+    evaluated.sort(
+      (a, b) =>
+        a.gaps.blocking.length - b.gaps.blocking.length ||
+        a.gaps.optional.length - b.gaps.optional.length
+    );
+    const best = evaluated[0];
+
+    return {
+      feature: feature.id,
+      name: feature.name,
+      detected: true,
+      eligible: best.gaps.blocking.length === 0,
+      candidates: candidates.length,
+      source: best.candidate.source,
+      block: best.candidate.block,
+      path: best.candidate.path,
+      blocking: best.gaps.blocking,
+      optional: best.gaps.optional,
+    };
+  });
+}
@@ -0,0 +1,447 @@
+// src/schema/schema-types.js - Property rules for the schema.org types we validate
+
+// Value types understood by the validator. Anything else in an `expects` list
+// is treated as the name of a nested schema.org type defined below.
+export const VALUE_TYPES = [
+  'Text',
+  'URL',
+  'Date',
+  'Number',
+  'Integer',
+  'Boolean',
+  'Duration',
+  'Currency',
+];
+
+// Enumerations Google checks against schema.org member URLs
+export const ENUMERATIONS = {
+  ItemAvailability: [
+    'BackOrder',
+    'Discontinued',
+    'InStock',
+    'InStoreOnly',
+    'LimitedAvailability',
+    'OnlineOnly',
+    'OutOfStock',
+    'PreOrder',
+    'PreSale',
+    'SoldOut',
+  ],
+  OfferItemCondition: [
+    'DamagedCondition',
+    'NewCondition',
+    'RefurbishedCondition',
+    'UsedCondition',
+  ],
+  EventStatusType: [
+    'EventCancelled',
+    'EventMovedOnline',
+    'EventPostponed',
+    'EventRescheduled',
+    'EventScheduled',
+  ],
+  EventAttendanceModeEnumeration: [
+    'MixedEventAttendanceMode',
+    'OfflineEventAttendanceMode',
+    'OnlineEventAttendanceMode',
+  ],
+};
+
+// Each type lists required and recommended properties plus the expected value
+// types of the properties we know how to check. `extends` pulls in the rules
+// of the parent type, `requiredOneOf` lists groups where at least one property
+// of the group must be present.
+export const SCHEMA_TYPES = {
+  Thing: {
+    properties: {
+      name: ['Text'],
+      description: ['Text'],
+      url: ['URL'],
+      image: ['URL', 'ImageObject'],
+      sameAs: ['URL'],
+    },
+  },
+
+  Organization: {
+    extends: 'Thing',
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs'],
+    properties: {
+      logo: ['URL', 'ImageObject'],
+      address: ['PostalAddress', 'Text'],
+      telephone: ['Text'],
+      email: ['Text'],
+      contactPoint: ['ContactPoint'],
+    },
+  },
+
+  LocalBusiness: {
+    extends: 'Organization',
+    required: ['name', 'address'],
+    recommended: ['telephone', 'openingHoursSpecification', 'geo', 'image'],
+    properties: {
+      address: ['PostalAddress'],
+      geo: ['GeoCoordinates'],
+      openingHoursSpecification: ['OpeningHoursSpecification'],
+      priceRange: ['Text'],
+      aggregateRating: ['AggregateRating'],
+      review: ['Review'],
+    },
+  },
+  // The LocalBusiness subtypes sites use most, so their entities get the
+  // LocalBusiness rules rather than none
+  FoodEstablishment: { extends: 'LocalBusiness' },
+  Restaurant: { extends: 'FoodEstablishment' },
+  CafeOrCoffeeShop: { extends: 'FoodEstablishment' },
+  BarOrPub: { extends: 'FoodEstablishment' },
+  Bakery: { extends: 'FoodEstablishment' },
+  Store: { extends: 'LocalBusiness' },
+  ClothingStore: { extends: 'Store' },
+  ElectronicsStore: { extends: 'Store' },
+  GroceryStore: { extends: 'Store' },
+  BookStore: { extends: 'Store' },
+  MedicalBusiness: { extends: 'LocalBusiness' },
+  Dentist: { extends: 'MedicalBusiness' },
+  MedicalClinic: { extends: 'MedicalBusiness' },
+  Physician: { extends: 'MedicalBusiness' },
+  ProfessionalService: { extends: 'LocalBusiness' },
+  LegalService: { extends: 'LocalBusiness' },
+  Attorney: { extends: 'LegalService' },
+  FinancialService: { extends: 'LocalBusiness' },
+  RealEstateAgent: { extends: 'LocalBusiness' },
+  HealthAndBeautyBusiness: { extends: 'LocalBusiness' },
+  HomeAndConstructionBusiness: { extends: 'LocalBusiness' },
+  AutomotiveBusiness: { extends: 'LocalBusiness' },
+  AutoRepair: { extends: 'AutomotiveBusiness' },
+  LodgingBusiness: { extends: 'LocalBusiness' },
+  Hotel: { extends: 'LodgingBusiness' },
+
+  Product: {
+    extends: 'Thing',
+    required: ['name'],
+    requiredOneOf: [['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'sku', 'brand'],
+    properties: {
+      offers: ['Offer', 'AggregateOffer'],
+      review: ['Review'],
+      aggregateRating: ['AggregateRating'],
+      brand: ['Brand', 'Organization', 'Text'],
+      sku: ['Text'],
+      gtin: ['Text'],
+      mpn: ['Text'],
+    },
+  },
+
+  Article: {
+    extends: 'Thing',
+    required: ['headline'],
+    recommended: ['image', 'datePublished', 'dateModified', 'author'],
+    properties: {
+      headline: ['Text'],
+      // schema.org also accepts a plain name
+      author: ['Person', 'Organization', 'Text'],
+      publisher: ['Organization', 'Person'],
+      datePublished: ['Date'],
+      dateModified: ['Date'],
+    },
+    maxLength: { headline: 110 },
+  },
+  NewsArticle: { extends: 'Article' },
+  BlogPosting: { extends: 'Article' },
+  TechArticle: { extends: 'Article' },
+
+  WebPage: {
+    extends: 'Thing',
+    recommended: ['name', 'description', 'url'],
+    properties: {
+      breadcrumb: ['BreadcrumbList', 'Text'],
+      datePublished: ['Date'],
+      dateModified: ['Date'],
+      mainEntity: ['Thing'],
+    },
+  },
+  AboutPage: { extends: 'WebPage' },
+  ContactPage: { extends: 'WebPage' },
+  CollectionPage: { extends: 'WebPage' },
+  ItemPage: { extends: 'WebPage' },
+
+  FAQPage: {
+    extends: 'WebPage',
+    required: ['mainEntity'],
+    // WebPage's name, description and url add nothing to an FAQ result
+    recommended: [],
+    properties: {
+      mainEntity: ['Question'],
+    },
+  },
+
+  Event: {
+    extends: 'Thing',
+    required: ['name', 'startDate', 'location'],
+    recommended: [
+      'endDate',
+      'eventStatus',
+      'eventAttendanceMode',
+      'image',
+      'description',
+      'offers',
+      'organizer',
+      'performer',
+    ],
+    properties: {
+      startDate: ['Date'],
+      endDate: ['Date'],
+      location: ['Place', 'VirtualLocation', 'PostalAddress', 'Text'],
+      eventStatus: ['Enum:EventStatusType'],
+      eventAttendanceMode: ['Enum:EventAttendanceModeEnumeration'],
+      offers: ['Offer', 'AggregateOffer'],
+      organizer: ['Organization', 'Person'],
+      performer: ['Person', 'Organization'],
+    },
+  },
+
+  Recipe: {
+    extends: 'Thing',
+    required: ['name', 'image'],
+    recommended: [
+      'author',
+      'datePublished',
+      'description',
+      'prepTime',
+      'cookTime',
+      'totalTime',
+      'recipeYield',
+      'recipeIngredient',
+      'recipeInstructions',
+      'nutrition',
+    ],
+    properties: {
+      author: ['Person', 'Organization', 'Text'],
+      datePublished: ['Date'],
+      prepTime: ['Duration'],
+      cookTime: ['Duration'],
+      totalTime: ['Duration'],
+      recipeYield: ['Text'],
+      recipeIngredient: ['Text'],
+      recipeInstructions: ['HowToStep', 'HowToSection', 'Text'],
+      nutrition: ['NutritionInformation'],
+      aggregateRating: ['AggregateRating'],
+      review: ['Review'],
+    },
+  },
+
+  Review: {
+    extends: 'Thing',
+    required: ['author', 'reviewRating'],
+    recommended: ['itemReviewed', 'datePublished', 'reviewBody'],
+    properties: {
+      author: ['Person', 'Organization', 'Text'],
+      reviewRating: ['Rating'],
+      itemReviewed: ['Thing'],
+      datePublished: ['Date'],
+      reviewBody: ['Text'],
+    },
+  },
+
+  // Nested types used as property values
+  Offer: {
+    required: ['price', 'priceCurrency'],
+    recommended: ['availability', 'url'],
+    properties: {
+      price: ['Number'],
+      priceCurrency: ['Currency'],
+      availability: ['Enum:ItemAvailability'],
+      itemCondition: ['Enum:OfferItemCondition'],
+      priceValidUntil: ['Date'],
+      validFrom: ['Date'],
+      url: ['URL'],
+    },
+  },
+  AggregateOffer: {
+    required: ['lowPrice', 'priceCurrency'],
+    recommended: ['highPrice', 'offerCount'],
+    properties: {
+      lowPrice: ['Number'],
+      highPrice: ['Number'],
+      priceCurrency: ['Currency'],
+      offerCount: ['Integer'],
+    },
+  },
+  AggregateRating: {
+    required: ['ratingValue'],
+    requiredOneOf: [['ratingCount', 'reviewCount']],
+    properties: {
+      ratingValue: ['Number'],
+      ratingCount: ['Integer'],
+      reviewCount: ['Integer'],
+      bestRating: ['Number'],
+      worstRating: ['Number'],
+    },
+  },
+  Rating: {
+    required: ['ratingValue'],
+    properties: {
+      ratingValue: ['Number'],
+      bestRating: ['Number'],
+      worstRating: ['Number'],
+    },
+  },
+  PostalAddress: {
+    recommended: [
+      'streetAddress',
+      'addressLocality',
+      'addressRegion',
+      'postalCode',
+      'addressCountry',
+    ],
+    properties: {
+      streetAddress: ['Text'],
+      addressLocality: ['Text'],
+      addressRegion: ['Text'],
+      postalCode: ['Text'],
+      addressCountry: ['Text', 'Country'],
+    },
+  },
+  Country: {
+    properties: { name: ['Text'] },
+  },
+  GeoCoordinates: {
+    required: ['latitude', 'longitude'],
+    properties: {
+      latitude: ['Number'],
+      longitude: ['Number'],
+    },
+  },
+  OpeningHoursSpecification: {
+    required: ['dayOfWeek', 'opens', 'closes'],
+    properties: {
+      dayOfWeek: ['Text', 'URL'],
+      opens: ['Text'],
+      closes: ['Text'],
+    },
+  },
+  ContactPoint: {
+    recommended: ['telephone', 'contactType'],
+    properties: {
+      telephone: ['Text'],
+      contactType: ['Text'],
+      email: ['Text'],
+    },
+  },
+  Person: {
+    extends: 'Thing',
+    required: ['name'],
+  },
+  Brand: {
+    extends: 'Thing',
+    required: ['name'],
+  },
+  ImageObject: {
+    extends: 'Thing',
+    requiredOneOf: [['url', 'contentUrl']],
+    properties: {
+      contentUrl: ['URL'],
+      width: ['Integer', 'Text'],
+      height: ['Integer', 'Text'],
+    },
+  },
+  Place: {
+    extends: 'Thing',
+    required: ['address'],
+    properties: {
+      address: ['PostalAddress', 'Text'],
+      geo: ['GeoCoordinates'],
+    },
+  },
+  VirtualLocation: {
+    required: ['url'],
+    properties: { url: ['URL'] },
+  },
+  Question: {
+    required: ['name', 'acceptedAnswer'],
+    properties: {
+      name: ['Text'],
+      acceptedAnswer: ['Answer'],
+    },
+  },
+  Answer: {
+    required: ['text'],
+    properties: { text: ['Text'] },
+  },
+  HowToStep: {
+    required: ['text'],
+    properties: { text: ['Text'], name: ['Text'] },
+  },
+  HowToSection: {
+    required: ['itemListElement'],
+    properties: { itemListElement: ['HowToStep'] },
+  },
+  NutritionInformation: {
+    recommended: ['calories'],
+    properties: { calories: ['Text'] },
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    properties: { itemListElement: ['ListItem'] },
+  },
+  ListItem: {
+    required: ['position'],
+    recommended: ['name', 'item'],
+    properties: {
+      position: ['Integer'],
+      name: ['Text'],
+      item: ['URL', 'Thing'],
+    },
+  },
+};
+
+// Types reported in the README as supported top-level entities
+export const TOP_LEVEL_TYPES = [
+  'Organization',
+  'LocalBusiness',
+  'Product',
+  'Article',
+  'WebPage',
+  'FAQPage',
+  'Event',
+  'Recipe',
+  'Review',
+];
+
+// Resolve a type with its inherited rules merged in, or null if unknown
+export function getTypeDefinition(typeName) {
+  const own = SCHEMA_TYPES[typeName];
+  if (!own) return null;
+
+  const parent = own.extends ? getTypeDefinition(own.extends) : null;
+  if (!parent) {
+    return {
+      name: typeName,
+      ancestors: [typeName],
+      required: own.required || [],
+      requiredOneOf: own.requiredOneOf || [],
+      recommended: own.recommended || [],
+      properties: { ...own.properties },
+      maxLength: { ...own.maxLength },
+    };
+  }
+
+  return {
+    name: typeName,
+    ancestors: [typeName, ...parent.ancestors],
+    // Required/recommended lists are overridden rather than merged so that a
+    // subtype can relax its parent's requirements
+    required: own.required || parent.required,
+    requiredOneOf: own.requiredOneOf || parent.requiredOneOf,
+    recommended: own.recommended || parent.recommended,
+    properties: { ...parent.properties, ...own.properties },
+    maxLength: { ...parent.maxLength, ...own.maxLength },
+  };
+}
+
+// Whether `typeName` is `expected` or one of its subtypes
+export function isSubtypeOf(typeName, expected) {
+  if (typeName === expected || expected === 'Thing') return true;
+  const definition = getTypeDefinition(typeName);
+  return definition ? definition.ancestors.includes(expected) : false;
+}
@@ -0,0 +1,26 @@
+// src/schema/schema-utils.js - Helpers shared by the structured data extractors and validator
+
+// Strip schema.org prefixes from a type or enumeration value
+export function normalizeSchemaName(name) {
+  if (typeof name !== 'string') return null;
+  return name.replace(/^(https?:\/\/schema\.org\/|schema:)/i, '').trim();
+}
+
+// Return the list of @type names of an entity without prefixes
+export function getEntityTypes(entity) {
+  if (!entity || typeof entity !== 'object') return [];
+  const raw = entity['@type'];
+  const types = Array.isArray(raw) ? raw : raw ? [raw] : [];
+  return types.map(normalizeSchemaName).filter(Boolean);
+}
+
+// A value that only points at another node, e.g. { "@id": "#organization" }
+export function isReference(value) {
+  return (
+    !!value &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 1 &&
+    typeof value['@id'] === 'string'
+  );
+}
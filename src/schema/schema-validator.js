@@ -0,0 +1,457 @@
+// src/schema/schema-validator.js - Validates schema.org entities against SCHEMA_TYPES
+import {
+  ENUMERATIONS,
+  VALUE_TYPES,
+  getTypeDefinition,
+  isSubtypeOf,
+} from './schema-types.js';
+import {
+  getEntityTypes,
+  isReference,
+  normalizeSchemaName,
+} from './schema-utils.js';
+import { buildEntityGraph } from './entity-graph.js';
+
+const MAX_DEPTH = 10;
+
+// Human readable names for value type errors
+const VALUE_TYPE_LABELS = {
+  Text: 'text',
+  URL: 'an absolute URL',
+  Date: 'an ISO 8601 date',
+  Number: 'a number',
+  Integer: 'a whole number',
+  Boolean: 'true or false',
+  Duration: 'an ISO 8601 duration (e.g. PT30M)',
+  Currency: 'a 3-letter ISO 4217 currency code',
+};
+
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_DURATION =
+  /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+
+const VALUE_CHECKS = {
+  Text: (value) => typeof value === 'string' || typeof value === 'number',
+  URL: (value) => {
+    if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) {
+      return false;
+    }
+    try {
+      new URL(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+  Date: (value) =>
+    typeof value === 'string' &&
+    ISO_DATE.test(value) &&
+    !Number.isNaN(Date.parse(value)),
+  Number: (value) =>
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())),
+  Integer: (value) =>
+    Number.isInteger(value) ||
+    (typeof value === 'string' && /^-?\d+$/.test(value.trim())),
+  Boolean: (value) =>
+    typeof value === 'boolean' || value === 'true' || value === 'false',
+  Duration: (value) => typeof value === 'string' && ISO_DURATION.test(value),
+  Currency: (value) => typeof value === 'string' && /^[A-Z]{3}$/.test(value),
+};
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.every(isEmptyValue);
+  return false;
+}
+
+function getProperty(entity, property) {
+  if (property in entity) return entity[property];
+  return entity[`schema:${property}`];
+}
+
+function hasSchemaContext(context) {
+  if (!context) return false;
+  if (typeof context === 'string') return /schema\.org/i.test(context);
+  if (Array.isArray(context)) return context.some(hasSchemaContext);
+  if (typeof context === 'object') {
+    return Object.values(context).some(
+      (value) => typeof value === 'string' && /schema\.org/i.test(value)
+    );
+  }
+  return false;
+}
+
+function propertyName(path) {
+  return path
+    .split('.')
+    .pop()
+    .replace(/\[\d+\]$/, '');
+}
+
+function describeValue(value) {
+  const text = typeof value === 'string' ? `"${value}"` : String(value);
+  return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+}
+
+function describeExpected(expects) {
+  const labels = expects.map((expected) => {
+    if (VALUE_TYPE_LABELS[expected]) return VALUE_TYPE_LABELS[expected];
+    if (expected.startsWith('Enum:')) {
+      return `a schema.org ${expected.slice(5)} value`;
+    }
+    return `${/^[AEIOU]/.test(expected) ? 'an' : 'a'} ${expected} object`;
+  });
+  return labels.length > 1
+    ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+    : labels[0];
+}
+
+function checkPrimitive(value, expected, context) {
+  if (expected.startsWith('Enum:')) {
+    const members = ENUMERATIONS[expected.slice(5)] || [];
+    return members.includes(normalizeSchemaName(value));
+  }
+  if (expected === 'URL' && context.acceptsRelativeUrls) {
+    return isRelativeUrl(value) || VALUE_CHECKS.URL(value);
+  }
+  const check = VALUE_CHECKS[expected];
+  return check ? check(value) : false;
+}
+
+// A path such as /gig or p.jpg, which only an unknown base URL can resolve
+function isRelativeUrl(value) {
+  return (
+    typeof value === 'string' &&
+    value.trim() !== '' &&
+    !/^[a-z][a-z0-9+.-]*:/i.test(value) &&
+    !/\s/.test(value.trim())
+  );
+}
+
+function createIssue(level, impact, message, context, path, schemaType) {
+  return {
+    level,
+    message: `[${schemaType}] ${message} (${context.label}, ${path})`,
+    impact,
+    area: 'Structured Data',
+    path,
+    block: context.block,
+    syntax: context.syntax,
+    schemaType,
+  };
+}
+
+// Validate a single value of `property` against its expected types
+function validateValue(value, expects, path, context, ownerType, depth) {
+  if (value && typeof value === 'object' && '@value' in value) {
+    value = value['@value'];
+  }
+
+  const objectTypes = expects.filter(
+    (expected) =>
+      !VALUE_TYPES.includes(expected) && !expected.startsWith('Enum:')
+  );
+
+  if (value && typeof value === 'object') {
+    // References are validated where the node is defined; here we only check
+    // that the referenced node has an acceptable type
+    if (isReference(value)) {
+      const target = context.resolve(value['@id']);
+      const targetTypes = getEntityTypes(target).filter((type) =>
+        getTypeDefinition(type)
+      );
+      if (
+        objectTypes.length > 0 &&
+        targetTypes.length > 0 &&
+        !targetTypes.some((type) =>
+          objectTypes.some((expected) => isSubtypeOf(type, expected))
+        )
+      ) {
+        context.issues.push(
+          createIssue(
+            'warning',
+            55,
+            `"${propertyName(path)}" references ${targetTypes.join('/')} "${
+              value['@id']
+            }" but should be ${describeExpected(objectTypes)}`,
+            context,
+            path,
+            ownerType
+          )
+        );
+      }
+      return;
+    }
+
+    if (objectTypes.length === 0) {
+      context.issues.push(
+        createIssue(
+          'warning',
+          55,
+          `"${propertyName(path)}" should be ${describeExpected(
+            expects
+          )}, found an object`,
+          context,
+          path,
+          ownerType
+        )
+      );
+      return;
+    }
+
+    // Only flag type mismatches for types we know; schema.org has far more
+    // subtypes than we define rules for
+    const declaredTypes = getEntityTypes(value);
+    if (
+      declaredTypes.some((type) => getTypeDefinition(type)) &&
+      !declaredTypes.some((type) =>
+        objectTypes.some((expected) => isSubtypeOf(type, expected))
+      )
+    ) {
+      context.issues.push(
+        createIssue(
+          'warning',
+          55,
+          `"${propertyName(path)}" should be ${describeExpected(
+            objectTypes
+          )}, found ${declaredTypes.join('/')}`,
+          context,
+          path,
+          ownerType
+        )
+      );
+      return;
+    }
+
+    validateEntity(value, objectTypes[0], path, context, depth + 1);
+    return;
+  }
+
+  if (expects.some((expected) => checkPrimitive(value, expected, context))) {
+    return;
+  }
+
+  context.issues.push(
+    createIssue(
+      'warning',
+      55,
+      `"${propertyName(path)}" should be ${describeExpected(
+        expects
+      )}, found ${describeValue(value)}`,
+      context,
+      path,
+      ownerType
+    )
+  );
+}
+
+// Validate an entity and its nested values, collecting issues in `context`
+function validateEntity(entity, typeHint, path, context, depth = 0) {
+  if (depth > MAX_DEPTH) return;
+
+  const declaredTypes = getEntityTypes(entity);
+  const knownType = declaredTypes.find((type) => getTypeDefinition(type));
+  const typeName = knownType || (declaredTypes.length === 0 ? typeHint : null);
+  const definition = typeName ? getTypeDefinition(typeName) : null;
+
+  if (!definition) return false;
+
+  definition.required.forEach((property) => {
+    if (isEmptyValue(getProperty(entity, property))) {
+      context.issues.push(
+        createIssue(
+          'error',
+          70,
+          `Missing required property "${property}"`,
+          context,
+          `${path}.${property}`,
+          typeName
+        )
+      );
+    }
+  });
+
+  definition.requiredOneOf.forEach((group) => {
+    if (
+      group.every((property) => isEmptyValue(getProperty(entity, property)))
+    ) {
+      context.issues.push(
+        createIssue(
+          'error',
+          70,
+          `Needs at least one of ${group.map((p) => `"${p}"`).join(', ')}`,
+          context,
+          path,
+          typeName
+        )
+      );
+    }
+  });
+
+  definition.recommended.forEach((property) => {
+    if (isEmptyValue(getProperty(entity, property))) {
+      context.issues.push(
+        createIssue(
+          'notice',
+          30,
+          `Missing recommended property "${property}"`,
+          context,
+          `${path}.${property}`,
+          typeName
+        )
+      );
+    }
+  });
+
+  Object.entries(definition.properties).forEach(([property, expects]) => {
+    const value = getProperty(entity, property);
+    if (isEmptyValue(value)) return;
+    const before = context.issues.length;
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (isEmptyValue(item)) return;
+        validateValue(
+          item,
+          expects,
+          `${path}.${property}[${index}]`,
+          context,
+          typeName,
+          depth
+        );
+      });
+    } else {
+      validateValue(
+        value,
+        expects,
+        `${path}.${property}`,
+        context,
+        typeName,
+        depth
+      );
+    }
+
+    // Issues about the value itself, not about properties nested in it
+    const propertyPath = `${path}.${property}`;
+    if (
+      context.issues
+        .slice(before)
+        .some(
+          (issue) =>
+            issue.path === propertyPath ||
+            /^\[\d+\]$/.test(issue.path.slice(propertyPath.length))
+        )
+    ) {
+      if (!context.invalidProperties.has(entity)) {
+        context.invalidProperties.set(entity, new Set());
+      }
+      context.invalidProperties.get(entity).add(property);
+    }
+  });
+
+  Object.entries(definition.maxLength).forEach(([property, max]) => {
+    const value = getProperty(entity, property);
+    if (typeof value === 'string' && value.length > max) {
+      context.issues.push(
+        createIssue(
+          'warning',
+          50,
+          `"${property}" is ${value.length} characters, maximum is ${max}`,
+          context,
+          `${path}.${property}`,
+          typeName
+        )
+      );
+    }
+  });
+
+  return true;
+}
+
+// Validate structured data blocks from extractStructuredData. Blocks are
+// flattened into an entity graph first so that @graph nodes are validated
+// individually and @id references resolve to the node they point at. Returns
+// the entity list, the graph itself and any issues, each issue carrying the
+// JSON path of the offending property, and invalidProperties, which maps
+// each validated object to the names of its properties holding a value of
+// the wrong type or format. options.baseUrl is the document's
+// base URL (see extractStructuredData); without one, the relative URLs of
+// Microdata and RDFa attributes cannot be resolved and are accepted.
+export function validateStructuredData(blocks, options = {}) {
+  const graph = buildEntityGraph(blocks);
+  const issues = [...graph.issues];
+  const invalidProperties = new WeakMap();
+  const validatedPaths = new Set();
+
+  graph.nodes.forEach((node) => {
+    const context = {
+      block: node.block,
+      syntax: node.syntax,
+      label: node.label,
+      resolve: graph.resolve,
+      issues,
+      invalidProperties,
+      acceptsRelativeUrls: !options.baseUrl && node.syntax !== 'json-ld',
+    };
+    const item = node.data;
+    const path = node.path;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      issues.push(
+        createIssue(
+          'error',
+          70,
+          'Structured data must be a JSON object',
+          context,
+          path,
+          'Unknown'
+        )
+      );
+      return;
+    }
+
+    // A graph entry that only points elsewhere has nothing to validate
+    if (isReference(item)) return;
+
+    if (!hasSchemaContext(node.context)) {
+      issues.push(
+        createIssue(
+          'warning',
+          60,
+          'Missing or invalid "@context" - use "https://schema.org"',
+          context,
+          node.inGraph ? '$.@context' : `${path}.@context`,
+          getEntityTypes(item)[0] || 'Unknown'
+        )
+      );
+    }
+
+    if (getEntityTypes(item).length === 0) {
+      issues.push(
+        createIssue(
+          'error',
+          70,
+          'Missing "@type" - search engines cannot tell what this entity is',
+          context,
+          `${path}.@type`,
+          'Unknown'
+        )
+      );
+    }
+
+    if (validateEntity(item, null, path, context)) {
+      validatedPaths.add(`${node.block}:${path}`);
+    }
+  });
+
+  const entities = graph.entities.map((entity) => ({
+    ...entity,
+    validated:
+      entity.nested || validatedPaths.has(`${entity.block}:${entity.path}`),
+  }));
+
+  return { entities, issues, graph, invalidProperties };
+}
@@ -0,0 +1,71 @@
+// src/schema/structured-data.js - Collects structured data from every syntax into one entity model
+import { extractJsonLd } from './extractors/json-ld.js';
+import { extractMicrodata } from './extractors/microdata.js';
+import { extractRdfa } from './extractors/rdfa.js';
+import { documentBaseUrl } from '../utils/url-utils.js';
+
+export const SYNTAX_LABELS = {
+  'json-ld': 'JSON-LD block',
+  microdata: 'Microdata item',
+  rdfa: 'RDFa item',
+};
+
+const EXTRACTORS = {
+  'json-ld': extractJsonLd,
+  microdata: extractMicrodata,
+  rdfa: extractRdfa,
+};
+
+// Extract JSON-LD, Microdata and RDFa. Microdata and RDFa are converted to the
+// same JSON-LD shaped objects so that validation and reporting treat all
+// syntaxes alike. Each block records its syntax and its index within it.
+// options.pageUrl, with any <base href>, gives the base URL that Microdata
+// and RDFa URL values are resolved against; baseUrl is null without one.
+export function extractStructuredData($, options = {}) {
+  const blocks = [];
+  const errors = [];
+  const baseUrl = documentBaseUrl($, options.pageUrl);
+
+  Object.entries(EXTRACTORS).forEach(([syntax, extract]) => {
+    const result = extract($, { baseUrl });
+    result.items.forEach((item, index) => {
+      blocks.push({
+        syntax,
+        index,
+        label: `${SYNTAX_LABELS[syntax]} ${index + 1}`,
+        data: item.data,
+        element: item.element,
+      });
+    });
+    result.errors.forEach((error) => errors.push({ syntax, ...error }));
+  });
+
+  return { blocks, errors, baseUrl };
+}
+
+// Number of blocks found per syntax
+export function countBySyntax(blocks) {
+  const counts = { 'json-ld': 0, microdata: 0, rdfa: 0 };
+  blocks.forEach((block) => {
+    counts[block.syntax]++;
+  });
+  return counts;
+}
+
+// The first dateModified in the blocks, searching breadth-first so that the
+// page's own entity wins over nested ones (e.g. a review inside a product)
+export function findDateModified(blocks) {
+  const queue = blocks.map((block) => block.data);
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (!value || typeof value !== 'object') continue;
+    if (Array.isArray(value)) {
+      queue.push(...value);
+      continue;
+    }
+    const date = [].concat(value.dateModified)[0];
+    if (typeof date === 'string' && date.trim()) return date.trim();
+    queue.push(...Object.values(value));
+  }
+  return null;
+}
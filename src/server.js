@@ -11,17 +11,52 @@ import path from 'path';
 // Import your analyzer modules
 import { analyzeHtml } from './analyzers/html-analyzer.js';
 import { detectTargetKeywords } from './analyzers/keyword-analyzer.js';
+import { checkHreflangReciprocity } from './analyzers/hreflang-analyzer.js';
+import { inspectSocialImage } from './analyzers/social-analyzer.js';
+import { inspectLocalImages } from './analyzers/image-analyzer.js';
+import { analyzeRenderedPage } from './analyzers/rendered-analyzer.js';
+import { analyzeRenderComparison } from './analyzers/render-comparison.js';
+import { crawlSite } from './crawler/site-crawler.js';
+import {
+  isAllowedByRobots,
+  lintRobotsTxt,
+  loadRobotsTxt,
+  parseRobotsTxt,
+} from './robots/robots-txt.js';
+import { checkDuplicateContent } from './analyzers/duplicate-analyzer.js';
+import { analyzeLinkGraph } from './analyzers/link-graph-analyzer.js';
+import { checkBrokenLinks } from './analyzers/broken-link-analyzer.js';
+import { checkRobotsTxtBlocking } from './analyzers/robots-analyzer.js';
+import { describeDirectives } from './robots/robots-meta.js';
+import { fixHtml, FIXABLE_RULES } from './fixers/html-fixer.js';
+import { generateSitemap } from './sitemap/sitemap-generator.js';
+import { validateSitemaps } from './sitemap/sitemap-validator.js';
 import { findHtmlFiles } from './utils/file-utils.js';
+import { createUnifiedDiff } from './utils/diff-utils.js';
+import {
+  ConfigError,
+  findProjectConfig,
+  loadProjectConfig,
+  resolveRuleConfig,
+} from './config/project-config.js';
+import { applyRuleConfig, applySuppressions } from './rules/index.js';
+import { filePathToUrl } from './utils/url-utils.js';
 import {
   formatAnalysisResult,
   formatDirectoryAnalysisResults,
+  formatCrawlSummary,
+  formatIssueLocation,
+  formatRenderComparison,
+  formatRobotsTest,
+  formatSitemap,
+  formatSitemapValidation,
 } from './formatters/text-formatter.js';
 
 // Define the SEO tool
 const SEO_ANALYZER_TOOL = {
   name: 'analyzeSEO',
   description:
-    'ALWAYS USE THIS TOOL FOR SEO ANALYSIS. DO NOT ATTEMPT TO ANALYZE SEO WITHOUT USING THIS TOOL.',
+    'ALWAYS USE THIS TOOL FOR SEO ANALYSIS. DO NOT ATTEMPT TO ANALYZE SEO WITHOUT USING THIS TOOL. Provide either HTML content, a directory path, or a URL to render for client-side apps.',
   inputSchema: {
     type: 'object',
     properties: {
@@ -29,8 +64,216 @@ const SEO_ANALYZER_TOOL = {
         type: 'string',
         description: 'HTML content to analyze',
       },
+      directoryPath: {
+        type: 'string',
+        description:
+          'Path to a directory whose HTML files should be analyzed together',
+      },
+      url: {
+        type: 'string',
+        description:
+          'Local HTML file or localhost URL to render in headless Chromium before analysis, for client-side rendered apps',
+      },
+      waitForSelector: {
+        type: 'string',
+        description:
+          'With url: CSS selector to wait for after the network is idle (optional)',
+      },
+      timeout: {
+        type: 'number',
+        description:
+          'With url: milliseconds to wait for the page to render (optional, default 30000)',
+      },
+      compareRendered: {
+        type: 'boolean',
+        description:
+          'With url: report what differs between the raw HTML and the rendered DOM instead of a single analysis (optional)',
+      },
+      siteUrl: {
+        type: 'string',
+        description:
+          'Site origin (e.g. https://example.com) used to tell internal from external links (optional)',
+      },
+      reportUnusedSuppressions: {
+        type: 'boolean',
+        description:
+          'List seo-inspector-disable comments that did not suppress any issue (optional)',
+      },
+      detailPages: {
+        type: 'array',
+        items: { type: 'string' },
+        description:
+          'Pages to include the full per-page analysis for, by relative path (or URL path when crawling); ["*"] for all (optional)',
+      },
+    },
+  },
+};
+
+// Define the auto-fix tool
+const SEO_FIX_TOOL = {
+  name: 'fixSEO',
+  description:
+    'Apply automatic SEO fixes (missing head tags, title and description length, alt attributes, WebPage JSON-LD) to an HTML file or HTML content. Returns a unified diff; the file is only changed when write is true.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      filePath: {
+        type: 'string',
+        description: 'Path of the HTML file to fix',
+      },
+      html: {
+        type: 'string',
+        description: 'HTML content to fix, when no file path is given',
+      },
+      rules: {
+        type: 'array',
+        items: { type: 'string' },
+        description: `Rule ids to fix (optional, defaults to all of: ${FIXABLE_RULES.join(
+          ', '
+        )})`,
+      },
+      pageUrl: {
+        type: 'string',
+        description:
+          'Public URL of the page, used for the canonical link and og:url (optional)',
+      },
+      write: {
+        type: 'boolean',
+        description:
+          'Write the fixed HTML back to filePath instead of only returning the diff (optional)',
+      },
+    },
+  },
+};
+
+// Define the crawler tool
+const SEO_CRAWL_TOOL = {
+  name: 'crawlSite',
+  description:
+    'Crawl a local development server from a localhost URL, following same-origin links breadth-first, and analyze every HTML page it serves. Use this for apps whose routes are generated at request time.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      startUrl: {
+        type: 'string',
+        description: 'localhost URL to start from, e.g. http://localhost:3000/',
+      },
+      maxDepth: {
+        type: 'number',
+        description:
+          'Maximum number of clicks from the start page (optional, default 3)',
+      },
+      maxPages: {
+        type: 'number',
+        description:
+          'Maximum number of pages to analyze (optional, default 50)',
+      },
+      respectRobots: {
+        type: 'boolean',
+        description:
+          'Skip URLs disallowed by robots.txt (optional, default true)',
+      },
+      reportUnusedSuppressions: {
+        type: 'boolean',
+        description:
+          'List seo-inspector-disable comments that did not suppress any issue (optional)',
+      },
+      detailPages: {
+        type: 'array',
+        items: { type: 'string' },
+        description:
+          'Pages to include the full per-page analysis for, by relative path (or URL path when crawling); ["*"] for all (optional)',
+      },
+    },
+    required: ['startUrl'],
+  },
+};
+
+// Define the sitemap tool
+const SEO_SITEMAP_TOOL = {
+  name: 'generateSitemap',
+  description:
+    'Generate sitemap.xml for a directory of built HTML files. Pages marked noindex or canonicalized to another URL are left out; lastmod comes from dateModified in structured data or the file modification time. Above 50,000 URLs a sitemap index is generated.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      directoryPath: {
+        type: 'string',
+        description: 'Path of the build directory',
+      },
+      baseUrl: {
+        type: 'string',
+        description: 'Public URL of the site, e.g. https://example.com',
+      },
+      includeImages: {
+        type: 'boolean',
+        description:
+          'Add image:image entries for the images on each page (optional)',
+      },
+      write: {
+        type: 'boolean',
+        description:
+          'Write the sitemap files into the directory instead of only returning them (optional)',
+      },
+    },
+    required: ['directoryPath', 'baseUrl'],
+  },
+};
+
+// Define the sitemap validation tool
+const SEO_SITEMAP_VALIDATION_TOOL = {
+  name: 'validateSitemap',
+  description:
+    'Validate the sitemap.xml (or sitemap index, plain or .gz) of a build directory against the sitemaps.org protocol and its limits, and compare it with the HTML pages: URLs without a file, noindex or non-canonical URLs, and indexable pages missing from the sitemap.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      directoryPath: {
+        type: 'string',
+        description: 'Path of the build directory',
+      },
+      sitemapPath: {
+        type: 'string',
+        description:
+          'Sitemap to check, relative to the directory (optional, defaults to the ones named in robots.txt, else sitemap.xml)',
+      },
+      siteUrl: {
+        type: 'string',
+        description:
+          'Public URL of the site, e.g. https://example.com (optional, defaults to the origin of the first listed URL)',
+      },
+    },
+    required: ['directoryPath'],
+  },
+};
+
+// Define the robots.txt testing tool
+const SEO_ROBOTS_TOOL = {
+  name: 'testRobotsTxt',
+  description:
+    'Test whether robots.txt lets a crawler fetch a URL, with the rule and group that decide it, and lint the file for syntax errors, typos, unsupported directives and rules that block the whole site. Provide either the robots.txt content or a build directory containing robots.txt.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      url: {
+        type: 'string',
+        description: 'URL or path to test, e.g. https://example.com/blog/',
+      },
+      userAgent: {
+        type: 'string',
+        description:
+          'Crawler to test as, e.g. Googlebot (optional, default "*")',
+      },
+      robotsTxt: {
+        type: 'string',
+        description: 'Content of the robots.txt file',
+      },
+      directoryPath: {
+        type: 'string',
+        description: 'Build directory with robots.txt at its root',
+      },
     },
-    required: ['html'],
+    required: ['url'],
   },
 };
 
@@ -49,7 +292,14 @@ const server = new Server(
 
 // Handle tool listing requests
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
-  tools: [SEO_ANALYZER_TOOL],
+  tools: [
+    SEO_ANALYZER_TOOL,
+    SEO_FIX_TOOL,
+    SEO_CRAWL_TOOL,
+    SEO_SITEMAP_TOOL,
+    SEO_SITEMAP_VALIDATION_TOOL,
+    SEO_ROBOTS_TOOL,
+  ],
 }));
 
 // Handle tool call requests
@@ -68,7 +318,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         try {
           // Use your analyzer module
           console.error('⭐ Calling analyzeHtml...');
-          const analysis = analyzeHtml(html, 'Provided HTML');
+          const analysis = analyzeHtml(html, 'Provided HTML', {
+            siteUrl: request.params.arguments.siteUrl,
+            reportUnusedSuppressions:
+              request.params.arguments.reportUnusedSuppressions,
+          });
           console.error('⭐ Analysis complete');
 
           // Format the response
@@ -104,6 +358,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         console.error(`⭐ Analyzing directory: ${directoryPath}`);
 
         try {
+          // Project settings from .seoinspectorrc.json or package.json
+          const projectConfig = await loadProjectConfig(directoryPath);
+          if (projectConfig.source) {
+            console.error(`⭐ Using config: ${projectConfig.source}`);
+          }
+
           // Use our file utils module
           const htmlFiles = await findHtmlFiles(directoryPath);
 
@@ -120,6 +380,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
           // Analyze each HTML file
           const results = [];
+          const ruleConfigs = new Map();
+          const reportUnusedSuppressions =
+            request.params.arguments.reportUnusedSuppressions !== undefined
+              ? request.params.arguments.reportUnusedSuppressions
+              : projectConfig.config.reportUnusedSuppressions;
 
           for (const file of htmlFiles) {
             try {
@@ -127,17 +392,73 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
               const relativePath = path.relative(directoryPath, file);
 
               // Use your analyzer module
-              const analysis = analyzeHtml(content, relativePath);
+              const siteUrl = request.params.arguments.siteUrl;
+              const ruleConfig = resolveRuleConfig(
+                projectConfig.config,
+                relativePath
+              );
+              const analysis = analyzeHtml(content, relativePath, {
+                siteUrl,
+                pageUrl: siteUrl
+                  ? filePathToUrl(siteUrl, relativePath)
+                  : undefined,
+                ruleConfig,
+                reportUnusedSuppressions,
+              });
+              const assetContext = {
+                rootDir: directoryPath,
+                filePath: file,
+                siteUrl,
+              };
+              await inspectSocialImage(analysis, assetContext);
+              await inspectLocalImages(analysis, assetContext);
               results.push(analysis);
+              ruleConfigs.set(analysis, ruleConfig);
             } catch (error) {
               console.error(`Error analyzing ${file}:`, error);
             }
           }
 
+          // Cross-page checks
+          await checkBrokenLinks(results, {
+            rootDir: directoryPath,
+            siteUrl: request.params.arguments.siteUrl,
+          });
+          checkHreflangReciprocity(results);
+          const duplicates = checkDuplicateContent(results);
+          const linkGraph = analyzeLinkGraph(results, {
+            ruleConfigs,
+            siteUrl: request.params.arguments.siteUrl,
+          });
+          const robotsTxt = await loadRobotsTxt(directoryPath);
+          if (robotsTxt) {
+            robotsTxt.blocked = checkRobotsTxtBlocking(
+              results,
+              robotsTxt.robots,
+              { siteUrl: request.params.arguments.siteUrl }
+            );
+          }
+
+          // The checks above add issues after the rules ran, so apply the
+          // config and the pages' suppression comments to them too
+          results.forEach((result) => {
+            result.issues = applyRuleConfig(
+              result.issues,
+              ruleConfigs.get(result)
+            );
+            applySuppressions(result);
+          });
+
           // Use our formatter module
           const formattedResult = formatDirectoryAnalysisResults(
             results,
-            directoryPath
+            directoryPath,
+            {
+              duplicates,
+              linkGraph,
+              robotsTxt,
+              detailPages: request.params.arguments.detailPages,
+            }
           );
 
           console.error('⭐ SENDING RESPONSE');
@@ -151,6 +472,17 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           };
         } catch (error) {
           console.error('⭐ Error analyzing directory:', error);
+          if (error instanceof ConfigError) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `${error.message}\n\nFix the config file and run the analysis again.`,
+                },
+              ],
+              isError: true,
+            };
+          }
           return {
             content: [
               {
@@ -161,12 +493,69 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             isError: true,
           };
         }
+      }
+      // Handle rendered-DOM analysis of a client-side app
+      else if (request.params.arguments.url) {
+        const { url, siteUrl, waitForSelector, timeout, compareRendered } =
+          request.params.arguments;
+        console.error(`⭐ Rendering: ${url}`);
+
+        try {
+          if (compareRendered) {
+            const comparison = await analyzeRenderComparison(url, {
+              siteUrl,
+              waitForSelector,
+              timeout,
+            });
+            console.error('⭐ SENDING RESPONSE');
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: formatRenderComparison(comparison),
+                },
+              ],
+            };
+          }
+
+          const analysis = await analyzeRenderedPage(url, {
+            siteUrl,
+            waitForSelector,
+            timeout,
+            reportUnusedSuppressions:
+              request.params.arguments.reportUnusedSuppressions,
+          });
+          console.error(
+            `⭐ Rendered in ${analysis.rendering.renderTime}ms, analysis complete`
+          );
+
+          console.error('⭐ SENDING RESPONSE');
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatAnalysisForDisplay(analysis),
+              },
+            ],
+          };
+        } catch (renderError) {
+          console.error('⭐ ERROR rendering page:', renderError);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error rendering ${url}: ${renderError.message}`,
+              },
+            ],
+            isError: true,
+          };
+        }
       } else {
         return {
           content: [
             {
               type: 'text',
-              text: 'Please provide either HTML content or a directory path to analyze.',
+              text: 'Please provide HTML content, a directory path or a URL to analyze.',
             },
           ],
         };
@@ -184,8 +573,356 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
   }
+
+  if (request.params.name === 'crawlSite') {
+    try {
+      const { startUrl, maxDepth, maxPages, respectRobots } =
+        request.params.arguments;
+      console.error(`⭐ Crawling: ${startUrl}`);
+
+      const crawl = await crawlSite(startUrl, {
+        maxDepth,
+        maxPages,
+        respectRobots,
+        reportUnusedSuppressions:
+          request.params.arguments.reportUnusedSuppressions,
+      });
+      console.error(
+        `⭐ Crawled ${crawl.pages.length} URL(s), analyzed ${crawl.results.length}`
+      );
+
+      // Same cross-page checks as directory mode
+      checkHreflangReciprocity(crawl.results);
+      const duplicates = checkDuplicateContent(crawl.results);
+      crawl.results.forEach((result) => applySuppressions(result));
+
+      const report = [
+        formatCrawlSummary(crawl),
+        crawl.results.length > 0
+          ? formatDirectoryAnalysisResults(crawl.results, crawl.startUrl, {
+              duplicates,
+              detailPages: request.params.arguments.detailPages,
+            })
+          : '',
+      ]
+        .filter(Boolean)
+        .join('\n');
+
+      console.error('⭐ SENDING RESPONSE');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: report,
+          },
+        ],
+      };
+    } catch (error) {
+      console.error('⭐ ERROR:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error crawling site: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (request.params.name === 'generateSitemap') {
+    try {
+      const { directoryPath, baseUrl, includeImages, write } =
+        request.params.arguments;
+      console.error(`⭐ Generating sitemap for: ${directoryPath}`);
+
+      const sitemap = await generateSitemap(directoryPath, {
+        baseUrl,
+        includeImages,
+      });
+      if (sitemap.entries.length === 0 && sitemap.excluded.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No HTML files found in ${directoryPath}`,
+            },
+          ],
+        };
+      }
+
+      let writtenTo = null;
+      if (write) {
+        for (const file of sitemap.files) {
+          await fs.writeFile(
+            path.join(directoryPath, file.name),
+            file.xml,
+            'utf8'
+          );
+        }
+        writtenTo = directoryPath;
+      }
+
+      console.error('⭐ SENDING RESPONSE');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatSitemap(sitemap, { writtenTo }),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error('⭐ ERROR:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error generating sitemap: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (request.params.name === 'validateSitemap') {
+    try {
+      const { directoryPath, sitemapPath, siteUrl } = request.params.arguments;
+      console.error(`⭐ Validating sitemap of: ${directoryPath}`);
+
+      const report = await validateSitemaps(directoryPath, {
+        sitemapPath,
+        siteUrl,
+      });
+
+      console.error('⭐ SENDING RESPONSE');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatSitemapValidation(report, directoryPath),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error('⭐ ERROR:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error validating sitemap: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (request.params.name === 'testRobotsTxt') {
+    try {
+      const {
+        url,
+        userAgent = '*',
+        robotsTxt,
+        directoryPath,
+      } = request.params.arguments;
+
+      let test;
+      if (robotsTxt !== undefined) {
+        test = {
+          robots: parseRobotsTxt(robotsTxt),
+          issues: lintRobotsTxt(robotsTxt),
+          source: 'robots.txt content',
+        };
+      } else if (directoryPath) {
+        const loaded = await loadRobotsTxt(directoryPath);
+        if (!loaded) {
+          throw new Error(`No robots.txt in ${directoryPath}`);
+        }
+        test = { ...loaded, source: loaded.path };
+      } else {
+        throw new Error('Provide robotsTxt content or a directoryPath');
+      }
+      console.error(`⭐ Testing robots.txt for: ${url} as ${userAgent}`);
+
+      const verdict = isAllowedByRobots(test.robots, url, userAgent);
+
+      console.error('⭐ SENDING RESPONSE');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatRobotsTest({ ...test, url, userAgent, verdict }),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error('⭐ ERROR:', error);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error testing robots.txt: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
+
+  if (request.params.name === 'fixSEO') {
+    try {
+      const { filePath, html, rules, pageUrl, write } =
+        request.params.arguments;
+      console.error('⭐ Fixing:', filePath || 'provided HTML');
+
+      if (!filePath && !html) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'Please provide either a file path or HTML content to fix.',
+            },
+          ],
+        };
+      }
+      if (write && !filePath) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: 'write requires a filePath - HTML content can only be returned as a diff.',
+            },
+          ],
+          isError: true,
+        };
+      }
+
+      let source = html;
+      let ruleConfig = {};
+      if (filePath) {
+        source = await fs.readFile(filePath, 'utf8');
+        // Use the project's thresholds so the fixes satisfy its rules
+        const projectConfig = await findProjectConfig(path.dirname(filePath));
+        ruleConfig = resolveRuleConfig(
+          projectConfig.config,
+          projectConfig.directory
+            ? path.relative(projectConfig.directory, path.resolve(filePath))
+            : path.basename(filePath)
+        );
+      }
+
+      const fix = fixHtml(source, { rules, pageUrl, ruleConfig });
+      const name = filePath || 'provided.html';
+      const diff = createUnifiedDiff(source, fix.html, {
+        fromFile: name,
+        toFile: name,
+      });
+
+      if (write && diff) {
+        await fs.writeFile(filePath, fix.html, 'utf8');
+      }
+
+      console.error('⭐ SENDING RESPONSE');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatFixForDisplay(
+              fix,
+              diff,
+              write && diff ? filePath : null
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      console.error('⭐ ERROR:', error);
+      if (error instanceof ConfigError) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `${error.message}\n\nFix the config file and run the fix again.`,
+            },
+          ],
+          isError: true,
+        };
+      }
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error fixing HTML: ${error.message}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+  }
 });
 
+// Summary of an auto-fix run followed by its diff
+function formatFixForDisplay(fix, diff, writtenTo) {
+  let response = `# SEO AUTO-FIX\n\n`;
+
+  if (fix.applied.length > 0) {
+    response += `## APPLIED FIXES\n`;
+    fix.applied.forEach((item) => {
+      response += `- ${item.rule}: ${item.change}\n`;
+    });
+    response += '\n';
+  }
+  if (fix.skipped.length > 0) {
+    response += `## SKIPPED\n`;
+    fix.skipped.forEach((item) => {
+      response += `- ${item.rule}: ${item.reason}\n`;
+    });
+    response += '\n';
+  }
+
+  if (!diff) {
+    response += 'No changes were needed.\n';
+    return response;
+  }
+
+  response += writtenTo
+    ? `Changes written to ${writtenTo}. Search for "TODO" to fill in the placeholders.\n\n`
+    : 'Nothing was written. Apply the diff below, or call fixSEO again with write: true. Search for "TODO" to fill in the placeholders.\n\n';
+  response += '```diff\n' + diff + '```\n';
+  return response;
+}
+
+// Indented source location shown under an issue, empty when it has none
+function formatLocationLine(issue) {
+  const location = formatIssueLocation(issue);
+  return location ? `   ↳ ${location}\n` : '';
+}
+
+// Googlebot's robots directives, then every crawler whose tags differ
+function formatRobotsDirectives(robotsDirectives) {
+  const google = robotsDirectives.crawlers.googlebot;
+  const others = describeDirectives(google).split(', ').slice(2);
+  let text = `${
+    google.noindex
+      ? '**noindex** (page will not be indexed by search engines)'
+      : 'index'
+  }, ${
+    google.nofollow ? '**nofollow** (links will not be followed)' : 'follow'
+  }${others.map((directive) => `, ${directive}`).join('')}`;
+  Object.entries(robotsDirectives.crawlers)
+    .filter(([crawler]) => crawler !== 'googlebot' && crawler !== '*')
+    .forEach(([crawler, effective]) => {
+      const described = describeDirectives(effective);
+      if (described !== describeDirectives(google)) {
+        text += `\n  - ${crawler}: ${described}`;
+      }
+    });
+  return text;
+}
+
 // Format analysis results for display
 function formatAnalysisForDisplay(analysis) {
   try {
@@ -195,7 +932,33 @@ function formatAnalysisForDisplay(analysis) {
     let response = `# SEO ANALYSIS REPORT\n\n`;
 
     // Add confidence indicator for React apps
-    if (analysis.isReactApp) {
+    if (analysis.rendering) {
+      response += `## RENDERED PAGE
+This analysis ran on the DOM after JavaScript executed in headless Chromium, so it reflects the rendered page (confidence ${
+        analysis.confidenceScore
+      }%).
+- URL: ${analysis.rendering.url}${
+        analysis.rendering.status ? ` (HTTP ${analysis.rendering.status})` : ''
+      }
+- Render time: ${analysis.rendering.renderTime}ms, waited for ${
+        analysis.rendering.waitUntil
+      }${
+        analysis.rendering.waitForSelector
+          ? ` and ${analysis.rendering.waitForSelector}`
+          : ''
+      }
+- Page errors: ${analysis.rendering.pageErrors.length}
+${analysis.rendering.pageErrors
+  .slice(0, 10)
+  .map((error) => `  - [${error.type}] ${error.message}`)
+  .join('\n')}${
+        analysis.rendering.pageErrors.length > 10
+          ? `\n  - ...and ${analysis.rendering.pageErrors.length - 10} more`
+          : ''
+      }
+
+Search engines that do not run JavaScript still only see the static HTML.\n\n`;
+    } else if (analysis.isReactApp) {
       response += `## ⚠️ IMPORTANT LIMITATION WARNING ⚠️
 This appears to be a client-side rendered React application. This analysis has a **LOW CONFIDENCE SCORE (${analysis.confidenceScore}%)** because:
 
@@ -242,28 +1005,47 @@ ${
 - Meta Description: "${analysis.metaDescription || 'Missing'}" (${
       analysis.metaDescription ? analysis.metaDescription.length : 0
     } characters)
-- Heading Structure: H1: ${analysis.headingStructure.h1}, H2: ${
-      analysis.headingStructure.h2
-    }, H3: ${analysis.headingStructure.h3}
+- Heading Structure: ${['h1', 'h2', 'h3', 'h4', 'h5', 'h6']
+      .map(
+        (level) =>
+          `${level.toUpperCase()}: ${analysis.headingStructure[level] || 0}`
+      )
+      .join(', ')}
 - Schema Markup: ${
       analysis.schemaCount > 0
-        ? `${analysis.schemaCount} schema(s) detected`
+        ? `${analysis.schemaCount} schema(s) detected${
+            analysis.schemaTypes?.length
+              ? ` (${analysis.schemaTypes.join(', ')})`
+              : ''
+          }${
+            analysis.schemaSyntaxes
+              ? ` via ${Object.entries(analysis.schemaSyntaxes)
+                  .filter(([, count]) => count > 0)
+                  .map(([syntax, count]) => `${syntax}: ${count}`)
+                  .join(', ')}`
+              : ''
+          }`
         : 'No schema markup found'
     }
-- Framework: ${
+${
+  analysis.structuredData?.entities?.length
+    ? `${analysis.structuredData.entities
+        .map(
+          (entity) =>
+            `  - ${entity.type || 'Untyped entity'}${
+              entity.id ? ` (${entity.id})` : ''
+            } from ${entity.source} at ${entity.path}`
+        )
+        .join('\n')}\n`
+    : ''
+}- Framework: ${
       analysis.isReactApp
-        ? '**React (client-side rendering detected)**'
+        ? analysis.rendering
+          ? 'React (analyzed after rendering)'
+          : '**React (client-side rendering detected)**'
         : 'Static HTML'
     }
-- Robots Directives: ${
-      analysis.robotsDirectives?.noindex
-        ? '**noindex** (page will not be indexed by search engines)'
-        : 'index'
-    }, ${
-      analysis.robotsDirectives?.nofollow
-        ? '**nofollow** (links will not be followed)'
-        : 'follow'
-    }
+- Robots Directives: ${formatRobotsDirectives(analysis.robotsDirectives)}
 - Social Tags: ${
       analysis.socialTags?.hasOpenGraph ? 'Open Graph ✓' : 'Open Graph ✗'
     }, ${
@@ -271,6 +1053,50 @@ ${
         ? 'Twitter Cards ✓'
         : 'Twitter Cards ✗'
     }
+- Links: ${
+      analysis.links
+        ? `${analysis.links.internal} internal, ${
+            analysis.links.external
+          } external (${analysis.links.nofollow} nofollow, ${
+            analysis.links.sponsored
+          } sponsored, ${analysis.links.ugc} ugc), ${
+            analysis.links.fragment
+          } fragment, ${analysis.links.mailto + analysis.links.tel} mailto/tel${
+            analysis.links.siteOrigin
+              ? ` relative to ${analysis.links.siteOrigin}`
+              : ''
+          }`
+        : 'Not analyzed'
+    }
+- Language: ${analysis.hreflang?.lang || 'Not declared'}${
+      analysis.hreflang?.alternates.length
+        ? `, hreflang: ${analysis.hreflang.alternates
+            .map((alternate) => alternate.hreflang)
+            .join(', ')}`
+        : ''
+    }
+- Images: ${
+      analysis.images
+        ? `${analysis.images.total} total, ${analysis.images.missingAlt} missing alt, ${analysis.images.decorative} decorative, ${analysis.images.missingDimensions} without width/height`
+        : 'Not analyzed'
+    }
+- Share Preview: ${
+      analysis.sharePreview
+        ? `"${analysis.sharePreview.title || 'No title'}"${
+            analysis.sharePreview.image
+              ? `, image ${analysis.sharePreview.image}${
+                  analysis.sharePreview.imageInfo?.width
+                    ? ` (${analysis.sharePreview.imageInfo.width}×${analysis.sharePreview.imageInfo.height})`
+                    : ''
+                }`
+              : ', no image'
+          }${
+            analysis.sharePreview.twitterCard
+              ? `, ${analysis.sharePreview.twitterCard} card`
+              : ''
+          }`
+        : 'Not available'
+    }
 - Canonical URL: ${analysis.hasCanonical ? 'Present ✓' : 'Missing ✗'}
 - Mobile Viewport: ${analysis.hasViewport ? 'Present ✓' : 'Missing ✗'}
 
@@ -330,6 +1156,54 @@ ${
       response += `No keyword analysis available. Consider adding more specific, relevant keywords to your content.\n`;
     }
 
+    // Heading outline as an indented tree
+    if (analysis.headingOutline && analysis.headingOutline.length > 0) {
+      response += `\n## HEADING OUTLINE\n`;
+      const renderOutline = (nodes, depth) => {
+        nodes.forEach((node) => {
+          response += `${'  '.repeat(depth)}- H${node.level}: ${
+            node.text || '(empty)'
+          }\n`;
+          renderOutline(node.children, depth + 1);
+        });
+      };
+      renderOutline(analysis.headingOutline, 0);
+    }
+
+    // Rich result eligibility per feature
+    if (analysis.richResults) {
+      response += `\n## RICH RESULTS\n`;
+      const detected = analysis.richResults.filter((r) => r.detected);
+
+      if (detected.length === 0) {
+        response += `No markup for rich result features was found.\n`;
+      }
+
+      detected.forEach((result) => {
+        response += `### ${result.eligible ? '✅' : '❌'} ${result.name}: ${
+          result.eligible ? 'Eligible' : 'Not eligible'
+        }\n`;
+        response += `Source: ${result.source} at ${result.path}\n`;
+        if (result.blocking.length > 0) {
+          response += `- Blocking (required to qualify): ${result.blocking.join(
+            ', '
+          )}\n`;
+        }
+        if (result.optional.length > 0) {
+          response += `- Optional (improves the result): ${result.optional.join(
+            ', '
+          )}\n`;
+        }
+      });
+
+      const notDetected = analysis.richResults.filter((r) => !r.detected);
+      if (notDetected.length > 0) {
+        response += `\nNot detected: ${notDetected
+          .map((r) => r.name)
+          .join(', ')}\n`;
+      }
+    }
+
     // Issues section with severity indicators and impact
     response += `\n## ISSUES (PRIORITIZED BY IMPACT)
 `;
@@ -351,7 +1225,7 @@ ${
         criticalIssues.forEach((issue, i) => {
           response += `${i + 1}. 🔴 ${issue.message} (Impact: ${
             issue.impact
-          }/100)\n`;
+          }/100, rule: ${issue.rule})\n${formatLocationLine(issue)}`;
         });
         response += `\n`;
       }
@@ -362,7 +1236,7 @@ ${
         highIssues.forEach((issue, i) => {
           response += `${i + 1}. 🟠 ${issue.message} (Impact: ${
             issue.impact
-          }/100)\n`;
+          }/100, rule: ${issue.rule})\n${formatLocationLine(issue)}`;
         });
         response += `\n`;
       }
@@ -373,7 +1247,7 @@ ${
         mediumIssues.forEach((issue, i) => {
           response += `${i + 1}. 🟡 ${issue.message} (Impact: ${
             issue.impact
-          }/100)\n`;
+          }/100, rule: ${issue.rule})\n${formatLocationLine(issue)}`;
         });
         response += `\n`;
       }
@@ -384,7 +1258,7 @@ ${
         lowIssues.forEach((issue, i) => {
           response += `${i + 1}. 🔵 ${issue.message} (Impact: ${
             issue.impact
-          }/100)\n`;
+          }/100, rule: ${issue.rule})\n${formatLocationLine(issue)}`;
         });
         response += `\n`;
       }
@@ -392,6 +1266,31 @@ ${
       response += `✅ No issues found. Great job!\n`;
     }
 
+    // Issues silenced by seo-inspector-disable comments in the page
+    const suppressions = analysis.suppressions;
+    if (
+      suppressions &&
+      (suppressions.suppressed.length > 0 || suppressions.unused.length > 0)
+    ) {
+      response += `\n## SUPPRESSED ISSUES\n`;
+      if (suppressions.suppressed.length > 0) {
+        const byRule = {};
+        suppressions.suppressed.forEach((issue) => {
+          byRule[issue.rule] = (byRule[issue.rule] || 0) + 1;
+        });
+        response += `${
+          suppressions.suppressed.length
+        } issue(s) suppressed by inline comments: ${Object.entries(byRule)
+          .map(([rule, count]) => `${rule} (${count})`)
+          .join(', ')}\n`;
+      }
+      suppressions.unused.forEach((unused) => {
+        response += `- Unused ${unused.directive}${
+          unused.rule ? ` ${unused.rule}` : ''
+        }${unused.line ? ` on line ${unused.line}` : ''}: ${unused.reason}\n`;
+      });
+    }
+
     // Recommendations with clear next steps
     response += `\n## RECOMMENDATIONS (PRIORITIZED BY IMPACT)
 `;
@@ -407,7 +1306,7 @@ ${
     }
 
     // Framework-specific notes
-    if (analysis.isReactApp) {
+    if (analysis.isReactApp && !analysis.rendering) {
       response += `\n## REACT-SPECIFIC SEO CONSIDERATIONS
 - **This analysis is based ONLY on the initial HTML, not your rendered React app**
 - Client-side rendered React apps often have poor SEO because search engines may not execute JavaScript
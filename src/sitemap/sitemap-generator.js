@@ -0,0 +1,287 @@
+// src/sitemap/sitemap-generator.js - Builds sitemap.xml for a static build
+// from the analyses of its pages, following sitemaps.org and Google's image
+// sitemap extension.
+import fs from 'fs/promises';
+import path from 'path';
+import { analyzeHtml } from '../analyzers/html-analyzer.js';
+import {
+  findHtmlFiles,
+  isFile,
+  resolveLocalFile,
+} from '../utils/file-utils.js';
+import { filePathToUrl, normalizeUrl } from '../utils/url-utils.js';
+
+export const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+export const IMAGE_NAMESPACE =
+  'http://www.google.com/schemas/sitemap-image/1.1';
+// Limits of a single sitemap file
+export const MAX_SITEMAP_URLS = 50000;
+export const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+// Google reads at most this many images per page
+const MAX_IMAGES_PER_URL = 1000;
+
+export const W3C_DATETIME =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+export function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// dateModified as written when it already is a W3C datetime, else converted;
+// the file's modification time when the page declares no usable date
+function lastModified(result, modifiedAt) {
+  const declared = result.dateModified;
+  if (declared && !Number.isNaN(Date.parse(declared))) {
+    return {
+      lastmod: W3C_DATETIME.test(declared)
+        ? declared
+        : new Date(declared).toISOString(),
+      source: 'dateModified',
+    };
+  }
+  return modifiedAt
+    ? { lastmod: modifiedAt.toISOString(), source: 'file' }
+    : { lastmod: null, source: null };
+}
+
+function imageUrls(result, pageUrl, missingImages = []) {
+  const urls = new Set();
+  (result.images ? result.images.items : []).forEach((item) => {
+    if (!item.src || /^data:/i.test(item.src)) return;
+    if (missingImages.includes(item.src)) return;
+    try {
+      const url = new URL(item.src, pageUrl);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        urls.add(url.href);
+      }
+    } catch (e) {
+      // Not a URL, e.g. the "unknown image" placeholder
+    }
+  });
+  return [...urls].slice(0, MAX_IMAGES_PER_URL);
+}
+
+// Why a page does not belong in the sitemap, or null when it does
+export function exclusionReason(result, pageUrl) {
+  if (result.robotsDirectives && result.robotsDirectives.noindex) {
+    return 'noindex';
+  }
+  if (result.canonicalUrl) {
+    const canonical = normalizeUrl(result.canonicalUrl, pageUrl);
+    if (canonical && canonical !== normalizeUrl(pageUrl)) {
+      return `canonical points to ${canonical}`;
+    }
+  }
+  return null;
+}
+
+function urlElement(entry) {
+  let xml = `  <url>\n    <loc>${escapeXml(entry.loc)}</loc>\n`;
+  if (entry.lastmod) {
+    xml += `    <lastmod>${escapeXml(entry.lastmod)}</lastmod>\n`;
+  }
+  entry.images.forEach((image) => {
+    xml += `    <image:image>\n      <image:loc>${escapeXml(
+      image
+    )}</image:loc>\n    </image:image>\n`;
+  });
+  return `${xml}  </url>\n`;
+}
+
+function urlset(elements, includeImages) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="${SITEMAP_NAMESPACE}"${
+    includeImages ? ` xmlns:image="${IMAGE_NAMESPACE}"` : ''
+  }>\n${elements.join('')}</urlset>\n`;
+}
+
+// Split the <url> elements into files within the URL and byte limits
+function chunkElements(elements, includeImages) {
+  const overhead = Buffer.byteLength(urlset([], includeImages));
+  const chunks = [];
+  let current = null;
+  elements.forEach((element) => {
+    const bytes = Buffer.byteLength(element);
+    if (
+      !current ||
+      current.elements.length >= MAX_SITEMAP_URLS ||
+      current.bytes + bytes > MAX_SITEMAP_BYTES
+    ) {
+      current = { elements: [], bytes: overhead };
+      chunks.push(current);
+    }
+    current.elements.push(element);
+    current.bytes += bytes;
+  });
+  return chunks;
+}
+
+export function checkBaseUrl(baseUrl) {
+  if (!/^https?:\/\/[^/]/i.test(baseUrl || '')) {
+    throw new Error(
+      `baseUrl must be an absolute http(s) URL, got ${baseUrl || 'nothing'}`
+    );
+  }
+}
+
+// Build the sitemap for `pages` ([{ result, modifiedAt, missingImages }],
+// where result is an analyzeHtml result whose pageIdentifier is the file's
+// path relative to the build directory and missingImages the image srcs that
+// point into the build but match no file there). options.baseUrl is the
+// site's public URL and options.includeImages adds image:image entries.
+// Returns { files: [{ name, xml, urls }], isIndex, sitemapUrl, entries,
+// excluded } with sitemap.xml first; above MAX_SITEMAP_URLS (or
+// MAX_SITEMAP_BYTES) it is an index of sitemap-1.xml, sitemap-2.xml, ...
+export function buildSitemap(pages, options) {
+  const { baseUrl, includeImages = false } = options;
+  checkBaseUrl(baseUrl);
+
+  const entries = [];
+  const excluded = [];
+  const byLoc = new Map();
+  pages
+    .map((page) => ({
+      ...page,
+      loc: filePathToUrl(baseUrl, page.result.pageIdentifier),
+    }))
+    .sort((a, b) => a.loc.localeCompare(b.loc))
+    .forEach(({ result, modifiedAt, missingImages, loc }) => {
+      const reason = exclusionReason(result, loc);
+      if (reason) {
+        excluded.push({ page: result.pageIdentifier, reason });
+        return;
+      }
+      // index.html and index.htm in one directory share a URL
+      if (byLoc.has(loc)) {
+        excluded.push({
+          page: result.pageIdentifier,
+          reason: `same URL as ${byLoc.get(loc).page}`,
+        });
+        return;
+      }
+      const entry = {
+        page: result.pageIdentifier,
+        loc,
+        ...lastModified(result, modifiedAt),
+        images: includeImages ? imageUrls(result, loc, missingImages) : [],
+      };
+      byLoc.set(loc, entry);
+      entries.push(entry);
+    });
+
+  const sitemapUrl = filePathToUrl(baseUrl, 'sitemap.xml');
+  const chunks = chunkElements(entries.map(urlElement), includeImages);
+  if (chunks.length <= 1) {
+    return {
+      files: [
+        {
+          name: 'sitemap.xml',
+          xml: urlset(chunks.length ? chunks[0].elements : [], includeImages),
+          urls: entries.length,
+        },
+      ],
+      isIndex: false,
+      sitemapUrl,
+      entries,
+      excluded,
+    };
+  }
+
+  let offset = 0;
+  const files = chunks.map((chunk, i) => {
+    const chunkEntries = entries.slice(offset, offset + chunk.elements.length);
+    offset += chunk.elements.length;
+    return {
+      name: `sitemap-${i + 1}.xml`,
+      xml: urlset(chunk.elements, includeImages),
+      urls: chunk.elements.length,
+      lastmod: chunkEntries
+        .map((entry) => entry.lastmod)
+        .filter(Boolean)
+        .sort((a, b) => Date.parse(b) - Date.parse(a))[0],
+    };
+  });
+  const index = `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="${SITEMAP_NAMESPACE}">\n${files
+    .map(
+      (file) =>
+        `  <sitemap>\n    <loc>${escapeXml(
+          filePathToUrl(baseUrl, file.name)
+        )}</loc>\n${
+          file.lastmod
+            ? `    <lastmod>${escapeXml(file.lastmod)}</lastmod>\n`
+            : ''
+        }  </sitemap>\n`
+    )
+    .join('')}</sitemapindex>\n`;
+
+  return {
+    files: [
+      { name: 'sitemap.xml', xml: index, urls: 0 },
+      ...files.map(({ name, xml, urls }) => ({ name, xml, urls })),
+    ],
+    isIndex: true,
+    sitemapUrl,
+    entries,
+    excluded,
+  };
+}
+
+// Analyze every HTML file under `directory` as served from baseUrl. Returns
+// { pages: [{ result, modifiedAt }], failed: [{ page, error }] }; files that
+// fail to parse are listed rather than aborting the run.
+export async function loadBuildPages(directory, baseUrl) {
+  const pages = [];
+  const failed = [];
+  for (const file of await findHtmlFiles(directory)) {
+    const relativePath = path.relative(directory, file);
+    try {
+      const [content, stats] = await Promise.all([
+        fs.readFile(file, 'utf8'),
+        fs.stat(file),
+      ]);
+      const result = analyzeHtml(content, relativePath, {
+        siteUrl: baseUrl,
+        pageUrl: filePathToUrl(baseUrl, relativePath),
+      });
+      pages.push({ result, modifiedAt: stats.mtime });
+    } catch (error) {
+      failed.push({ page: relativePath, error: error.message });
+    }
+  }
+  return { pages, failed };
+}
+
+// The images of a page that resolve to a path inside `directory` where there
+// is no file, so that they stay out of image:image entries
+async function findMissingImages(directory, baseUrl, result) {
+  const missing = [];
+  for (const item of result.images ? result.images.items : []) {
+    const localPath = resolveLocalFile(item.src, {
+      rootDir: directory,
+      filePath: path.join(directory, result.pageIdentifier),
+      siteUrl: baseUrl,
+    });
+    if (localPath && !(await isFile(localPath))) missing.push(item.src);
+  }
+  return missing;
+}
+
+// Analyze every HTML file under `directory` and build its sitemap
+export async function generateSitemap(directory, options) {
+  checkBaseUrl(options.baseUrl);
+  const { pages, failed } = await loadBuildPages(directory, options.baseUrl);
+  if (options.includeImages) {
+    for (const page of pages) {
+      page.missingImages = await findMissingImages(
+        directory,
+        options.baseUrl,
+        page.result
+      );
+    }
+  }
+  return { ...buildSitemap(pages, options), failed };
+}
@@ -0,0 +1,546 @@
+// src/sitemap/sitemap-validator.js - Checks the sitemaps of a build directory
+// against the sitemaps.org protocol, then against the pages they list:
+// missing files, noindex and non-canonical URLs, and indexable pages left out.
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { parseXml } from './xml-parser.js';
+import {
+  exclusionReason,
+  loadBuildPages,
+  MAX_SITEMAP_BYTES,
+  MAX_SITEMAP_URLS,
+  SITEMAP_NAMESPACE,
+  W3C_DATETIME,
+} from './sitemap-generator.js';
+import { parseRobotsTxt } from '../robots/robots-txt.js';
+import { isFile, resolveLocalFile } from '../utils/file-utils.js';
+import { filePathToUrl, normalizeUrl } from '../utils/url-utils.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+// Looked for in the directory when neither sitemapPath nor robots.txt names one
+const DEFAULT_SITEMAPS = [
+  'sitemap.xml',
+  'sitemap.xml.gz',
+  'sitemap_index.xml',
+  'sitemap-index.xml',
+];
+const CHANGEFREQ_VALUES = [
+  'always',
+  'hourly',
+  'daily',
+  'weekly',
+  'monthly',
+  'yearly',
+  'never',
+];
+const MAX_URL_LENGTH = 2048;
+// lastmod values this far in the future are clock or template mistakes
+const FUTURE_TOLERANCE = 24 * 60 * 60 * 1000;
+
+const ENTRY_CHILDREN = {
+  urlset: {
+    entry: 'url',
+    fields: ['loc', 'lastmod', 'changefreq', 'priority'],
+  },
+  sitemapindex: { entry: 'sitemap', fields: ['loc', 'lastmod'] },
+};
+
+function childText(element, name) {
+  const child = element.children.find((item) => item.name === name);
+  return child ? child.text.trim() : null;
+}
+
+// Prefixes declared with xmlns:prefix on the root or the element itself
+function declaredPrefixes(...elements) {
+  const prefixes = new Set();
+  elements.forEach((element) => {
+    Object.keys(element.attributes)
+      .filter((name) => name.startsWith('xmlns:'))
+      .forEach((name) => prefixes.add(name.slice(6)));
+  });
+  return prefixes;
+}
+
+function checkLoc(loc, line, siteOrigin, issues) {
+  if (!loc) {
+    issues.push({ level: 'error', message: '<loc> is empty', line });
+    return false;
+  }
+  let url;
+  try {
+    url = new URL(loc);
+  } catch (e) {
+    url = null;
+  }
+  if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+    issues.push({
+      level: 'error',
+      message: `<loc> must be an absolute http(s) URL, got ${loc}`,
+      line,
+    });
+    return false;
+  }
+  if (loc.length > MAX_URL_LENGTH) {
+    issues.push({
+      level: 'error',
+      message: `<loc> is longer than ${MAX_URL_LENGTH} characters`,
+      line,
+    });
+  }
+  if (/\s/.test(loc)) {
+    issues.push({
+      level: 'error',
+      message: `<loc> contains whitespace - percent-encode it: ${loc}`,
+      line,
+    });
+  }
+  if (siteOrigin && url.origin !== siteOrigin) {
+    issues.push({
+      level: 'warning',
+      message: `${loc} is not on ${siteOrigin} - a sitemap may only list URLs of its own site`,
+      line,
+    });
+  }
+  return true;
+}
+
+function checkLastmod(lastmod, line, issues) {
+  if (lastmod === null) return;
+  if (!W3C_DATETIME.test(lastmod) || Number.isNaN(Date.parse(lastmod))) {
+    issues.push({
+      level: 'error',
+      message: `<lastmod> "${lastmod}" is not a W3C datetime (e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00)`,
+      line,
+    });
+  } else if (Date.parse(lastmod) > Date.now() + FUTURE_TOLERANCE) {
+    issues.push({
+      level: 'warning',
+      message: `<lastmod> ${lastmod} is in the future`,
+      line,
+    });
+  }
+}
+
+// Check one sitemap or sitemap index. `bytes` is its uncompressed size and
+// options.siteOrigin, when known, the origin its URLs must be on.
+// Returns { type: 'urlset' | 'sitemapindex' | null, entries, issues } with
+// entries [{ loc, lastmod, line }] and issues [{ level, message, line }].
+export function validateSitemapDocument(text, bytes, options = {}) {
+  const issues = [];
+  const entries = [];
+  const document = parseXml(text);
+
+  if (bytes > MAX_SITEMAP_BYTES) {
+    issues.push({
+      level: 'error',
+      message: `${(bytes / 1024 / 1024).toFixed(
+        1
+      )}MB uncompressed - a sitemap may be at most ${
+        MAX_SITEMAP_BYTES / 1024 / 1024
+      }MB`,
+      line: null,
+    });
+  }
+  if (
+    document.declaration &&
+    document.declaration.encoding &&
+    document.declaration.encoding.toLowerCase() !== 'utf-8'
+  ) {
+    issues.push({
+      level: 'error',
+      message: `Encoded as ${document.declaration.encoding} - sitemaps must be UTF-8`,
+      line: 1,
+    });
+  }
+  document.errors.forEach((error) => {
+    issues.push({
+      level: 'error',
+      message: `XML: ${error.message}`,
+      line: error.line,
+    });
+  });
+  if (document.errorCount > document.errors.length) {
+    issues.push({
+      level: 'error',
+      message: `XML: ${
+        document.errorCount - document.errors.length
+      } more errors`,
+      line: null,
+    });
+  }
+
+  const { root } = document;
+  if (!root) return { type: null, entries, issues };
+  const schema = ENTRY_CHILDREN[root.name];
+  if (!schema) {
+    issues.push({
+      level: 'error',
+      message: `Root element is <${root.name}> - expected <urlset> or <sitemapindex>`,
+      line: root.line,
+    });
+    return { type: null, entries, issues };
+  }
+  if (root.attributes.xmlns !== SITEMAP_NAMESPACE) {
+    issues.push({
+      level: 'error',
+      message: `<${root.name}> must declare xmlns="${SITEMAP_NAMESPACE}"${
+        root.attributes.xmlns ? `, not "${root.attributes.xmlns}"` : ''
+      }`,
+      line: root.line,
+    });
+  }
+
+  const seen = new Map();
+  root.children.forEach((element) => {
+    if (element.name !== schema.entry) {
+      issues.push({
+        level: 'error',
+        message: `Unexpected <${element.name}> in <${root.name}> - only <${schema.entry}> is allowed`,
+        line: element.line,
+      });
+      return;
+    }
+
+    const prefixes = declaredPrefixes(root, element);
+    const counts = new Map();
+    element.children.forEach((child) => {
+      const [prefix, local] = child.name.includes(':')
+        ? child.name.split(':')
+        : [null, child.name];
+      if (prefix) {
+        // Extensions such as image:image, video:video or xhtml:link
+        if (!prefixes.has(prefix)) {
+          issues.push({
+            level: 'error',
+            message: `<${child.name}> uses the prefix "${prefix}" without declaring it (xmlns:${prefix} on <${root.name}>)`,
+            line: child.line,
+          });
+        }
+        return;
+      }
+      if (!schema.fields.includes(local)) {
+        issues.push({
+          level: 'error',
+          message: `Unexpected <${local}> in <${schema.entry}>`,
+          line: child.line,
+        });
+        return;
+      }
+      counts.set(local, (counts.get(local) || 0) + 1);
+    });
+    counts.forEach((count, name) => {
+      if (count > 1) {
+        issues.push({
+          level: 'error',
+          message: `<${schema.entry}> has ${count} <${name}> elements - at most one is allowed`,
+          line: element.line,
+        });
+      }
+    });
+
+    const loc = childText(element, 'loc');
+    if (loc === null) {
+      issues.push({
+        level: 'error',
+        message: `<${schema.entry}> without <loc>`,
+        line: element.line,
+      });
+      return;
+    }
+    const lastmod = childText(element, 'lastmod');
+    checkLastmod(lastmod, element.line, issues);
+
+    const changefreq = childText(element, 'changefreq');
+    if (changefreq !== null && !CHANGEFREQ_VALUES.includes(changefreq)) {
+      issues.push({
+        level: 'error',
+        message: `<changefreq> "${changefreq}" must be one of ${CHANGEFREQ_VALUES.join(
+          ', '
+        )}`,
+        line: element.line,
+      });
+    }
+    const priority = childText(element, 'priority');
+    if (
+      priority !== null &&
+      !(/^(0(\.\d+)?|1(\.0+)?)$/.test(priority) && Number(priority) <= 1)
+    ) {
+      issues.push({
+        level: 'error',
+        message: `<priority> "${priority}" must be a number from 0.0 to 1.0`,
+        line: element.line,
+      });
+    }
+
+    if (!checkLoc(loc, element.line, options.siteOrigin, issues)) return;
+    const key = normalizeUrl(loc);
+    if (seen.has(key)) {
+      issues.push({
+        level: 'warning',
+        message: `${loc} is listed twice (first on line ${seen.get(key)})`,
+        line: element.line,
+      });
+      return;
+    }
+    seen.set(key, element.line);
+    entries.push({ loc, lastmod, line: element.line });
+  });
+
+  if (entries.length > MAX_SITEMAP_URLS) {
+    issues.push({
+      level: 'error',
+      message: `${entries.length} ${
+        root.name === 'urlset' ? 'URLs' : 'sitemaps'
+      } - the limit is ${MAX_SITEMAP_URLS} per file; split it and list the parts in a sitemap index`,
+      line: null,
+    });
+  }
+
+  issues.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+  return { type: root.name, entries, issues };
+}
+
+async function readSitemapFile(file) {
+  const buffer = await fs.readFile(file);
+  // gzip magic number, whatever the file is called
+  const compressed = buffer[0] === 0x1f && buffer[1] === 0x8b;
+  // Stop inflating one byte past the limit, which is enough to report it
+  const content = compressed
+    ? await gunzip(buffer, { maxOutputLength: MAX_SITEMAP_BYTES + 1 })
+    : buffer;
+  return { text: content.toString('utf8'), bytes: content.length, compressed };
+}
+
+// The sitemaps to start from: sitemapPath, else the Sitemap lines of
+// robots.txt that map to files in the directory, else the usual file names
+async function findSitemaps(rootDir, { sitemapPath, siteUrl }) {
+  if (sitemapPath) {
+    return { files: [path.resolve(rootDir, sitemapPath)], source: 'argument' };
+  }
+
+  const robotsPath = path.join(rootDir, 'robots.txt');
+  let robotsText = null;
+  try {
+    robotsText = await fs.readFile(robotsPath, 'utf8');
+  } catch (e) {
+    // No robots.txt in the build
+  }
+  if (robotsText !== null) {
+    const files = parseRobotsTxt(robotsText)
+      .sitemaps.map((sitemap) =>
+        resolveLocalFile(sitemap.url, {
+          rootDir,
+          filePath: robotsPath,
+          siteUrl,
+        })
+      )
+      .filter(Boolean);
+    if (files.length > 0) return { files, source: 'robots.txt' };
+  }
+
+  const files = [];
+  for (const name of DEFAULT_SITEMAPS) {
+    if (await isFile(path.join(rootDir, name))) {
+      files.push(path.join(rootDir, name));
+    }
+  }
+  return { files, source: 'default names' };
+}
+
+// The analyzed page a sitemap URL is served from, following the conventions
+// of static hosts (/blog/ is blog/index.html, /about is about.html)
+function findPage(loc, pagesByUrl) {
+  const candidates = [loc];
+  if (!loc.endsWith('/')) candidates.push(`${loc}.html`, `${loc}.htm`);
+  for (const candidate of candidates) {
+    const page = pagesByUrl.get(normalizeUrl(candidate));
+    if (page) return page;
+  }
+  return null;
+}
+
+// Validate the sitemaps of the build in `directory` and cross-reference them
+// with its HTML pages. options.sitemapPath picks the sitemap (relative to the
+// directory), options.siteUrl is the site's public URL; without it the origin
+// of the first listed URL is used.
+// Returns { source, siteUrl, sitemaps, urlCount, crossReference, failed }
+// where each sitemap is { file, type, compressed, bytes, urls, issues } and
+// crossReference is null when no URL was found to compare with.
+export async function validateSitemaps(directory, options = {}) {
+  const rootDir = path.resolve(directory);
+  const { files, source } = await findSitemaps(rootDir, options);
+  if (files.length === 0) {
+    return {
+      source: null,
+      siteUrl: options.siteUrl || null,
+      sitemaps: [],
+      urlCount: 0,
+      crossReference: null,
+      failed: [],
+    };
+  }
+
+  const sitemaps = [];
+  const entries = [];
+  const queue = files.map((file) => ({ file, parent: null }));
+  const visited = new Set();
+  let siteUrl = options.siteUrl || null;
+
+  while (queue.length > 0) {
+    const { file, parent } = queue.shift();
+    if (visited.has(file)) continue;
+    visited.add(file);
+    const sitemap = {
+      file: path.relative(rootDir, file),
+      type: null,
+      compressed: false,
+      bytes: 0,
+      urls: 0,
+      issues: [],
+    };
+    sitemaps.push(sitemap);
+
+    let content;
+    try {
+      content = await readSitemapFile(file);
+    } catch (error) {
+      sitemap.issues.push({
+        level: 'error',
+        message:
+          error.code === 'ENOENT'
+            ? `Not found${parent ? ` (listed in ${parent})` : ''}`
+            : error.code === 'ERR_BUFFER_TOO_LARGE'
+            ? `Decompresses to more than the ${
+                MAX_SITEMAP_BYTES / 1024 / 1024
+              }MB a sitemap may hold uncompressed`
+            : `Could not be read: ${error.message}`,
+        line: null,
+      });
+      continue;
+    }
+    Object.assign(sitemap, {
+      compressed: content.compressed,
+      bytes: content.bytes,
+    });
+
+    const document = validateSitemapDocument(content.text, content.bytes, {
+      siteOrigin: siteUrl ? new URL(siteUrl).origin : null,
+    });
+    sitemap.type = document.type;
+    sitemap.urls = document.entries.length;
+    sitemap.issues.push(...document.issues);
+    if (!siteUrl && document.entries.length > 0) {
+      siteUrl = new URL(document.entries[0].loc).origin;
+    }
+
+    if (document.type === 'sitemapindex') {
+      if (parent) {
+        sitemap.issues.push({
+          level: 'error',
+          message: `A sitemap index cannot list another sitemap index (listed in ${parent})`,
+          line: null,
+        });
+        continue;
+      }
+      document.entries.forEach((entry) => {
+        const child = resolveLocalFile(entry.loc, {
+          rootDir,
+          filePath: file,
+          siteUrl,
+        });
+        if (child) {
+          queue.push({ file: child, parent: sitemap.file });
+        } else {
+          sitemap.issues.push({
+            level: 'warning',
+            message: `${entry.loc} is outside the build directory and was not checked`,
+            line: entry.line,
+          });
+        }
+      });
+    } else if (document.type === 'urlset') {
+      document.entries.forEach((entry) => {
+        entries.push({ ...entry, sitemap: sitemap.file });
+      });
+    }
+  }
+
+  if (!siteUrl) {
+    return {
+      source,
+      siteUrl,
+      sitemaps,
+      urlCount: 0,
+      crossReference: null,
+      failed: [],
+    };
+  }
+
+  const { pages, failed } = await loadBuildPages(rootDir, siteUrl);
+  const pagesByUrl = new Map();
+  pages.forEach(({ result }) => {
+    pagesByUrl.set(
+      normalizeUrl(filePathToUrl(siteUrl, result.pageIdentifier)),
+      result
+    );
+  });
+
+  const crossReference = {
+    missingFiles: [],
+    noindex: [],
+    nonCanonical: [],
+    missingFromSitemap: [],
+  };
+  const listed = new Set();
+  const siteOrigin = new URL(siteUrl).origin;
+  for (const entry of entries) {
+    if (new URL(entry.loc).origin !== siteOrigin) continue;
+    const result = findPage(entry.loc, pagesByUrl);
+    if (!result) {
+      // Sitemaps may list PDFs and other files, not only pages
+      const local = resolveLocalFile(entry.loc, {
+        rootDir,
+        filePath: path.join(rootDir, 'sitemap.xml'),
+        siteUrl,
+      });
+      if (!local || !(await isFile(local))) {
+        crossReference.missingFiles.push(entry);
+      }
+      continue;
+    }
+    listed.add(result);
+    const pageUrl = filePathToUrl(siteUrl, result.pageIdentifier);
+    const reason = exclusionReason(result, pageUrl);
+    if (reason === 'noindex') {
+      crossReference.noindex.push({ ...entry, page: result.pageIdentifier });
+    } else if (reason) {
+      crossReference.nonCanonical.push({
+        ...entry,
+        page: result.pageIdentifier,
+        canonical: normalizeUrl(result.canonicalUrl, pageUrl),
+      });
+    }
+  }
+  pages.forEach(({ result }) => {
+    if (listed.has(result)) return;
+    const pageUrl = filePathToUrl(siteUrl, result.pageIdentifier);
+    if (!exclusionReason(result, pageUrl)) {
+      crossReference.missingFromSitemap.push({
+        page: result.pageIdentifier,
+        url: pageUrl,
+      });
+    }
+  });
+
+  return {
+    source,
+    siteUrl,
+    sitemaps,
+    urlCount: entries.length,
+    crossReference,
+    failed,
+  };
+}
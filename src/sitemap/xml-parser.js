@@ -0,0 +1,218 @@
+// src/sitemap/xml-parser.js - Small XML parser for sitemaps. Reports
+// well-formedness errors with their line instead of giving up at the first
+// one, and builds a plain element tree (no DTDs, no namespaces resolution).
+
+// Errors listed per document before the rest are only counted
+const MAX_ERRORS = 50;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const ENTITY = /&(#x[0-9a-f]+|#\d+|[a-z]+);/gi;
+const UNESCAPED_AMPERSAND = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/gi;
+const NAME = '[A-Za-z_][\\w.:-]*';
+const START_TAG = new RegExp(
+  `<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`,
+  'y'
+);
+const END_TAG = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+
+function decodeEntities(text) {
+  return text.replace(ENTITY, (match, name) => {
+    if (name[0] === '#') {
+      const code =
+        name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+  });
+}
+
+// Line of every offset, from the offsets at which lines start
+function createLineLookup(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (starts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Parse `text` into { root, declaration, errors, errorCount } where root is
+// { name, attributes, children, text, line } (null when there is no root
+// element), declaration holds the attributes of <?xml ...?> and errors are
+// { message, line }, at most MAX_ERRORS of errorCount.
+export function parseXml(text) {
+  const lineAt = createLineLookup(text);
+  const errors = [];
+  let errorCount = 0;
+  const addError = (message, offset) => {
+    errorCount++;
+    if (errors.length < MAX_ERRORS) {
+      errors.push({ message, line: lineAt(offset) });
+    }
+  };
+
+  const checkAmpersands = (value, offset) => {
+    UNESCAPED_AMPERSAND.lastIndex = 0;
+    let match;
+    while ((match = UNESCAPED_AMPERSAND.exec(value))) {
+      addError('Unescaped "&" - write it as &amp;', offset + match.index);
+    }
+  };
+
+  let root = null;
+  let declaration = null;
+  const stack = [];
+  // A byte order mark is allowed before the declaration
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  const start = i;
+
+  while (i < text.length) {
+    if (text.startsWith('<?', i)) {
+      const end = text.indexOf('?>', i);
+      if (end === -1) {
+        addError('Processing instruction is never closed', i);
+        break;
+      }
+      const body = text.slice(i + 2, end);
+      if (/^xml(\s|$)/i.test(body)) {
+        if (i !== start) {
+          addError(
+            'The XML declaration must be the very first thing in the file',
+            i
+          );
+        }
+        declaration = {};
+        body.replace(/(\w+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (m, key, a, b) => {
+          declaration[key] = a !== undefined ? a : b;
+          return m;
+        });
+      }
+      i = end + 2;
+    } else if (text.startsWith('<!--', i)) {
+      const end = text.indexOf('-->', i + 4);
+      if (end === -1) {
+        addError('Comment is never closed', i);
+        break;
+      }
+      i = end + 3;
+    } else if (text.startsWith('<![CDATA[', i)) {
+      const end = text.indexOf(']]>', i);
+      if (end === -1) {
+        addError('CDATA section is never closed', i);
+        break;
+      }
+      if (stack.length === 0) {
+        addError('CDATA outside the root element', i);
+      } else {
+        stack[stack.length - 1].text += text.slice(i + 9, end);
+      }
+      i = end + 3;
+    } else if (text.startsWith('<!', i)) {
+      // DOCTYPE and other declarations; internal subsets are not supported
+      const end = text.indexOf('>', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('</', i)) {
+      END_TAG.lastIndex = i;
+      const match = END_TAG.exec(text);
+      if (!match) {
+        addError('Malformed end tag', i);
+        const end = text.indexOf('>', i);
+        i = end === -1 ? text.length : end + 1;
+        continue;
+      }
+      const name = match[1];
+      const open = stack.length > 0 ? stack[stack.length - 1].name : null;
+      if (name !== open) {
+        addError(
+          open
+            ? `</${name}> does not match the open <${open}>`
+            : `</${name}> has no matching start tag`,
+          i
+        );
+      }
+      // Recover by closing up to the matching element, if there is one
+      const index = stack.map((element) => element.name).lastIndexOf(name);
+      if (index !== -1) stack.length = index;
+      i = END_TAG.lastIndex;
+    } else if (text[i] === '<') {
+      START_TAG.lastIndex = i;
+      const match = START_TAG.exec(text);
+      if (!match) {
+        addError('Malformed tag', i);
+        const end = text.indexOf('>', i);
+        i = end === -1 ? text.length : end + 1;
+        continue;
+      }
+
+      const element = {
+        name: match[1],
+        attributes: {},
+        children: [],
+        text: '',
+        line: lineAt(i),
+      };
+      let attribute;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attribute = ATTRIBUTE.exec(match[2]))) {
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+        if (attribute[1] in element.attributes) {
+          addError(`Duplicate attribute ${attribute[1]}`, i);
+        }
+        if (value.includes('<')) {
+          addError(`Unescaped "<" in attribute ${attribute[1]}`, i);
+        }
+        checkAmpersands(value, i);
+        element.attributes[attribute[1]] = decodeEntities(value);
+      }
+
+      if (stack.length > 0) {
+        stack[stack.length - 1].children.push(element);
+      } else if (root) {
+        addError(`Second root element <${element.name}>`, i);
+      } else {
+        root = element;
+      }
+      if (!match[3]) stack.push(element);
+      i = START_TAG.lastIndex;
+    } else {
+      let end = text.indexOf('<', i);
+      if (end === -1) end = text.length;
+      const value = text.slice(i, end);
+      if (stack.length === 0) {
+        if (value.trim()) addError('Text outside the root element', i);
+      } else {
+        checkAmpersands(value, i);
+        stack[stack.length - 1].text += decodeEntities(value);
+      }
+      i = end;
+    }
+  }
+
+  stack.forEach((element) => {
+    errorCount++;
+    if (errors.length < MAX_ERRORS) {
+      errors.push({
+        message: `<${element.name}> is never closed`,
+        line: element.line,
+      });
+    }
+  });
+  if (!root) addError('No root element', 0);
+
+  return { root, declaration, errors, errorCount };
+}
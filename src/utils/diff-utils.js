@@ -0,0 +1,123 @@
+// src/utils/diff-utils.js
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  const lines = text.split('\n');
+  // A trailing newline ends the last line rather than starting an empty one
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Myers' O(ND) diff: returns the edit script as a list of
+// { type: ' ' | '-' | '+', line } in order
+function diffLines(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) break outer;
+    }
+  }
+
+  // Walk the trace backwards to recover the edits
+  const script = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = vd[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      script.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        script.push({ type: '+', line: b[--y] });
+      } else {
+        script.push({ type: '-', line: a[--x] });
+      }
+    }
+  }
+  return script.reverse();
+}
+
+// Unified diff of two texts, or an empty string when they are equal
+export function createUnifiedDiff(
+  before,
+  after,
+  { fromFile = 'a', toFile = 'b', context = CONTEXT_LINES } = {}
+) {
+  if (before === after) return '';
+
+  const oldLines = splitLines(before);
+  const newLines = splitLines(after);
+  const script = diffLines(oldLines, newLines);
+
+  // Group changes that are close enough to share context into hunks
+  const hunks = [];
+  let current = null;
+  let oldLine = 1;
+  let newLine = 1;
+  script.forEach((entry, index) => {
+    if (entry.type !== ' ') {
+      const start = Math.max(0, index - context);
+      if (!current || start > current.end) {
+        current = { start, end: index + context + 1 };
+        hunks.push(current);
+      } else {
+        current.end = index + context + 1;
+      }
+    }
+    entry.oldLine = oldLine;
+    entry.newLine = newLine;
+    if (entry.type !== '+') oldLine++;
+    if (entry.type !== '-') newLine++;
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach((hunk) => {
+    const entries = script.slice(hunk.start, Math.min(hunk.end, script.length));
+    const oldCount = entries.filter((entry) => entry.type !== '+').length;
+    const newCount = entries.filter((entry) => entry.type !== '-').length;
+    const oldStart = oldCount ? entries[0].oldLine : entries[0].oldLine - 1;
+    const newStart = newCount ? entries[0].newLine : entries[0].newLine - 1;
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    entries.forEach((entry) => {
+      output.push(`${entry.type}${entry.line}`);
+      // patch needs to know when a side's last line has no newline
+      const lastOld = entry.type !== '+' && entry.oldLine === oldLines.length;
+      const lastNew = entry.type !== '-' && entry.newLine === newLines.length;
+      if (
+        (lastOld && !before.endsWith('\n')) ||
+        (lastNew && !after.endsWith('\n'))
+      ) {
+        output.push('\\ No newline at end of file');
+      }
+    });
+  });
+  return `${output.join('\n')}\n`;
+}
@@ -1,6 +1,19 @@
 // src/utils/file-utils.js
 import fs from 'fs/promises';
 import path from 'path';
+import {
+  filePathToUrl,
+  PLACEHOLDER_ORIGIN,
+  sitePathname,
+} from './url-utils.js';
+
+export async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch (e) {
+    return false;
+  }
+}
 
 export async function findHtmlFiles(directory) {
   const htmlFiles = [];
@@ -42,3 +55,46 @@ export async function findHtmlFiles(directory) {
   await traverse(directory);
   return htmlFiles;
 }
+
+// The files a URL path (or a file path it resolved to) may be served from,
+// following the conventions of static hosts: the file itself, index.html in
+// a directory, and .html for extensionless URLs
+export function staticHostCandidates(target) {
+  const trimmed = target.replace(/[\\/]+$/, '');
+  return [
+    target,
+    `${trimmed}/index.html`,
+    `${trimmed}/index.htm`,
+    `${trimmed}.html`,
+    `${trimmed}.htm`,
+  ];
+}
+
+// Map a URL referenced from an HTML file to a file inside the analyzed
+// directory, served from siteUrl (which may have a path, see filePathToUrl).
+// Absolute URLs only map when they are on the site's origin (or when no site
+// URL is known). Returns null for anything outside rootDir.
+export function resolveLocalFile(reference, { rootDir, filePath, siteUrl }) {
+  if (!reference || /^(data|mailto|tel|javascript):/i.test(reference)) {
+    return null;
+  }
+
+  const siteRoot = siteUrl || `${PLACEHOLDER_ORIGIN}/`;
+  let pathname;
+  try {
+    // Relative references are relative to the referencing file's URL
+    const pageUrl = filePathToUrl(siteRoot, path.relative(rootDir, filePath));
+    const url = new URL(reference, pageUrl);
+    if (siteUrl && url.origin !== new URL(siteUrl).origin) return null;
+    pathname = sitePathname(url.pathname, siteRoot);
+    if (pathname === null) return null;
+    pathname = decodeURIComponent(pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const resolved = path.join(rootDir, ...pathname.split('/'));
+  const relative = path.relative(rootDir, resolved);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return resolved;
+}
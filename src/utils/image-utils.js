@@ -0,0 +1,167 @@
+// src/utils/image-utils.js
+import fs from 'fs/promises';
+
+// Enough for the headers of PNG, GIF and WebP and for most JPEG files
+const HEADER_BYTES = 256 * 1024;
+
+function readPng(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') {
+    return null;
+  }
+  return {
+    format: 'png',
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+  };
+}
+
+function readGif(buffer) {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') {
+    return null;
+  }
+  return {
+    format: 'gif',
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+  };
+}
+
+function readWebp(buffer) {
+  if (
+    buffer.length < 30 ||
+    buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+    buffer.toString('ascii', 8, 12) !== 'WEBP'
+  ) {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      format: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      format: 'webp',
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return { format: 'webp', width: null, height: null };
+}
+
+function readAvif(buffer) {
+  if (
+    buffer.length < 12 ||
+    buffer.toString('ascii', 4, 8) !== 'ftyp' ||
+    !/^avi[fs]$/.test(buffer.toString('ascii', 8, 12))
+  ) {
+    return null;
+  }
+  // The image spatial extents property box holds the dimensions
+  const ispe = buffer.indexOf('ispe');
+  if (ispe === -1 || ispe + 16 > buffer.length) {
+    return { format: 'avif', width: null, height: null };
+  }
+  return {
+    format: 'avif',
+    width: buffer.readUInt32BE(ispe + 8),
+    height: buffer.readUInt32BE(ispe + 12),
+  };
+}
+
+// Walk JPEG segments until a start-of-frame marker holds the dimensions
+function readJpeg(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    const isStartOfFrame =
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc;
+    if (isStartOfFrame) {
+      return {
+        format: 'jpeg',
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return { format: 'jpeg', width: null, height: null };
+}
+
+function readSvg(buffer) {
+  const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+  if (!/<svg[\s>]/i.test(text)) return null;
+
+  const tag = /<svg[^>]*>/i.exec(text);
+  const attr = (name) => {
+    const match = new RegExp(`\\s${name}="([\\d.]+)(px)?"`, 'i').exec(
+      tag ? tag[0] : ''
+    );
+    return match ? Math.round(parseFloat(match[1])) : null;
+  };
+  return { format: 'svg', width: attr('width'), height: attr('height') };
+}
+
+const READERS = [readPng, readGif, readWebp, readAvif, readJpeg, readSvg];
+
+// Read the format, intrinsic dimensions and byte size of a local image.
+// Returns null when the file does not exist or the format is not recognised;
+// width/height are null when the header could not be parsed.
+export async function readImageInfo(filePath) {
+  let handle;
+  try {
+    const stats = await fs.stat(filePath);
+    if (!stats.isFile()) return null;
+
+    handle = await fs.open(filePath, 'r');
+    let buffer = Buffer.alloc(Math.min(stats.size, HEADER_BYTES));
+    await handle.read(buffer, 0, buffer.length, 0);
+
+    let info = null;
+    for (const read of READERS) {
+      info = read(buffer);
+      if (info) break;
+    }
+
+    // Large EXIF blocks can push the JPEG frame header past the first chunk
+    if (
+      info &&
+      info.format === 'jpeg' &&
+      !info.width &&
+      stats.size > buffer.length
+    ) {
+      buffer = await fs.readFile(filePath);
+      info = readJpeg(buffer);
+    }
+
+    return info ? { ...info, bytes: stats.size } : null;
+  } catch (error) {
+    return null;
+  } finally {
+    if (handle) await handle.close();
+  }
+}
@@ -0,0 +1,90 @@
+// src/utils/url-utils.js
+import path from 'path';
+
+// Origin for resolving relative URLs when the site's own is not known
+export const PLACEHOLDER_ORIGIN = 'http://seo-inspector.invalid';
+
+// Public URL of a file in a static build, e.g. blog/index.html -> /blog/.
+// The build is served from siteUrl's path, so https://example.com/docs maps
+// page.html to /docs/page.html.
+export function filePathToUrl(siteUrl, relativePath) {
+  const urlPath = relativePath
+    .split(path.sep)
+    .join('/')
+    .replace(/(^|\/)index\.html?$/, '$1');
+
+  try {
+    const root = new URL(siteUrl);
+    root.search = '';
+    root.hash = '';
+    if (!root.pathname.endsWith('/')) root.pathname += '/';
+    return new URL(`./${urlPath}`, root).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The path of a URL inside a build served from siteUrl's path, the inverse
+// of filePathToUrl: with https://example.com/docs, /docs/blog/ is /blog/ in
+// the build. Null for paths outside siteUrl's; unchanged without a siteUrl.
+export function sitePathname(pathname, siteUrl) {
+  let prefix;
+  try {
+    prefix = new URL(siteUrl).pathname.replace(/\/?$/, '/');
+  } catch (e) {
+    return pathname;
+  }
+  if (prefix === '/') return pathname;
+  if (`${pathname}/` === prefix) return '/';
+  return pathname.startsWith(prefix) ? pathname.slice(prefix.length - 1) : null;
+}
+
+// Normalize a URL for comparison: drop the fragment, lowercase the host and
+// strip a trailing slash from non-root paths
+export function normalizeUrl(value, base) {
+  try {
+    const url = new URL(value, base);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.slice(0, -1);
+    }
+    return url.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Whether a URL points at the local machine, e.g. a development server
+export function isLocalhostUrl(value) {
+  try {
+    const { hostname } = new URL(value);
+    return LOCAL_HOSTS.has(hostname) || hostname.endsWith('.localhost');
+  } catch (e) {
+    return false;
+  }
+}
+
+// Base URL of a document: its <base href> resolved against the page URL, or
+// the page URL itself. Null when neither gives an absolute URL.
+export function documentBaseUrl($, pageUrl) {
+  const base = ($('base[href]').first().attr('href') || '').trim();
+  try {
+    return new URL(base || pageUrl, pageUrl || undefined).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// A URL attribute value resolved against baseUrl; as written when there is
+// no base URL or it cannot be resolved
+export function resolveUrl(value, baseUrl) {
+  if (!baseUrl || !value) return value;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (e) {
+    return value;
+  }
+}
@@ -0,0 +1,57 @@
+// test/diff-utils.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUnifiedDiff } from '../src/utils/diff-utils.js';
+
+const lines = (text) => `${text.split('').join('\n')}\n`;
+
+test('equal texts give an empty diff', () => {
+  assert.equal(createUnifiedDiff('same\n', 'same\n'), '');
+});
+
+test('changes far apart get hunks of their own', () => {
+  const diff = createUnifiedDiff(lines('abcdefghij'), lines('aBcdefghiJ'), {
+    fromFile: 'a/page.html',
+    toFile: 'b/page.html',
+  });
+  assert.equal(
+    diff,
+    [
+      '--- a/page.html',
+      '+++ b/page.html',
+      '@@ -1,5 +1,5 @@',
+      ' a',
+      '-b',
+      '+B',
+      ' c',
+      ' d',
+      ' e',
+      '@@ -7,4 +7,4 @@',
+      ' g',
+      ' h',
+      ' i',
+      '-j',
+      '+J',
+      '',
+    ].join('\n')
+  );
+});
+
+test('close changes share one hunk', () => {
+  const diff = createUnifiedDiff(lines('abcdef'), lines('aBcdEf'), {
+    context: 1,
+  });
+  assert.equal(diff.match(/^@@/gm).length, 1);
+  assert.match(diff, /^@@ -1,6 \+1,6 @@$/m);
+});
+
+test('insertions into an empty file and a missing final newline', () => {
+  assert.equal(
+    createUnifiedDiff('', 'x\n'),
+    '--- a\n+++ b\n@@ -0,0 +1,1 @@\n+x\n'
+  );
+  assert.equal(
+    createUnifiedDiff('x\n', 'y'),
+    '--- a\n+++ b\n@@ -1,1 +1,1 @@\n-x\n+y\n\\ No newline at end of file\n'
+  );
+});
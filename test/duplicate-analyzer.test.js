@@ -0,0 +1,56 @@
+// test/duplicate-analyzer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeHtml } from '../src/analyzers/html-analyzer.js';
+import { checkDuplicateContent } from '../src/analyzers/duplicate-analyzer.js';
+import { applySuppressions } from '../src/rules/index.js';
+
+const TITLE = 'Trail running shoes for every mountain path';
+
+function page(name, { head = '', before = '' } = {}) {
+  return analyzeHtml(
+    `<html>\n<head>\n${before}<title>${TITLE}</title>\n${head}</head>\n<body><h1>Shoes</h1></body>\n</html>`,
+    name
+  );
+}
+
+const duplicateTitleIssues = (result) =>
+  result.issues.filter(
+    (issue) => issue.rule === 'title' && issue.area === 'Duplicate Content'
+  );
+
+test('duplicate issues point at the element holding the text', () => {
+  const results = [page('a.html'), page('b.html')];
+  checkDuplicateContent(results);
+  const [issue] = duplicateTitleIssues(results[0]);
+  assert.equal(issue.line, 3);
+  assert.equal(issue.column, 1);
+  assert.equal(issue.excerpt, '<title>');
+});
+
+test('a disable-next-line comment suppresses a duplicate issue', () => {
+  const results = [
+    page('a.html', {
+      before: '<!-- seo-inspector-disable-next-line title -->\n',
+    }),
+    page('b.html'),
+  ];
+  checkDuplicateContent(results);
+  results.forEach(applySuppressions);
+  assert.deepEqual(duplicateTitleIssues(results[0]), []);
+  assert.equal(duplicateTitleIssues(results[1]).length, 1);
+});
+
+test('noindex pages are left out of the text clusters', () => {
+  const noindex = '<meta name="robots" content="noindex">\n';
+  const results = [
+    page('a.html'),
+    page('tag/a.html', { head: noindex }),
+    page('tag/b.html', { head: noindex }),
+  ];
+  const clusters = checkDuplicateContent(results);
+  assert.deepEqual(clusters, []);
+  results.forEach((result) =>
+    assert.deepEqual(duplicateTitleIssues(result), [])
+  );
+});
@@ -0,0 +1,117 @@
+// test/html-fixer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fixHtml } from '../src/fixers/html-fixer.js';
+
+const LONG_TITLE = 'Trail running shoes for every kind of mountain path';
+const DESCRIPTION =
+  'Lightweight trail running shoes with grippy soles, tested on rocky and muddy mountain paths.';
+
+test('leaves everything but the fixed parts as written', () => {
+  const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <TITLE>Shoes</TITLE>
+    <meta name="viewport" content="width=device-width">
+  </head>
+  <body><img src="a.jpg"></body>
+</html>
+`;
+  const result = fixHtml(html, { rules: ['title', 'img-alt'] });
+  assert.equal(
+    result.html,
+    html
+      .replace('Shoes', 'Shoes | TODO: add keywords and brand')
+      .replace('<img src', '<img alt="" src')
+  );
+  assert.deepEqual(
+    result.applied.map((item) => item.rule),
+    ['title', 'img-alt']
+  );
+});
+
+test('adds missing head tags at the head indentation', () => {
+  const html = `<html>\n  <head>\n    <title>${LONG_TITLE}</title>\n  </head>\n</html>\n`;
+  const result = fixHtml(html, {
+    rules: ['canonical', 'mobile-friendly'],
+    pageUrl: 'https://example.com/shoes/',
+  });
+  assert.equal(
+    result.html,
+    html.replace(
+      '  </head>',
+      '    <link rel="canonical" href="https://example.com/shoes/">\n    <meta name="viewport" content="width=device-width, initial-scale=1">\n  </head>'
+    )
+  );
+});
+
+test('shortens a title to the configured length', () => {
+  const result = fixHtml(`<title>${LONG_TITLE}</title>`, {
+    rules: ['title'],
+    ruleConfig: { title: { settings: { minLength: 10, maxLength: 20 } } },
+  });
+  const title = /<title>(.*)<\/title>/.exec(result.html)[1];
+  assert.ok(title.length <= 20, title);
+});
+
+test('adds the content attribute when a meta description has none', () => {
+  const html = `<html><head><title>${LONG_TITLE}</title><meta name="description"></head></html>`;
+  const result = fixHtml(html, { rules: ['meta-description'] });
+  assert.equal(
+    result.html,
+    html.replace(
+      '<meta name',
+      '<meta content="TODO: expand to 50-160 characters." name'
+    )
+  );
+});
+
+test('rewrites an unclosed title without swallowing the document', () => {
+  const html = `<html><head><title>Hi\n<meta name="description" content="${DESCRIPTION}"></head><body>Text</body></html>`;
+  const result = fixHtml(html, { rules: ['title', 'canonical'] });
+  assert.equal(
+    result.html,
+    html
+      .replace(
+        '<title>Hi\n<meta',
+        '<title>Hi | TODO: add keywords and brand</title>\n<meta'
+      )
+      .replace(
+        '<html><head>',
+        '<html><head>\n<link rel="canonical" href="https://example.com/TODO/page-url/">\n'
+      )
+  );
+});
+
+test('fills in a self-closed title', () => {
+  const result = fixHtml('<html><head><title/>\n</head><body>x</body></html>', {
+    rules: ['title'],
+  });
+  assert.equal(
+    result.html,
+    '<html><head><title>TODO: Primary Keyword - Brand Name</title>\n</head><body>x</body></html>'
+  );
+});
+
+test('skips rules with nothing to fix or no fixer', () => {
+  const result = fixHtml(
+    `<html><head><title>${LONG_TITLE}</title></head></html>`,
+    { rules: ['title', 'headings'] }
+  );
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(
+    result.skipped.map((item) => [item.rule, item.reason.split(' - ')[0]]),
+    [
+      ['headings', 'no automatic fix'],
+      ['title', 'nothing to fix'],
+    ]
+  );
+});
+
+test('rejects rules that are not an array of rule ids', () => {
+  assert.throws(() => fixHtml('<title>Hi</title>', { rules: 'title' }), {
+    name: 'TypeError',
+    message: 'rules must be an array of rule ids, e.g. ["title"], got "title"',
+  });
+  assert.throws(() => fixHtml('<title>Hi</title>', { rules: [1] }), TypeError);
+});
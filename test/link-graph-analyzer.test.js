@@ -0,0 +1,50 @@
+// test/link-graph-analyzer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeHtml } from '../src/analyzers/html-analyzer.js';
+import { analyzeLinkGraph } from '../src/analyzers/link-graph-analyzer.js';
+import { resolveRuleConfig } from '../src/config/project-config.js';
+
+const SITE_URL = 'https://example.com';
+
+function page(name, hrefs) {
+  const links = hrefs.map((href) => `<a href="${href}">${href}</a>`).join(' ');
+  return analyzeHtml(
+    `<html><head><title>${name}</title></head><body>${links}</body></html>`,
+    name,
+    { siteUrl: SITE_URL, pageUrl: `${SITE_URL}/${name}` }
+  );
+}
+
+const site = () => [
+  page('index.html', ['/a.html', '/b.html', '/c.html']),
+  page('a.html', ['/']),
+  page('b.html', ['/', '/a.html']),
+  page('c.html', ['/']),
+];
+
+test('a page with one outbound link is not a hub', () => {
+  const graph = analyzeLinkGraph(site(), { siteUrl: SITE_URL });
+  assert.deepEqual(
+    graph.hubs.map((entry) => entry.page),
+    ['index.html']
+  );
+});
+
+test('minHubLinks sets how many pages a hub links to', () => {
+  const results = site();
+  const config = { rules: { 'internal-links': { minHubLinks: 2 } } };
+  const graph = analyzeLinkGraph(results, {
+    siteUrl: SITE_URL,
+    ruleConfigs: new Map(
+      results.map((result) => [
+        result,
+        resolveRuleConfig(config, result.pageIdentifier),
+      ])
+    ),
+  });
+  assert.deepEqual(
+    graph.hubs.map((entry) => entry.page),
+    ['index.html', 'b.html']
+  );
+});
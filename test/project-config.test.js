@@ -0,0 +1,106 @@
+// test/project-config.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  ConfigError,
+  findProjectConfig,
+  matchesGlob,
+  resolveRuleConfig,
+  validateConfig,
+} from '../src/config/project-config.js';
+
+const CONFIG = {
+  rules: {
+    title: { minLength: 20, maxLength: 60 },
+    'meta-description': 'low',
+  },
+  overrides: [
+    { files: 'blog/**', rules: { title: { maxLength: 70 } } },
+    { files: ['*.amp.html'], rules: { 'meta-description': 'off' } },
+  ],
+};
+
+test('accepts a valid config', () => {
+  assert.doesNotThrow(() => validateConfig(CONFIG, 'test'));
+});
+
+test('lists every problem of an invalid config', () => {
+  assert.throws(
+    () =>
+      validateConfig(
+        {
+          rules: {
+            titel: 'off',
+            title: { minLength: 80, maxLength: '60' },
+            'meta-description': 'urgent',
+          },
+          overrides: [{ files: [], rules: {} }],
+          extends: 'recommended',
+        },
+        '.seoinspectorrc.json'
+      ),
+    (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.equal(error.source, '.seoinspectorrc.json');
+      assert.equal(error.problems.length, 5);
+      assert.match(error.problems[0], /^Unknown key "extends"/);
+      assert.match(error.problems[1], /rules\["titel"\]: unknown rule/);
+      assert.match(error.problems[2], /maxLength must be a number/);
+      assert.match(error.problems[3], /"urgent" must be "on", "off"/);
+      assert.match(error.problems[4], /overrides\[0\]\.files/);
+      return true;
+    }
+  );
+  assert.throws(() => validateConfig([], 'test'), ConfigError);
+});
+
+test('matches globs against the relative path', () => {
+  assert.equal(matchesGlob('blog/2024/post.html', 'blog/**'), true);
+  assert.equal(matchesGlob('docs/page.amp.html', '*.amp.html'), true);
+  assert.equal(matchesGlob('docs/page.html', '{blog,news}/*.html'), false);
+  assert.equal(matchesGlob('news/page.html', '{blog,news}/*.html'), true);
+  assert.equal(matchesGlob('blog/a/b.html', 'blog/*.html'), false);
+});
+
+test('overrides apply in order on top of the base rules', () => {
+  assert.deepEqual(resolveRuleConfig(CONFIG, 'index.html'), {
+    title: {
+      enabled: true,
+      severity: undefined,
+      settings: { minLength: 20, maxLength: 60 },
+    },
+    'meta-description': { enabled: true, severity: 'low', settings: {} },
+  });
+  const post = resolveRuleConfig(CONFIG, 'blog/post.amp.html');
+  assert.deepEqual(post.title.settings, { minLength: 20, maxLength: 70 });
+  assert.equal(post['meta-description'].enabled, false);
+  assert.equal(post['meta-description'].severity, 'low');
+});
+
+test('finds the config in a parent directory', async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-config-'));
+  try {
+    const nested = path.join(root, 'site', 'blog');
+    await fs.mkdir(nested, { recursive: true });
+    await fs.writeFile(
+      path.join(root, 'site', 'package.json'),
+      JSON.stringify({ name: 'site', seoInspector: CONFIG })
+    );
+
+    const found = await findProjectConfig(nested);
+    assert.equal(found.directory, path.join(root, 'site'));
+    assert.equal(
+      found.source,
+      `${path.join(root, 'site', 'package.json')} ("seoInspector")`
+    );
+    assert.deepEqual(found.config, CONFIG);
+
+    await fs.writeFile(path.join(nested, '.seoinspectorrc.json'), '{"rules":');
+    await assert.rejects(findProjectConfig(nested), ConfigError);
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,60 @@
+// test/render-comparison.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { analyzeHtml } from '../src/analyzers/html-analyzer.js';
+import {
+  analyzeRenderComparison,
+  compareAnalyses,
+} from '../src/analyzers/render-comparison.js';
+
+const SHELL = `<!DOCTYPE html>
+<html><head><title>App</title></head>
+<body><div id="root"></div><script src="/static/js/bundle.js"></script></body>
+</html>`;
+
+const RENDERED = `<!DOCTYPE html>
+<html><head><title>Trail guides for hikers</title>
+<meta name="description" content="Guides to the best hiking trails in the mountains, with maps and tips.">
+</head>
+<body><div id="root"><h1>Trail guides</h1>
+<p>Hiking trails in the mountains are a great way to enjoy nature with friends and family.</p>
+<a href="/trails/">All trails</a></div></body>
+</html>`;
+
+test('analyzes the raw HTML of an empty client-rendered shell', () => {
+  const raw = analyzeHtml(SHELL, 'index.html');
+  assert.equal(raw.isReactApp, true);
+  assert.equal(raw.keywordAnalysis.placementAnalysis, null);
+});
+
+test('compares an empty shell with its rendered DOM', () => {
+  const raw = analyzeHtml(SHELL, 'index.html');
+  const rendered = analyzeHtml(RENDERED, 'index.html', {
+    rendering: { engine: 'test' },
+  });
+  const { differences, renderedOnly } = compareAnalyses(raw, rendered);
+
+  const byArea = Object.fromEntries(
+    differences.map((difference) => [difference.area, difference])
+  );
+  assert.equal(byArea.Title.status, 'changed');
+  assert.equal(byArea['Meta description'].status, 'rendered-only');
+  assert.equal(byArea['Visible words'].status, 'rendered-only');
+  assert.ok(renderedOnly.includes('Headings: H1: Trail guides'));
+  assert.ok(renderedOnly.includes('Links: /trails/'));
+});
+
+test('gives up on a dev server that never answers', async () => {
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://localhost:${server.address().port}/`;
+    await assert.rejects(analyzeRenderComparison(url, { timeout: 200 }), {
+      message: `Could not load ${url}: no response within 200ms`,
+    });
+  } finally {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,44 @@
+// test/rich-results.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractStructuredData } from '../src/schema/structured-data.js';
+import { validateStructuredData } from '../src/schema/schema-validator.js';
+import { evaluateRichResults } from '../src/schema/rich-results.js';
+
+function productResult(offer) {
+  const $ = cheerio.load(
+    `<script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Trail shoes',
+      offers: { '@type': 'Offer', ...offer },
+    })}</script>`
+  );
+  const { blocks } = extractStructuredData($);
+  const validation = validateStructuredData(blocks);
+  return evaluateRichResults(
+    validation.graph,
+    validation.invalidProperties
+  ).find((result) => result.feature === 'product');
+}
+
+test('a Product with a valid price and currency is eligible', () => {
+  const result = productResult({ price: '10.00', priceCurrency: 'USD' });
+  assert.equal(result.eligible, true);
+  assert.deepEqual(result.blocking, []);
+});
+
+test('invalid required offer values block eligibility', () => {
+  const result = productResult({ price: '$10', priceCurrency: 'usd' });
+  assert.equal(result.eligible, false);
+  assert.deepEqual(result.blocking, [
+    'offers[0].price (invalid value)',
+    'offers[0].priceCurrency (invalid value)',
+  ]);
+});
+
+test('missing offer values still block eligibility', () => {
+  const result = productResult({ price: '10.00' });
+  assert.deepEqual(result.blocking, ['offers[0].priceCurrency']);
+});
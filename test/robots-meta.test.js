@@ -0,0 +1,92 @@
+// test/robots-meta.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeDirectives,
+  parseRobotsContent,
+  resolveRobotsDirectives,
+} from '../src/robots/robots-meta.js';
+
+const tag = (name, content, line = 1) => ({ name, content, line });
+
+test('robots applies to every crawler and crawler tags add to it', () => {
+  const result = resolveRobotsDirectives([
+    tag('robots', 'nofollow', 1),
+    tag('googlebot', 'noindex', 2),
+  ]);
+  assert.equal(result.noindex, true);
+  assert.equal(result.nofollow, true);
+  assert.equal(result.crawlers.bingbot.noindex, false);
+  assert.equal(result.crawlers.bingbot.nofollow, true);
+  assert.equal(result.crawlers['*'].noindex, false);
+});
+
+test('none means noindex and nofollow', () => {
+  const { crawlers } = resolveRobotsDirectives([tag('robots', 'none')]);
+  assert.equal(describeDirectives(crawlers.googlebot), 'noindex, nofollow');
+});
+
+test('contradicting directives conflict and the restrictive one applies', () => {
+  const result = resolveRobotsDirectives([
+    tag('robots', 'index, follow', 1),
+    tag('robots', 'noindex', 2),
+  ]);
+  assert.equal(result.noindex, true);
+  assert.equal(result.conflicts.length, 1);
+  assert.equal(result.conflicts[0].applied, 'noindex');
+  assert.deepEqual(result.conflicts[0].crawlers, ['*', 'googlebot', 'bingbot']);
+});
+
+test('the smallest max-snippet wins, with -1 meaning no limit', () => {
+  const { crawlers, conflicts } = resolveRobotsDirectives([
+    tag('robots', 'max-snippet:-1', 1),
+    tag('googlebot', 'max-snippet:50', 2),
+    tag('robots', 'max-image-preview:large, max-image-preview:standard', 3),
+  ]);
+  assert.equal(crawlers.googlebot.maxSnippet, 50);
+  assert.equal(crawlers.bingbot.maxSnippet, -1);
+  assert.equal(crawlers.googlebot.maxImagePreview, 'standard');
+  assert.equal(conflicts.length, 2);
+});
+
+test('unavailable_after dates may contain commas', () => {
+  const { directives, invalid } = parseRobotsContent(
+    'noarchive, unavailable_after: Sunday, 06-Nov-94 08:49:37 GMT, nosnippet'
+  );
+  assert.deepEqual(invalid, []);
+  assert.deepEqual(directives, [
+    { name: 'noarchive', value: null },
+    { name: 'unavailable_after', value: 'Sunday, 06-Nov-94 08:49:37 GMT' },
+    { name: 'nosnippet', value: null },
+  ]);
+});
+
+test('directives after an unreadable unavailable_after date still apply', () => {
+  const { directives, invalid } = parseRobotsContent(
+    'unavailable_after: 2025-31-12, noindex, nofollow'
+  );
+  assert.deepEqual(directives, [
+    { name: 'noindex', value: null },
+    { name: 'nofollow', value: null },
+  ]);
+  assert.deepEqual(
+    invalid.map((item) => item.token),
+    ['unavailable_after']
+  );
+  const result = resolveRobotsDirectives([
+    tag('robots', 'unavailable_after: 2025-31-12, noindex, nofollow'),
+  ]);
+  assert.equal(result.noindex, true);
+  assert.equal(result.nofollow, true);
+});
+
+test('unknown directives and bad values are reported', () => {
+  const { directives, invalid } = parseRobotsContent(
+    'noindex, nofolow, max-snippet:lots, max-image-preview'
+  );
+  assert.deepEqual(directives, [{ name: 'noindex', value: null }]);
+  assert.deepEqual(
+    invalid.map((item) => item.token),
+    ['nofolow', 'max-image-preview', 'max-snippet']
+  );
+});
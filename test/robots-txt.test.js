@@ -0,0 +1,91 @@
+// test/robots-txt.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isAllowedByRobots,
+  lintRobotsTxt,
+  parseRobotsTxt,
+  productToken,
+} from '../src/robots/robots-txt.js';
+
+const ROBOTS = `User-agent: *
+Disallow: /private/
+Allow: /private/public.html
+Disallow: /*.pdf$
+Disallow: /search
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /drafts/
+Allow: /page
+Disallow: /page
+`;
+
+const robots = parseRobotsTxt(ROBOTS);
+const allowed = (url, userAgent = 'somebot') =>
+  isAllowedByRobots(robots, `https://example.com${url}`, userAgent).allowed;
+
+test('groups consecutive user-agent lines', () => {
+  assert.equal(robots.groups.length, 2);
+  assert.deepEqual(robots.groups[1].userAgents, ['googlebot', 'bingbot']);
+});
+
+test('the longest matching rule decides', () => {
+  assert.equal(allowed('/private/secret.html'), false);
+  assert.equal(allowed('/private/public.html'), true);
+  assert.equal(allowed('/about.html'), true);
+});
+
+test('* matches any run of characters and $ anchors the end', () => {
+  assert.equal(allowed('/docs/guide.pdf'), false);
+  assert.equal(allowed('/docs/guide.pdf?download=1'), true);
+  assert.equal(allowed('/search?q=shoes'), false);
+});
+
+test('allow wins a tie between rules of the same length', () => {
+  assert.equal(allowed('/page', 'googlebot'), true);
+});
+
+test('a crawler with its own group ignores the * groups', () => {
+  assert.equal(allowed('/private/secret.html', 'googlebot'), true);
+  assert.equal(allowed('/drafts/post.html', 'bingbot'), false);
+  const verdict = isAllowedByRobots(robots, '/drafts/x', 'Googlebot/2.1');
+  assert.equal(verdict.agent, 'googlebot');
+  assert.equal(verdict.rule.line, 9);
+});
+
+test('robots.txt itself is always allowed', () => {
+  const everything = parseRobotsTxt('User-agent: *\nDisallow: /\n');
+  assert.equal(isAllowedByRobots(everything, '/robots.txt', '*').allowed, true);
+});
+
+test('productToken drops the version and lower-cases', () => {
+  assert.equal(productToken('Googlebot/2.1'), 'googlebot');
+  assert.equal(productToken(' Bingbot '), 'bingbot');
+});
+
+test('lint flags typos, rules outside groups and a relative sitemap', () => {
+  const issues = lintRobotsTxt(
+    'Disallow: /tmp\nUser-agent: *\nDissallow: /x\nDisallow: /ok\nSitemap: /sitemap.xml\n'
+  );
+  assert.deepEqual(
+    issues.map((issue) => [issue.line, issue.level]),
+    [
+      [1, 'error'],
+      [3, 'error'],
+      [5, 'error'],
+    ]
+  );
+  assert.match(issues[1].message, /did you mean disallow\?/);
+  assert.match(issues[2].message, /absolute URL/);
+});
+
+test('lint flags Disallow: / for every crawler', () => {
+  const issues = lintRobotsTxt('User-agent: *\nDisallow: /\n');
+  assert.equal(issues.length, 1);
+  assert.match(issues[0].message, /blocks the whole site/);
+  assert.deepEqual(
+    lintRobotsTxt('User-agent: *\nDisallow: /\nAllow: /$\n'),
+    []
+  );
+});
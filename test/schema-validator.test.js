@@ -0,0 +1,56 @@
+// test/schema-validator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractStructuredData } from '../src/schema/structured-data.js';
+import { validateStructuredData } from '../src/schema/schema-validator.js';
+
+function validate(data) {
+  const $ = cheerio.load(
+    `<script type="application/ld+json">${JSON.stringify({
+      '@context': 'https://schema.org',
+      ...data,
+    })}</script>`
+  );
+  return validateStructuredData(extractStructuredData($).blocks).issues;
+}
+
+test('LocalBusiness subtypes get the LocalBusiness rules', () => {
+  ['Restaurant', 'Store', 'MedicalBusiness', 'Dentist'].forEach((type) => {
+    const issues = validate({ '@type': type, name: 'Corner shop' });
+    assert.ok(
+      issues.some(
+        (issue) =>
+          issue.level === 'error' &&
+          issue.message.includes('Missing required property "address"')
+      ),
+      type
+    );
+  });
+});
+
+test('FAQPage does not ask for the WebPage recommendations', () => {
+  const issues = validate({
+    '@type': 'FAQPage',
+    mainEntity: [
+      {
+        '@type': 'Question',
+        name: 'Do you ship abroad?',
+        acceptedAnswer: { '@type': 'Answer', text: 'Yes, worldwide.' },
+      },
+    ],
+  });
+  assert.deepEqual(issues, []);
+});
+
+test('a text author is accepted', () => {
+  const issues = validate({
+    '@type': 'Article',
+    headline: 'Trail running in the Alps',
+    image: 'https://example.com/alps.jpg',
+    datePublished: '2024-05-01',
+    dateModified: '2024-05-02',
+    author: 'Jane Doe',
+  });
+  assert.deepEqual(issues, []);
+});
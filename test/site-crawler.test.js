@@ -0,0 +1,56 @@
+// test/site-crawler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { crawlSite } from '../src/crawler/site-crawler.js';
+
+const page = (title, body = '') =>
+  `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+const ROUTES = {
+  '/': page('Home', '<a href="/about">About</a> <a href="/old">Old home</a>'),
+  '/about/': page('About us'),
+};
+const REDIRECTS = { '/about': '/about/', '/old': '/' };
+
+async function withServer(run) {
+  const server = http.createServer((req, res) => {
+    if (REDIRECTS[req.url]) {
+      res.writeHead(301, { Location: REDIRECTS[req.url] });
+      res.end();
+    } else if (ROUTES[req.url]) {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(ROUTES[req.url]);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('analyzes a page reached through its trailing-slash redirect', async () => {
+  await withServer(async (origin) => {
+    const crawl = await crawlSite(`${origin}/`, { timeout: 5000 });
+    const about = crawl.pages.find((item) => item.url === `${origin}/about`);
+    assert.equal(about.finalUrl, `${origin}/about/`);
+    assert.equal(about.skipped, undefined);
+    assert.deepEqual(
+      crawl.results.map((result) => result.crawl.finalUrl),
+      [`${origin}/`, `${origin}/about/`]
+    );
+  });
+});
+
+test('skips a redirect to a page that is crawled on its own', async () => {
+  await withServer(async (origin) => {
+    const crawl = await crawlSite(`${origin}/`, { timeout: 5000 });
+    const old = crawl.pages.find((item) => item.url === `${origin}/old`);
+    assert.equal(old.skipped, 'redirects to a URL that is crawled on its own');
+  });
+});
@@ -0,0 +1,121 @@
+// test/site-url-path.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeHtml } from '../src/analyzers/html-analyzer.js';
+import { checkBrokenLinks } from '../src/analyzers/broken-link-analyzer.js';
+import { analyzeLinkGraph } from '../src/analyzers/link-graph-analyzer.js';
+import { validateSitemaps } from '../src/sitemap/sitemap-validator.js';
+import { resolveLocalFile } from '../src/utils/file-utils.js';
+import { filePathToUrl, sitePathname } from '../src/utils/url-utils.js';
+
+// A build served from https://example.com/docs/
+const SITE_URL = 'https://example.com/docs';
+const FILES = {
+  'index.html':
+    '<html><head><title>Docs</title></head><body><a href="/docs/blog/">Blog</a> <a href="https://example.com/docs/guide.html">Guide</a> <img src="/docs/img/logo.png" alt="Logo"></body></html>',
+  'guide.html':
+    '<html><head><title>Guide</title></head><body><a href="./">Home</a> <a href="blog/">Blog</a></body></html>',
+  'blog/index.html':
+    '<html><head><title>Blog</title></head><body><a href="../guide.html">Guide</a> <a href="/docs/missing/">Missing</a></body></html>',
+  'img/logo.png': 'png',
+  'robots.txt':
+    'User-agent: *\nAllow: /\nSitemap: https://example.com/docs/sitemap.xml\n',
+  'sitemap.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<url><loc>https://example.com/docs/</loc></url>
+<url><loc>https://example.com/docs/guide.html</loc></url>
+<url><loc>https://example.com/docs/blog/</loc></url>
+<url><loc>https://example.com/docs/img/logo.png</loc></url>
+</urlset>`,
+};
+
+async function withBuild(run) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'seo-site-path-'));
+  try {
+    for (const [name, content] of Object.entries(FILES)) {
+      await fs.mkdir(path.dirname(path.join(rootDir, name)), {
+        recursive: true,
+      });
+      await fs.writeFile(path.join(rootDir, name), content);
+    }
+    return await run(rootDir);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+function analyzeBuild(rootDir) {
+  return Promise.all(
+    Object.keys(FILES)
+      .filter((name) => name.endsWith('.html'))
+      .map(async (name) =>
+        analyzeHtml(
+          await fs.readFile(path.join(rootDir, name), 'utf8'),
+          path.join(...name.split('/')),
+          { siteUrl: SITE_URL, pageUrl: filePathToUrl(SITE_URL, name) }
+        )
+      )
+  );
+}
+
+test('sitePathname strips the path the site is served from', () => {
+  assert.equal(sitePathname('/docs/blog/', SITE_URL), '/blog/');
+  assert.equal(sitePathname('/docs', SITE_URL), '/');
+  assert.equal(sitePathname('/other/', SITE_URL), null);
+  assert.equal(sitePathname('/blog/', 'https://example.com/'), '/blog/');
+});
+
+test('resolveLocalFile maps URLs under the site path into the build', () => {
+  const rootDir = path.resolve('build');
+  const options = {
+    rootDir,
+    filePath: path.join(rootDir, 'blog', 'index.html'),
+    siteUrl: SITE_URL,
+  };
+  assert.equal(
+    resolveLocalFile('/docs/img/logo.png', options),
+    path.join(rootDir, 'img', 'logo.png')
+  );
+  assert.equal(
+    resolveLocalFile('https://example.com/docs/guide.html', options),
+    path.join(rootDir, 'guide.html')
+  );
+  assert.equal(
+    resolveLocalFile('../img/logo.png', options),
+    path.join(rootDir, 'img', 'logo.png')
+  );
+  assert.equal(resolveLocalFile('/img/logo.png', options), null);
+});
+
+test('links under the site path are neither broken nor orphaned', async () => {
+  await withBuild(async (rootDir) => {
+    const results = await analyzeBuild(rootDir);
+    const broken = await checkBrokenLinks(results, {
+      rootDir,
+      siteUrl: SITE_URL,
+    });
+    const graph = analyzeLinkGraph(results, { siteUrl: SITE_URL });
+
+    assert.deepEqual(
+      broken.map((item) => [item.page, item.url]),
+      [[path.join('blog', 'index.html'), '/docs/missing/']]
+    );
+    assert.equal(graph.homePage, 'index.html');
+    assert.deepEqual(graph.orphans, []);
+    assert.deepEqual(graph.unreachable, []);
+  });
+});
+
+test('validateSitemap finds the sitemap and its files under the site path', async () => {
+  await withBuild(async (rootDir) => {
+    const report = await validateSitemaps(rootDir, { siteUrl: SITE_URL });
+    assert.equal(report.source, 'robots.txt');
+    assert.equal(report.sitemaps.length, 1);
+    assert.deepEqual(report.sitemaps[0].issues, []);
+    assert.deepEqual(report.crossReference.missingFiles, []);
+    assert.deepEqual(report.crossReference.missingFromSitemap, []);
+  });
+});
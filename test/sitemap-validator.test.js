@@ -0,0 +1,89 @@
+// test/sitemap-validator.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSitemapDocument } from '../src/sitemap/sitemap-validator.js';
+
+const NS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+function check(body, options) {
+  const text = `<?xml version="1.0" encoding="UTF-8"?>\n${body}`;
+  return validateSitemapDocument(text, Buffer.byteLength(text), options);
+}
+
+test('lists the entries of a valid urlset', () => {
+  const result = check(`<urlset xmlns="${NS}">
+<url><loc>https://example.com/</loc><lastmod>2024-05-01</lastmod></url>
+<url><loc>https://example.com/about</loc></url>
+</urlset>`);
+  assert.equal(result.type, 'urlset');
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(result.entries, [
+    { loc: 'https://example.com/', lastmod: '2024-05-01', line: 3 },
+    { loc: 'https://example.com/about', lastmod: null, line: 4 },
+  ]);
+});
+
+test('reports bad values with the line of their entry', () => {
+  const result = check(`<urlset xmlns="${NS}">
+<url><loc>/relative</loc></url>
+<url><loc>https://example.com/a</loc><lastmod>May 2024</lastmod><priority>2</priority></url>
+<url><loc>https://example.com/a/</loc><changefreq>often</changefreq></url>
+</urlset>`);
+  assert.deepEqual(
+    result.issues.map((issue) => [issue.line, issue.message]),
+    [
+      [3, '<loc> must be an absolute http(s) URL, got /relative'],
+      [
+        4,
+        '<lastmod> "May 2024" is not a W3C datetime (e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00)',
+      ],
+      [4, '<priority> "2" must be a number from 0.0 to 1.0'],
+      [
+        5,
+        '<changefreq> "often" must be one of always, hourly, daily, weekly, monthly, yearly, never',
+      ],
+      [5, 'https://example.com/a/ is listed twice (first on line 4)'],
+    ]
+  );
+  assert.equal(result.entries.length, 1);
+});
+
+test('checks the namespace, extension prefixes and the site origin', () => {
+  const result = check(
+    `<urlset xmlns="http://www.google.com/schemas/sitemap/0.84">
+<url><loc>https://other.example/</loc><image:image/></url>
+</urlset>`,
+    { siteOrigin: 'https://example.com' }
+  );
+  assert.deepEqual(
+    result.issues.map((issue) => issue.level),
+    ['error', 'error', 'warning']
+  );
+  assert.match(result.issues[0].message, /must declare xmlns/);
+  assert.match(result.issues[1].message, /prefix "image" without declaring/);
+  assert.match(result.issues[2].message, /not on https:\/\/example.com/);
+});
+
+test('reads sitemap indexes and rejects other roots', () => {
+  const index = check(`<sitemapindex xmlns="${NS}">
+<sitemap><loc>https://example.com/sitemap-1.xml</loc></sitemap>
+</sitemapindex>`);
+  assert.equal(index.type, 'sitemapindex');
+  assert.equal(index.entries.length, 1);
+
+  const other = check('<rss/>');
+  assert.equal(other.type, null);
+  assert.match(other.issues[0].message, /Root element is <rss>/);
+});
+
+test('reports XML errors and oversized documents', () => {
+  const text = `<urlset xmlns="${NS}"><url><loc>https://example.com/?a&b</loc></url></urlset>`;
+  const result = validateSitemapDocument(text, 60 * 1024 * 1024);
+  assert.deepEqual(
+    result.issues.map((issue) => issue.message),
+    [
+      'XML: Unescaped "&" - write it as &amp;',
+      '60.0MB uncompressed - a sitemap may be at most 50MB',
+    ]
+  );
+});
@@ -0,0 +1,74 @@
+// test/structured-data.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractStructuredData } from '../src/schema/structured-data.js';
+import { validateStructuredData } from '../src/schema/schema-validator.js';
+
+const MICRODATA = `<html><head>BASE</head><body>
+<div itemscope itemtype="https://schema.org/Event">
+  <span itemprop="name">Concert in the park</span>
+  <a itemprop="url" href="/gig">Tickets</a>
+  <img itemprop="image" src="p.jpg">
+</div></body></html>`;
+
+const RDFA = `<html><head>BASE</head><body>
+<div vocab="https://schema.org/" typeof="Product">
+  <span property="name">Trail shoes</span>
+  <img property="image" src="/p.jpg">
+</div></body></html>`;
+
+function extract(html, pageUrl) {
+  const $ = cheerio.load(html);
+  return extractStructuredData($, { pageUrl });
+}
+
+function urlIssues(html, pageUrl) {
+  const { blocks, baseUrl } = extract(html, pageUrl);
+  return validateStructuredData(blocks, { baseUrl }).issues.filter((issue) =>
+    /absolute URL/.test(issue.message)
+  );
+}
+
+test('resolves Microdata href and src against the page URL', () => {
+  const { blocks } = extract(
+    MICRODATA.replace('BASE', ''),
+    'https://example.com/events/summer.html'
+  );
+  assert.equal(blocks[0].data.url, 'https://example.com/gig');
+  assert.equal(blocks[0].data.image, 'https://example.com/events/p.jpg');
+});
+
+test('resolves against <base href> when the document has one', () => {
+  const { blocks, baseUrl } = extract(
+    MICRODATA.replace('BASE', '<base href="https://cdn.example.com/assets/">'),
+    'https://example.com/events/summer.html'
+  );
+  assert.equal(baseUrl, 'https://cdn.example.com/assets/');
+  assert.equal(blocks[0].data.image, 'https://cdn.example.com/assets/p.jpg');
+});
+
+test('resolves RDFa src against the page URL', () => {
+  const { blocks } = extract(
+    RDFA.replace('BASE', ''),
+    'https://example.com/shop/shoes'
+  );
+  assert.equal(blocks[0].data.image, 'https://example.com/p.jpg');
+});
+
+test('does not flag relative Microdata and RDFa URLs', () => {
+  assert.deepEqual(
+    urlIssues(MICRODATA.replace('BASE', ''), 'https://example.com/'),
+    []
+  );
+  // Without a page URL the values stay relative and are accepted
+  assert.deepEqual(urlIssues(MICRODATA.replace('BASE', '')), []);
+  assert.deepEqual(urlIssues(RDFA.replace('BASE', '')), []);
+});
+
+test('still flags relative URLs in JSON-LD', () => {
+  const html = `<script type="application/ld+json">
+{"@context": "https://schema.org", "@type": "Event", "name": "Gig", "url": "/gig"}
+</script>`;
+  assert.equal(urlIssues(html).length, 1);
+});
@@ -0,0 +1,60 @@
+// test/xml-parser.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXml } from '../src/sitemap/xml-parser.js';
+
+test('builds the element tree with lines, attributes and decoded text', () => {
+  const { root, declaration, errors } = parseXml(
+    `\uFEFF<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <!-- comment -->
+  <url><loc>https://example.com/?a=1&amp;b=2</loc></url>
+  <url><loc><![CDATA[https://example.com/<x>]]></loc></url>
+</urlset>`
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(declaration.encoding, 'UTF-8');
+  assert.equal(root.name, 'urlset');
+  assert.equal(
+    root.attributes.xmlns,
+    'http://www.sitemaps.org/schemas/sitemap/0.9'
+  );
+  assert.equal(root.children.length, 2);
+  assert.equal(root.children[0].line, 4);
+  assert.equal(
+    root.children[0].children[0].text,
+    'https://example.com/?a=1&b=2'
+  );
+  assert.equal(root.children[1].children[0].text, 'https://example.com/<x>');
+});
+
+test('keeps going after errors and reports each with its line', () => {
+  const { root, errors, errorCount } = parseXml(
+    '<urlset>\n<url><loc>https://example.com/?a=1&b=2</loc></url>\n<url><loc>x</lastmod></url>\n</urlset>'
+  );
+  assert.equal(root.name, 'urlset');
+  assert.equal(root.children.length, 2);
+  assert.equal(errorCount, 3);
+  assert.deepEqual(errors, [
+    { message: 'Unescaped "&" - write it as &amp;', line: 2 },
+    { message: '</lastmod> does not match the open <loc>', line: 3 },
+    { message: '</url> does not match the open <loc>', line: 3 },
+  ]);
+});
+
+test('reports unclosed elements, a late declaration and a missing root', () => {
+  assert.deepEqual(parseXml('<urlset>\n<url>').errors, [
+    { message: '<urlset> is never closed', line: 1 },
+    { message: '<url> is never closed', line: 2 },
+  ]);
+  assert.deepEqual(
+    parseXml('\n<?xml version="1.0"?><urlset/>').errors.map(
+      (error) => error.message
+    ),
+    ['The XML declaration must be the very first thing in the file']
+  );
+  assert.equal(parseXml('').root, null);
+  assert.deepEqual(parseXml('').errors, [
+    { message: 'No root element', line: 1 },
+  ]);
+});